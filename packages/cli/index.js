@@ -586,6 +586,45 @@ button:hover {
     await fs.writeFile(filePath, componentCode)
   }
 
+  /**
+   * Генерирует хранилище
+   * @param {string} name - имя хранилища
+   * @param {Array} options - опции
+   */
+  async generateStore(name, options) {
+    const storeName = this.pascalCase(name)
+    const fileName = `${name}.js`
+    const filePath = path.join('src/stores', fileName)
+
+    await fs.mkdir('src/stores', { recursive: true })
+
+    const storeCode = `import { defineStore } from '@aspscript/core'
+
+export const use${storeName}Store = defineStore('${name}', {
+  state: () => ({
+    items: [],
+    loading: false
+  }),
+
+  getters: {
+    count: state => state.items.length
+  },
+
+  actions: {
+    add(item) {
+      this.items.push(item)
+    },
+
+    remove(index) {
+      this.items.splice(index, 1)
+    }
+  }
+})
+`
+
+    await fs.writeFile(filePath, storeCode)
+  }
+
   /**
    * Преобразует строку в PascalCase
    * @param {string} str - строка
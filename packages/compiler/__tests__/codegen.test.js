@@ -0,0 +1,184 @@
+/**
+ * Tests for DOM Code Generation
+ * Тесты генерации render(): статические шаблоны и точечные привязки
+ */
+
+import { compile } from '../index.js'
+import { parseTemplate } from '../template-parser.js'
+import { generateDOM } from '../codegen.js'
+
+const metadata = { states: [{ name: 'count' }, { name: 'name' }, { name: 'items' }], computed: [] }
+const generate = template => generateDOM(parseTemplate(template).children, metadata)
+
+describe('generateDOM', () => {
+  test('hoists static markup and binds each dynamic text node', () => {
+    const { code, hoisted, helpers } = generate('<div class="box"><h1>Hello {name} &amp; co</h1><p>{count}</p></div>')
+
+    expect(hoisted).toEqual(['const _tmpl0 = template(`<div class="box"><h1> </h1><p> </p></div>`)'])
+    expect(code).toContain('$effect(() => setText(_n2, `Hello ${_state_name.value} & co`))')
+    expect(code).toContain('$effect(() => setText(_n4, _state_count.value))')
+    expect(code).not.toContain('innerHTML')
+    expect(helpers).toEqual(['template', 'setText'])
+  })
+
+  test('binds attributes, :class and events', () => {
+    const { code } = generate('<button class="btn" :class="{ active: count }" title="n{count}" @click="count++">+</button>')
+
+    expect(code).toContain("setAttribute(_n0, 'title', `n${_state_count.value}`)")
+    expect(code).toContain("setAttribute(_n0, 'class', normalizeClass([`btn`, { active: _state_count.value }]))")
+    expect(code).toContain("listen(_n0, 'click', $event => { _state_count.value++ })")
+  })
+
+  test('resolves node references before blocks insert content', () => {
+    const { code } = generate('<ul>{#if count}<li>a</li>{/if}<li>{name}</li></ul>')
+    const lines = code.split('\n')
+
+    expect(lines.findIndex(line => line.includes('childNodes[1]'))).toBeLessThan(
+      lines.findIndex(line => line.includes('ifBlock('))
+    )
+  })
+
+  test('compiles blocks to block helpers', () => {
+    const { code } = generate(`
+{#if count > 1}<b>many</b>{:else if count}<b>one</b>{/if}
+{#each items as (item, i)}<i>{i}: {item}</i>{:else}<i>none</i>{/each}
+{#await load()}<p>...</p>{:then data}<p>{data}</p>{/await}
+{#key name}<p>{name}</p>{/key}`)
+
+    expect(code).toContain('ifBlock(_n1, () => _state_count.value > 1 ? 0 : _state_count.value ? 1 : -1, [')
+    expect(code).toContain('eachBlock(_n2, () => _state_items.value, (item, i) => {')
+    expect(code).toContain('setText(_n')
+    expect(code).toMatch(/awaitBlock\(_n3, \(\) => load\(\), \(\) => \{[\s\S]*\}, data => \{[\s\S]*\}, null\)/)
+    expect(code).toContain('keyBlock(_n4, () => _state_name.value, () => {')
+  })
+
+  test('binds form controls after their options and resolves bind:this refs', () => {
+    const { code } = generate('<select #bind.number="count" bind:this="name">{#for item in items}<option :value="item">{item}</option>{/for}</select>')
+    const lines = code.split('\n')
+
+    expect(code).toContain("bindProperty(_n0, 'value', () => _state_count.value, $value => { _state_count.value = $value }, { number: true })")
+    expect(code).toContain('bindThis(_n0, $element => { _state_name.value = $element })')
+    expect(lines.findIndex(line => line.startsWith('bindProperty('))).toBeGreaterThan(
+      lines.findIndex(line => line.startsWith('eachBlock('))
+    )
+  })
+
+  test('compiles child components into componentBlock with getter props and slot factories', () => {
+    const { code, helpers } = generate(`<Card title="Hi" :count="count" max-length="3" @save="count++" @save="save" bind:this="name">
+  <template #header="{ size }"><h2>{size}</h2></template>
+  <p>{count}</p>
+</Card>`)
+
+    expect(code).toContain("componentBlock(_n1, () => Card, { title: 'Hi', maxLength: '3', get count() { return _state_count.value }, onSave: [$event => { _state_count.value++ }, $event => save($event)], slots: { default: () => {")
+    expect(code).toContain('header: ({ size }) => {')
+    expect(code).toContain('setText(_n3, size)')
+    expect(code).toContain('$instance => { _state_name.value = $instance })')
+    expect(helpers).toContain('componentBlock')
+  })
+
+  test('resolves <component :is> from an expression', () => {
+    const { code } = generate('<component :is="items[count]" :label="name" />')
+
+    expect(code).toContain('componentBlock(_n1, () => _state_items.value[_state_count.value], { get label() { return _state_name.value } })')
+  })
+
+  test('renders {@html} through htmlBlock and keeps {expr} as text', () => {
+    const { code } = generate('<article>{@html items}<p>{name}</p></article>')
+
+    expect(code).toContain('htmlBlock(_n1, () => _state_items.value)')
+    expect(code).toContain('setText(_n3, _state_name.value)')
+  })
+
+  test('reads loop items through row state and destructures them with $computed', () => {
+    const { code } = generate('{#for ({ id, name }, i) in items :key="id"}<b @click="count = id">{i}: {name}</b>{/for}')
+
+    expect(code).toContain('eachBlock(_n1, () => _state_items.value, ($item, i) => {')
+    expect(code).toContain('const name = $computed(() => { const { id, name } = $item.value; return name })')
+    expect(code).toContain('_state_count.value = id.value')
+    expect(code).toContain('setText(_n3, `${i.value}: ${name.value}`)')
+    expect(code).toContain('({ id, name }, i) => id)')
+  })
+
+  test('loop variables shadow component state', () => {
+    const { code } = generate('{#for count in items}<b>{count}</b>{/for}')
+
+    expect(code).toContain('setText(_n3, count.value)')
+  })
+})
+
+describe('compile() render modes', () => {
+  const source = `
+---
+let count = $state(0)
+---
+<button @click="count++">{count}</button>
+`
+
+  test('renders through template cloning by default', () => {
+    const result = compile(source, { componentName: 'Counter' })
+
+    expect(result).toContain('import { $state, $computed, $effect, $global, onMount, onDestroy, effectScope, template, listen, setText }')
+    expect(result).toContain('const _tmpl0 = template(`<button> </button>`)')
+    expect(result).toContain('return componentScope.run(() => {')
+    expect(result).not.toContain('innerHTML')
+  })
+
+  test('keeps the innerHTML renderer in string mode', () => {
+    const result = compile(source, { componentName: 'Counter', mode: 'string' })
+
+    expect(result).toContain('container.innerHTML = `<button data-event-click="${_listen($event => { _state_count.value++ })}">${escapeHtml(_state_count.value)}</button>`')
+  })
+
+  test('mounts child components and slot content through placeholders in string mode', () => {
+    const result = compile(`
+---
+import Card from './Card.aspc'
+let count = $state(0)
+---
+<div><Card :count="count" @save="count++"><b @click="count++">{count}</b></Card></div>
+`, { componentName: 'Page', mode: 'string' })
+
+    expect(result).toContain('${_component(Card, { get count() { return _state_count.value }, onSave: $event => { _state_count.value++ }, slots: { default: () => _fragment(`<b data-event-click=')
+    expect(result).toContain('children = componentScope.run(() => effectScope())')
+    expect(result).toContain("el.replaceWith(inserts[el.getAttribute('data-insert')])")
+    expect(result).toMatch(/import \{[^}]*createComponent[^}]*\} from '@aspscript\/core'/)
+  })
+
+  test('escapes interpolations and attribute values in string mode', () => {
+    const result = compile(`
+---
+let bio = $state('<img src=x onerror=alert(1)>')
+---
+<p title="by {bio}" :data-bio="bio">{bio}{@html bio}</p>
+`, { componentName: 'Bio', mode: 'string' })
+
+    expect(result).toContain('title="by ${escapeHtml(_state_bio.value)}"')
+    expect(result).toContain('data-bio="${escapeHtml(_state_bio.value)}"')
+    expect(result).toContain('>${escapeHtml(_state_bio.value)}${renderHtml(_state_bio.value)}</p>')
+    expect(result).toMatch(/import \{[^}]*escapeHtml, renderHtml[^}]*\} from '@aspscript\/core'/)
+  })
+
+  test('compiles handlers and #bind targets without eval', () => {
+    const form = `
+---
+let user = $state({ name: '' })
+function save(event) {}
+---
+<form @submit="save">
+  {#for field in ['name']}
+    <input #bind="user[field]" @focus="() => select(field)">
+  {/for}
+</form>
+`
+    for (const mode of ['dom', 'string']) {
+      const result = compile(form, { componentName: 'Form', mode })
+      // В DOM-режиме элемент строки - состояние
+      const field = mode === 'dom' ? 'field.value' : 'field'
+
+      expect(result).not.toMatch(/\beval\(|new Function/)
+      expect(result).toContain('$event => save($event)')
+      expect(result).toContain(`() => select(${field})`)
+      expect(result).toContain(`$value => { _state_user.value[${field}] = $value }`)
+    }
+  })
+})
@@ -4,7 +4,7 @@
  */
 
 import { compile } from '../index.js'
-import { parseProps, parseEmits, parseSlots } from '../components.js'
+import { parseProps, parseEmits, parseSlots, generateEventsCode } from '../components.js'
 
 describe('Component Props', () => {
   test('compiles component with simple props', () => {
@@ -172,6 +172,18 @@ export const emits = ['update']
     expect(result).toContain('function on')
     expect(result).toContain('unsubscribe')
   })
+
+  test('emit calls parent listeners passed as on<Event> props', () => {
+    const calls = []
+    const create = new Function('componentProps', `${generateEventsCode(['save', 'item-selected'])}\nreturn { emit, on }`)
+    const { emit, on } = create({ onSave: value => calls.push(['prop', value]), onItemSelected: id => calls.push(['kebab', id]) })
+
+    on('save', value => calls.push(['on', value]))
+    emit('save', 1)
+    emit('item-selected', 2)
+
+    expect(calls).toEqual([['prop', 1], ['on', 1], ['kebab', 2]])
+  })
 })
 
 describe('Component Slots', () => {
@@ -351,7 +363,7 @@ function decrement() {
     
     // Проверяем стили
     expect(result).toContain('.counter')
-    expect(result).toContain('aspscript-counter')
+    expect(result).toMatch(/\.counter\[data-asp-\w+\]/)
   })
 
   test('compiles component with lifecycle hooks', () => {
@@ -376,6 +388,22 @@ let data = $state('test')
     expect(result).toContain('onMount')
     expect(result).toContain('onDestroy')
   })
+
+  test('runs component setup inside its own effect scope', () => {
+    const source = `
+---
+let count = $state(0)
+---
+<template>
+  <div>{count}</div>
+</template>
+`
+    const result = compile(source, { componentName: 'TestComponent' })
+
+    expect(result).toContain('const componentScope = effectScope()')
+    expect(result).toContain('componentScope.run(')
+    expect(result).toContain('cleanup: () => componentScope.stop()')
+  })
 })
 
 describe('Component Props Validation', () => {
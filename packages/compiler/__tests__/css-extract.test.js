@@ -0,0 +1,72 @@
+/**
+ * Tests for CSS Extraction
+ * Тесты файлов CSS сборки: повторы правил, ленивые и общие чанки, манифест стилей
+ */
+
+import path from 'path'
+import { extractCss, bundleCss, findComponentImports } from '../css-extract.js'
+
+describe('CSS Extraction', () => {
+  test('bundleCss removes repeated rules and hoists @import', () => {
+    const loaded = new Set()
+    const css = bundleCss([
+      '.a[x] { color: red; }\n@media (min-width: 1px) { .b { margin: 0; } }',
+      '@import url("theme.css");\n.a[x] { color: red; }\n@media (min-width: 1px) { .b { margin: 0; } .c { margin: 0; } }\n.b { margin: 0; }'
+    ], loaded)
+
+    expect(css).toBe('@import url(theme.css);.a[x]{color:red}@media (min-width:1px){.b{margin:0}}@media (min-width:1px){.c{margin:0}}.b{margin:0}')
+
+    // Правила, уже подключенные другим файлом, не повторяются
+    expect(bundleCss(['.a[x] { color: red; }\n.d { color: blue; }'], loaded)).toBe('.d{color:blue}')
+  })
+
+  test('findComponentImports resolves static and lazy .aspc imports', () => {
+    const source = "import Nav from './Nav.aspc'\nimport { x } from 'lib'\nconst Page = lazy(() => import('../pages/Page.aspc'))"
+
+    expect(findComponentImports(source, 'src/ui/App.aspc')).toEqual({
+      imports: [path.resolve('src/ui/Nav.aspc')],
+      lazyImports: [path.resolve('src/pages/Page.aspc')]
+    })
+  })
+
+  test('extractCss splits CSS per lazy chunk and maps components to files', () => {
+    const { assets, manifest } = extractCss([
+      { file: 'src/App.aspc', source: "import Nav from './Nav.aspc'\nconst Page = lazy(() => import('./Page.aspc'))", css: '.app[a]{color:red}body{margin:0}', scopeId: 'a' },
+      { file: 'src/Nav.aspc', source: '', css: '.nav[n]{color:red}', scopeId: 'n' },
+      { file: 'src/Page.aspc', source: "import Card from './Card.aspc'", css: '.page[p]{color:red}body{margin:0}', scopeId: 'p' },
+      { file: 'src/Card.aspc', source: '', css: '.card[c]{color:red}', scopeId: 'c' }
+    ])
+
+    expect(assets.map(asset => asset.fileName)).toEqual([
+      expect.stringMatching(/^assets\/index-[0-9a-f]{8}\.css$/),
+      expect.stringMatching(/^assets\/Page-[0-9a-f]{8}\.css$/)
+    ])
+    expect(assets[0].css).toBe('.app[a]{color:red}body{margin:0}.nav[n]{color:red}')
+    expect(assets[1].css).toBe('.page[p]{color:red}.card[c]{color:red}')
+
+    const [main, page] = assets.map(asset => asset.fileName)
+    expect(manifest).toEqual({ a: [main], n: [main], p: [main, page], c: [main, page] })
+  })
+
+  test('extractCss moves components of several lazy chunks into a shared file', () => {
+    const { assets, manifest } = extractCss([
+      { file: 'src/App.aspc', source: "const A = lazy(() => import('./A.aspc'))\nconst B = lazy(() => import('./B.aspc'))", css: '.app[a]{color:red}', scopeId: 'a' },
+      { file: 'src/A.aspc', source: "import Shared from './Shared.aspc'\nimport Form from './Form.aspc'", css: '.page-a[s1]{color:red}.x{margin:0}', scopeId: 's1' },
+      { file: 'src/B.aspc', source: "import Shared from './Shared.aspc'", css: '.page-b[s2]{color:red}.x{margin:0}', scopeId: 's2' },
+      { file: 'src/Shared.aspc', source: '', css: '.shared[s3]{color:red}.y{padding:0}', scopeId: 's3' },
+      { file: 'src/Form.aspc', source: '', css: '.form[s4]{color:red}.y{padding:0}', scopeId: 's4' }
+    ])
+
+    const [main, shared, a, b] = assets.map(asset => asset.fileName)
+    expect(shared).toMatch(/^assets\/shared-[0-9a-f]{8}\.css$/)
+    expect(assets.map(asset => asset.css)).toEqual([
+      '.app[a]{color:red}',
+      '.shared[s3]{color:red}.y{padding:0}',
+      // Каждый чанк загружается сам по себе: правила других чанков повторяются,
+      // правила общих компонентов - нет
+      '.page-a[s1]{color:red}.x{margin:0}.form[s4]{color:red}',
+      '.page-b[s2]{color:red}.x{margin:0}'
+    ])
+    expect(manifest).toEqual({ a: [main], s1: [main, shared, a], s2: [main, shared, b], s3: [main, shared], s4: [main, shared, a] })
+  })
+})
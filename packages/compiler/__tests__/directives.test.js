@@ -103,7 +103,7 @@ let test = $state(true)
 </template>
 `
       expect(() => compile(source, { componentName: 'TestComponent' }))
-        .toThrow(/Unclosed/)
+        .toThrow(/Незакрытый блок/)
     })
   })
 
@@ -124,7 +124,7 @@ let items = $state([1, 2, 3])
       const result = compile(source, { componentName: 'TestComponent' })
       
       expect(result).toContain('_state_items.value')
-      expect(result).toContain('.map(')
+      expect(result).toContain('eachBlock(')
       expect(result).toContain('item')
       expect(result).toContain('<li>')
     })
@@ -163,8 +163,10 @@ let users = $state([
 `
       const result = compile(source, { componentName: 'TestComponent' })
       
-      expect(result).toContain('_state_users.value')
-      expect(result).toContain('data-key')
+      expect(result).toContain('eachBlock(_n1, () => _state_users.value, user => {')
+      expect(result).toContain(', null, $item => $item.id)')
+      // Ключ не меняет разметку строк
+      expect(compile(source, { componentName: 'TestComponent', mode: 'string' })).not.toContain('data-key')
     })
 
     test('compiles nested #for', () => {
@@ -185,7 +187,7 @@ let matrix = $state([[1, 2], [3, 4]])
       const result = compile(source, { componentName: 'TestComponent' })
       
       expect(result).toContain('_state_matrix.value')
-      expect(result).toContain('.map(')
+      expect(result).toContain('eachBlock(')
       expect(result).toContain('row')
       expect(result).toContain('cell')
     })
@@ -201,7 +203,7 @@ let items = $state([1, 2, 3])
 </template>
 `
       expect(() => compile(source, { componentName: 'TestComponent' }))
-        .toThrow(/Unclosed/)
+        .toThrow(/Незакрытый блок/)
     })
   })
 
@@ -223,7 +225,7 @@ let todos = $state([
       const result = compile(source, { componentName: 'TestComponent' })
       
       expect(result).toContain('_state_todos.value')
-      expect(result).toContain('.map(')
+      expect(result).toContain('eachBlock(')
       expect(result).toContain('todo')
     })
 
@@ -266,7 +268,7 @@ let items = $state([
       const result = compile(source, { componentName: 'TestComponent' })
       
       expect(result).toContain('_state_items.value')
-      expect(result).toContain('item.active')
+      expect(result).toContain('item.value.active')
       expect(result).toContain('Active')
     })
 
@@ -0,0 +1,89 @@
+/**
+ * Tests for Event Modifiers
+ * Тесты модификаторов @event: фильтры, .prevent/.stop и опции слушателя
+ */
+
+import { compile } from '../index.js'
+import { compileEventListener } from '../events.js'
+import { parseTemplate } from '../template-parser.js'
+
+const metadata = { states: [{ name: 'count' }], computed: [] }
+const listener = (name, modifiers, expression = 'count++') =>
+  compileEventListener({ name, modifiers, expression }, metadata)
+
+// Выполняет скомпилированный обработчик на объекте события
+function run(code, event) {
+  const calls = []
+  const handler = new Function('handle', `return ${code.replace('{ _state_count.value++ }', '{ handle($event) }')}`)(
+    value => calls.push(value)
+  )
+  handler({
+    target: 'self',
+    currentTarget: 'self',
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+    preventDefault() { calls.push('prevented') },
+    stopPropagation() { calls.push('stopped') },
+    ...event
+  })
+  return calls.map(call => typeof call === 'object' ? 'handled' : call)
+}
+
+describe('Event modifiers', () => {
+  test('leaves handlers without modifiers unchanged', () => {
+    expect(listener('input', [])).toEqual({ handler: '$event => { _state_count.value++ }', options: null })
+  })
+
+  test('turns .once, .capture and .passive into listener options', () => {
+    expect(listener('scroll', ['passive', 'once', 'capture']).options).toBe('{ capture: true, once: true, passive: true }')
+  })
+
+  test('filters keys and system keys before .prevent and .stop', () => {
+    const { handler } = listener('keydown', ['ctrl', 'enter', 'prevent', 'stop'])
+
+    expect(run(handler, { key: 'Enter', ctrlKey: true })).toEqual(['prevented', 'stopped', 'handled'])
+    expect(run(handler, { key: 'Enter' })).toEqual([])
+    expect(run(handler, { key: 'a', ctrlKey: true })).toEqual([])
+
+    const escape = listener('keyup', ['esc']).handler
+    expect(run(escape, { key: 'Escape' })).toEqual(['handled'])
+    expect(run(listener('keydown', ['page-down']).handler, { key: 'PageDown' })).toEqual(['handled'])
+  })
+
+  test('supports .self, .exact and mouse buttons', () => {
+    const self = listener('click', ['self']).handler
+    expect(run(self, { target: 'child' })).toEqual([])
+
+    const exact = listener('click', ['ctrl', 'exact']).handler
+    expect(run(exact, { ctrlKey: true })).toEqual(['handled'])
+    expect(run(exact, { ctrlKey: true, shiftKey: true })).toEqual([])
+
+    const right = listener('mousedown', ['right']).handler
+    expect(run(right, { button: 2 })).toEqual(['handled'])
+    expect(run(right, { button: 0 })).toEqual([])
+  })
+
+  test('rejects unknown and conflicting modifiers', () => {
+    expect(() => parseTemplate('<div @click.enter="count++"></div>')).toThrow('Неизвестный модификатор .enter для @click')
+    expect(() => parseTemplate('<div @wheel.passive.prevent="count++"></div>')).toThrow('несовместимы')
+  })
+
+  test('compiles modifiers in both render modes', () => {
+    const source = `
+---
+let count = $state(0)
+---
+<form @submit.prevent><input @keydown.enter.once="count++"></form>
+`
+    const dom = compile(source, { componentName: 'Form' })
+    expect(dom).toContain("listen(_n0, 'submit', $event => { $event.preventDefault(); return (() => {})($event) })")
+    expect(dom).toContain("$event.key !== 'Enter'")
+    expect(dom).toContain(', { once: true })')
+
+    const string = compile(source, { componentName: 'Form', mode: 'string' })
+    expect(string).toContain('data-event-keydown="${_listen($event => { if ($event.key !== \'Enter\') return; return ($event => { _state_count.value++ })($event) }, { once: true })}"')
+    expect(string).toContain('el.addEventListener(name.slice(\'data-event-\'.length), handler, options)')
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Tests for Compiled Component Mounting
+ * Скомпилированные компоненты импортируются и монтируются в настоящем DOM (jsdom)
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { JSDOM } from 'jsdom'
+import { compile } from '../index.js'
+
+const coreEntry = pathToFileURL(fileURLToPath(new URL('../../core/index.js', import.meta.url))).href
+const { renderToString } = await import(coreEntry)
+
+const { document } = new JSDOM('<!doctype html>').window
+globalThis.document = document
+
+let dir
+beforeAll(() => { dir = mkdtempSync(path.join(tmpdir(), 'aspscript-mount-')) })
+afterAll(() => rmSync(dir, { recursive: true, force: true }))
+
+// Компилирует компонент и импортирует его с @aspscript/core из репозитория
+async function load(source, options = {}) {
+  const name = options.componentName ?? 'Test'
+  const file = path.join(dir, `${name}-${Math.random().toString(36).slice(2)}.mjs`)
+  writeFileSync(file, compile(source, { componentName: name, ...options }).replaceAll("'@aspscript/core'", `'${coreEntry}'`))
+  return (await import(pathToFileURL(file).href)).default
+}
+
+describe('Compiled Component Mounting', () => {
+  test('binds table cells through the implicit <tbody>', async () => {
+    const Table = await load(`
+---
+let name = $state('Ann')
+let rows = $state([1, 2])
+---
+<table>
+  <tr><td>{name}</td></tr>
+  <tr><td :title="name">static</td></tr>
+  <tfoot><tr><td>{rows.length}</td></tr></tfoot>
+</table>
+`, { componentName: 'Table' })
+
+    const container = document.createElement('div')
+    container.appendChild(Table().render())
+
+    const cells = [...container.querySelectorAll('td')]
+    expect(cells.map(cell => cell.textContent)).toEqual(['Ann', 'static', '2'])
+    expect(cells[1].getAttribute('title')).toBe('Ann')
+    expect(container.querySelector('tbody').children).toHaveLength(2)
+  })
+
+  test('renders components compiled with ssr through renderToString', async () => {
+    const source = `
+---
+let bio = $state('<img src=x onerror=alert(1)>')
+---
+<p title="{bio}">{bio}</p>
+`
+    const Bio = await load(source, { componentName: 'Bio', ssr: true })
+
+    expect(compile(source, { componentName: 'Bio', ssr: true })).not.toContain('template(')
+    // Разметка шаблона без обертки: она совпадает с DOM клиента
+    expect(renderToString(Bio)).toBe(
+      '<p title="&lt;img src=x onerror=alert(1)&gt;">&lt;img src=x onerror=alert(1)&gt;</p>'
+    )
+  })
+})
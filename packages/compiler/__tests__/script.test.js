@@ -0,0 +1,144 @@
+/**
+ * Tests for Script Compilation
+ * Тесты AST-компиляции script секции: области видимости и переименование состояния
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { compile } from '../index.js'
+import { compileScript } from '../script.js'
+
+const coreEntry = fileURLToPath(new URL('../../core/index.js', import.meta.url))
+
+describe('compileScript', () => {
+  test('handles $state initialisers with nested calls', () => {
+    const { code, states } = compileScript(`let items = $state(createList(load(1), [2]))`)
+
+    expect(code).toBe('const _state_items = $state(createList(load(1), [2]))')
+    expect(states).toEqual([{ name: 'items', initial: 'createList(load(1), [2])' }])
+  })
+
+  test('rewrites only real references', () => {
+    const { code } = compileScript(`
+let count = $state(0)
+const label = 'count'
+const stats = { count: count, nested: { count: 1 } }
+stats.count = count + 1
+`)
+
+    expect(code).toContain(`const label = 'count'`)
+    expect(code).toContain('{ count: _state_count.value, nested: { count: 1 } }')
+    expect(code).toContain('stats.count = _state_count.value + 1')
+  })
+
+  test('expands shorthand properties', () => {
+    const { code } = compileScript(`
+let count = $state(0)
+const payload = { count }
+;({ count } = payload)
+`)
+
+    expect(code).toContain('const payload = { count: _state_count.value }')
+    expect(code).toContain('({ count: _state_count.value } = payload)')
+  })
+
+  test('respects shadowing by parameters and local declarations', () => {
+    const { code } = compileScript(`
+let count = $state(0)
+function fromParam(count) { return count }
+function fromLet() { const count = 1; return count }
+function fromVar() { if (true) { var count = 2 } return count }
+function fromDestructuring({ count }) { return count }
+const fromLoop = () => { for (const count of [1]) use(count) }
+function increment() { count++ }
+`)
+
+    expect(code).toContain('function fromParam(count) { return count }')
+    expect(code).toContain('function fromLet() { const count = 1; return count }')
+    expect(code).toContain('return count }\nfunction fromDestructuring({ count }) { return count }')
+    expect(code).toContain('for (const count of [1]) use(count)')
+    expect(code).toContain('function increment() { _state_count.value++ }')
+  })
+
+  test('rewrites references inside closures and default values', () => {
+    const { code } = compileScript(`
+let step = $state(1)
+const next = (value = step) => items.map(item => item + step)
+`)
+
+    expect(code).toContain('const next = (value = _state_step.value) => items.map(item => item + _state_step.value)')
+  })
+
+  test('compiles reactive statements', () => {
+    const { code, computed, effects } = compileScript(`
+let count = $state(0)
+$: doubled = count * 2
+$: effect(() => {
+  console.log(doubled)
+})
+$: console.log(count)
+`)
+
+    expect(code).toContain('const _computed_doubled = $computed(() => _state_count.value * 2)')
+    expect(code).toContain('$effect(() => {\n  console.log(_computed_doubled.value)\n})')
+    expect(code).toContain('$effect(() => { console.log(_state_count.value) })')
+    expect(computed).toEqual([{ name: 'doubled', expression: 'count * 2' }])
+    expect(effects).toHaveLength(2)
+  })
+
+  test('hoists imports and drops component exports', () => {
+    const { code, imports } = compileScript(`
+import Button from './Button.aspc'
+export const props = { title: { type: String } }
+let count = $state(0)
+`)
+
+    expect(imports).toEqual([`import Button from './Button.aspc'`])
+    expect(code).not.toContain('import')
+    expect(code).not.toContain('props')
+  })
+
+  test('merges named @aspscript/core imports into the compiler import', async () => {
+    const source = `
+---
+import { onDestroy, flushSync as flush } from '@aspscript/core'
+import * as core from '@aspscript/core'
+let count = $state(0)
+onDestroy(() => flush())
+---
+<p>{count}</p>
+`
+    const result = compile(source, { componentName: 'Timer' })
+
+    expect(result.match(/from '@aspscript\/core'/g)).toHaveLength(2)
+    expect(result).toMatch(/import \{ \$state, [^}]*onDestroy, effectScope, [^}]*, flushSync as flush \} from '@aspscript\/core'/)
+    expect(result).toContain("import * as core from '@aspscript/core'")
+
+    // Модуль без повторных объявлений импортируется
+    const dir = mkdtempSync(path.join(tmpdir(), 'aspscript-script-'))
+    try {
+      const file = path.join(dir, 'Timer.mjs')
+      writeFileSync(file, result.replaceAll("'@aspscript/core'", `'${pathToFileURL(coreEntry).href}'`))
+      const { default: Timer } = await import(pathToFileURL(file).href)
+      expect(typeof Timer).toBe('function')
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('reports syntax errors with the .aspc line', () => {
+    const source = `
+---
+let count = $state(0)
+count +=
+---
+<div>{count}</div>
+`
+
+    expect(() => compile(source, { file: 'Broken.aspc' })).toThrow(
+      expect.objectContaining({ name: 'CompilerError', file: 'Broken.aspc', line: 4 })
+    )
+  })
+})
@@ -0,0 +1,95 @@
+/**
+ * Tests for Source Maps
+ * Тесты source map v3: позиции script, выражений шаблона и стилей в .aspc
+ */
+
+import { compile } from '../index.js'
+import { mapped, sourceMarker, createSourceMap } from '../sourcemap.js'
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// Раскодирует mappings в [строка кода, колонка, строка исходника, колонка] (с нуля)
+function decode(mappings) {
+  const result = []
+  const state = [0, 0, 0, 0]
+
+  mappings.split(';').forEach((line, lineIndex) => {
+    state[0] = 0
+    line.split(',').filter(Boolean).forEach(segment => {
+      const values = []
+      let value = 0
+      let shift = 0
+      for (const char of segment) {
+        const digit = BASE64.indexOf(char)
+        value += (digit & 31) << shift
+        shift += 5
+        if (!(digit & 32)) {
+          values.push(value & 1 ? -(value >> 1) : value >> 1)
+          value = 0
+          shift = 0
+        }
+      }
+      values.forEach((delta, index) => { state[index] += delta })
+      result.push([lineIndex, state[0], state[2], state[3]])
+    })
+  })
+  return result
+}
+
+// Исходная позиция для первого вхождения needle в сгенерированном коде
+function originalOf(code, map, needle) {
+  const before = code.slice(0, code.indexOf(needle))
+  const line = before.split('\n').length - 1
+  const column = before.length - before.lastIndexOf('\n') - 1
+  const segment = decode(map.mappings)
+    .filter(([generatedLine, generatedColumn]) => generatedLine === line && generatedColumn <= column)
+    .pop()
+  return segment && { line: segment[2] + 1, column: segment[3] }
+}
+
+const source = `---
+let count = $state(0)
+function inc() {
+  count++
+}
+---
+<div>
+  <button @click="inc()">{count}</button>
+</div>
+
+<style>
+.box {
+  color: red;
+}
+</style>
+`
+
+describe('Source maps', () => {
+  test('returns { code, map } only when requested', () => {
+    const plain = compile(source, { componentName: 'Counter', file: 'src/Counter.aspc' })
+    const { code, map } = compile(source, { componentName: 'Counter', file: 'src/Counter.aspc', sourcemap: true })
+
+    expect(code).toBe(plain)
+    expect(map).toMatchObject({ version: 3, file: 'Counter.js', sources: ['src/Counter.aspc'], sourcesContent: [source] })
+  })
+
+  test('maps script, template expressions and styles back to the .aspc lines', () => {
+    for (const mode of ['dom', 'string']) {
+      const { code, map } = compile(source, { componentName: 'Counter', sourcemap: true, mode })
+
+      expect(code).not.toContain('/*@asp:')
+      expect(originalOf(code, map, '_state_count.value++')).toEqual({ line: 4, column: 2 })
+      expect(originalOf(code, map, 'color: red')).toEqual({ line: 13, column: 2 })
+      expect(originalOf(code, map, mode === 'dom' ? "listen(_n" : '_listen(')).toEqual({ line: 8, column: 10 })
+    }
+  })
+
+  test('removes markers and shifts fragment segments', () => {
+    const script = { code: 'a = 1', segments: [[0, 7]] }
+    const output = mapped`x\n${sourceMarker(3)}y ${script}`
+    const { code, map } = createSourceMap(output, 'abc\nde\nfghi')
+
+    expect(code).toBe('x\ny a = 1')
+    expect(decode(map.mappings)).toEqual([[1, 0, 0, 3], [1, 2, 2, 0]])
+  })
+})
@@ -0,0 +1,262 @@
+/**
+ * Tests for Styles
+ * Тесты <style>: sass и less с ошибками на строках .aspc, плагины и конфиг PostCSS,
+ * scoping по атрибуту компонента, CSS Modules и переменные bind(),
+ * вынесение CSS при сборке без неиспользуемых селекторов
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { compile } from '../index.js'
+import { compileStyle, createScopeId, collectTemplateUsage } from '../style.js'
+import { parseTemplate } from '../template-parser.js'
+
+// Реализация sass с тем же интерфейсом ошибок, что у пакета: span с нуля
+const fakeSass = {
+  calls: [],
+  compileString(css, options) {
+    this.calls.push(options)
+    const line = css.split('\n').findIndex(text => text.includes('$missing'))
+    if (line >= 0) {
+      const error = new Error('Undefined variable.')
+      error.sassMessage = 'Undefined variable.'
+      error.span = { start: { line, column: css.split('\n')[line].indexOf('$missing') }, url: options.url }
+      throw error
+    }
+    return { css: css.replace(/\$brand/g, '#333') }
+  }
+}
+
+// less: строки с единицы, колонки с нуля, callback вызывается синхронно
+const fakeLess = {
+  render(css, options, callback) {
+    const line = css.split('\n').findIndex(text => text.includes('@missing'))
+    if (line >= 0) {
+      callback({ message: 'variable @missing is undefined', line: line + 1, column: css.split('\n')[line].indexOf('@missing'), filename: options.filename })
+    } else {
+      callback(null, { css: css.replace(/@brand/g, '#333') })
+    }
+  }
+}
+
+const component = lang => `---
+let a = 1
+---
+<div class="box"></div>
+
+<style lang="${lang}">
+.box {
+  color: red;
+  border-color: ${lang === 'less' ? '@missing' : '$missing'};
+}
+</style>
+`
+
+// compile() печатает отформатированную ошибку через console.error
+function compileError(source, options) {
+  const error = console.error
+  console.error = () => {}
+  try {
+    compile(source, options)
+  } catch (caught) {
+    return caught
+  } finally {
+    console.error = error
+  }
+  return null
+}
+
+describe('Styles', () => {
+  test('compiles scss with the sass implementation and scopes the result', () => {
+    fakeSass.calls.length = 0
+    const css = compileStyle('<style lang="scss">\n.box { color: $brand; }\n</style>', 'data-asp-card', {
+      file: 'src/Card.aspc',
+      loadPaths: ['design-system'],
+      sass: fakeSass
+    }).css
+
+    expect(css).toBe('.box[data-asp-card] { color: #333; }')
+    expect(fakeSass.calls[0].syntax).toBe('scss')
+    expect(fakeSass.calls[0].loadPaths).toEqual(expect.arrayContaining([
+      path.resolve('src'),
+      path.resolve('design-system')
+    ]))
+  })
+
+  test('reports preprocessor errors as StyleError on .aspc lines', () => {
+    const scss = compileError(component('scss'), { file: 'Card.aspc', style: { sass: fakeSass } })
+    expect(scss).toMatchObject({ type: 'StyleError', code: 4001, file: 'Card.aspc', line: 9, column: 17 })
+
+    const less = compileError(component('less'), { file: 'Card.aspc', style: { less: fakeLess } })
+    expect(less).toMatchObject({ type: 'StyleError', code: 4002, file: 'Card.aspc', line: 9, column: 17 })
+    expect(less.message).toBe('variable @missing is undefined')
+  })
+
+  test('rejects unknown style languages', () => {
+    const error = compileError('<div></div>\n<style lang="stylus">\n.a\n  color red\n</style>', { file: 'A.aspc' })
+    expect(error).toMatchObject({ type: 'StyleError', code: 4000, line: 3 })
+  })
+
+  test('applies PostCSS plugins from options and postcss.config', () => {
+    const uppercase = { postcssPlugin: 'uppercase', Declaration(decl) { decl.value = decl.value.toUpperCase() } }
+    expect(compileStyle('<style>\n.a { color: red; }\n</style>', 'data-asp-a', { postcss: { plugins: [uppercase] } }).css)
+      .toBe('.a[data-asp-a] { color: RED; }')
+
+    const dir = mkdtempSync(path.join(tmpdir(), 'aspscript-style-'))
+    try {
+      mkdirSync(path.join(dir, 'components'))
+      writeFileSync(path.join(dir, 'tokens.cjs'), `module.exports = ({ brand }) => ({
+        postcssPlugin: 'tokens',
+        Declaration(decl) { decl.value = decl.value.replace('var(--brand)', brand) }
+      })
+      module.exports.postcss = true`)
+      writeFileSync(path.join(dir, '.postcssrc.json'), JSON.stringify({ plugins: { './tokens.cjs': { brand: '#123' } } }))
+
+      const file = path.join(dir, 'components', 'Button.aspc')
+      expect(compileStyle('<style>\n.b { color: var(--brand); }\n</style>', 'data-asp-b', { file }).css)
+        .toBe('.b[data-asp-b] { color: #123; }')
+      expect(compileStyle('<style>\n.b { color: var(--brand); }\n</style>', 'data-asp-b', { file, postcss: false }).css)
+        .toBe('.b[data-asp-b] { color: var(--brand); }')
+    } finally {
+      rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('scopes selectors with the component attribute', () => {
+    const css = compileStyle(`<style>
+.a, .b .c:hover::before,
+.d:after { color: red; }
+:is(.e, .f) > li:not(.g) { color: red; }
+html, body, :root { margin: 0; }
+@media (min-width: 600px) { @supports (display: grid) { .h { display: grid; } } }
+</style>`, 'data-asp-x').css
+
+    expect(css).toBe(`.a[data-asp-x], .b .c:hover[data-asp-x]::before,
+.d[data-asp-x]:after { color: red; }
+:is(.e, .f) > li:not(.g)[data-asp-x] { color: red; }
+html, body, :root { margin: 0; }
+@media (min-width: 600px) { @supports (display: grid) { .h[data-asp-x] { display: grid; } } }`)
+  })
+
+  test('supports :global(), :deep() and :slotted()', () => {
+    const css = compileStyle(`<style>
+:global(.theme) .a, :global(.reset) { color: red; }
+.list :deep(.item), .row:deep(.cell), :deep(.any) { color: red; }
+.wrap :slotted(.title::before) { color: red; }
+</style>`, 'data-asp-x').css
+
+    expect(css).toBe(`.theme .a[data-asp-x], .reset { color: red; }
+.list[data-asp-x] .item, .row[data-asp-x] .cell, [data-asp-x] .any { color: red; }
+.wrap .title[data-asp-x-s]::before { color: red; }`)
+  })
+
+  test('renames keyframes and their references', () => {
+    const css = compileStyle(`<style>
+@keyframes spin { from { transform: rotate(0); } to { transform: rotate(1turn); } }
+.a { animation: spin 1s linear; animation-name: spin, fade; }
+</style>`, 'data-asp-x').css
+
+    expect(css).toBe(`@keyframes spin-x { from { transform: rotate(0); } to { transform: rotate(1turn); } }
+.a[data-asp-x] { animation: spin-x 1s linear; animation-name: spin-x, fade; }`)
+  })
+
+  test('puts the scope attribute on the component markup', () => {
+    const source = '---\n---\n<div class="a"><slot></slot></div>\n<style>\n:slotted(p) { color: red; }\n</style>'
+    const scopeId = createScopeId('src/Card.aspc', 'Card')
+
+    expect(scopeId).toMatch(/^data-asp-[a-z0-9]+$/)
+    expect(createScopeId('src/Other.aspc', 'Card')).not.toBe(scopeId)
+
+    const dom = compile(source, { componentName: 'Card', file: 'src/Card.aspc' })
+    expect(dom).toContain(`template(\`<div ${scopeId} class="a"><!></div>\`)`)
+    expect(dom).toContain(`, '${scopeId}-s')`)
+    expect(dom).toContain(`p[${scopeId}-s] { color: red; }`)
+
+    const string = compile(source, { componentName: 'Card', file: 'src/Card.aspc', mode: 'string' })
+    expect(string).toContain(`<div ${scopeId} class="a">`)
+    expect(string).toContain(`setScopeId(renderSlot('default', {}, \`\`), '${scopeId}-s')`)
+  })
+
+  test('compiles <style module> into a class map', () => {
+    const style = compileStyle(`<style module>
+.title, :global(.x) .sub { color: red; }
+</style>`, 'data-asp-x')
+
+    expect(style.css).toBe('.title_x, .x .sub_x { color: red; }')
+    expect(style.module).toBe('$style')
+    expect(style.classes).toEqual({ title: 'title_x', sub: 'sub_x' })
+    expect(compileStyle('<style module="classes">\n.a {}\n</style>', 'data-asp-x').module).toBe('classes')
+
+    const code = compile('---\n---\n<h1 :class="$style.title"></h1>\n<style module>\n.title { color: red; }\n</style>', { componentName: 'Card', file: 'src/Card.aspc' })
+    expect(code).toMatch(/const \$style = \{"title":"title_\w+"\}/)
+    expect(code).not.toContain(`template(\`<h1 data-asp-`)
+  })
+
+  test('turns bind() into per-instance custom properties', () => {
+    const style = compileStyle(`<style>
+.a { color: bind(color); width: calc(bind('size.w') * 1px); border-color: bind(color); }
+</style>`, 'data-asp-x')
+
+    expect(style.css).toBe('.a[data-asp-x] { color: var(--x-color); width: calc(var(--x-size_w) * 1px); border-color: var(--x-color); }')
+    expect(style.vars).toEqual([
+      { name: '--x-color', expression: 'color' },
+      { name: '--x-size_w', expression: 'size.w' }
+    ])
+
+    const source = '---\nlet color = $state("red")\n---\n<div class="box"></div>\n<style>\n.box { color: bind(color); }\n</style>'
+    const scopeId = createScopeId('src/Box.aspc', 'Box').slice('data-asp-'.length)
+    const dom = compile(source, { componentName: 'Box', file: 'src/Box.aspc' })
+    expect(dom).toContain(`return useCssVars(_n0, () => ({ '--${scopeId}-color': _state_color.value }))`)
+
+    const string = compile(source, { componentName: 'Box', file: 'src/Box.aspc', mode: 'string' })
+    expect(string).toContain(`useCssVars(container.firstElementChild || container, () => ({ '--${scopeId}-color': _state_color.value }))`)
+  })
+
+  test('renders :class and :style in string mode', () => {
+    const code = compile('---\nlet active = $state(true)\n---\n<div class="box" style="margin: 0" :class="{ on: active }" :style="{ opacity: 1 }"></div>', { mode: 'string' })
+
+    expect(code).toContain('class="${escapeHtml(normalizeClass([`box`, { on: _state_active.value }]))}"')
+    expect(code).toContain('style="${escapeHtml(normalizeStyle([`margin: 0`, { opacity: 1 }]))}"')
+    expect(code).not.toContain('data-class')
+  })
+
+  test('drops selectors that cannot match the template', () => {
+    const usage = collectTemplateUsage(parseTemplate('<div class="card" id="main"><p class="title">a</p>{#if a}<span class="b"></span>{:else}<i class="c"></i>{/if}</div>'))
+    expect(usage).toMatchObject({ dynamicClass: false, dynamicId: false })
+    expect([...usage.classes]).toEqual(['card', 'title', 'b', 'c'])
+
+    const css = compileStyle(`<style>
+.card, .nope, p.title { color: red; }
+.unused, .gone { color: blue; }
+#main .b::before, #other { color: red; }
+:global(.theme) .nope, :deep(.z), :slotted(.q) { color: red; }
+@media (min-width: 600px) { .nope { color: red; } .c { color: red; } }
+</style>`, 'data-asp-x', { usage }).css
+
+    expect(css).toBe(`.card[data-asp-x], p.title[data-asp-x] { color: red; }
+
+#main .b[data-asp-x]::before { color: red; }
+[data-asp-x] .z, .q[data-asp-x-s] { color: red; }
+@media (min-width: 600px) {  .c[data-asp-x] { color: red; } }`)
+
+    // :class может дать любой класс - классы не отбрасываются
+    const dynamic = collectTemplateUsage(parseTemplate('<div :class="{ active }"></div>'))
+    expect(compileStyle('<style>\n.active, span { color: red; }\n</style>', 'data-asp-x', { usage: dynamic }).css)
+      .toBe('.active[data-asp-x] { color: red; }')
+  })
+
+  test("returns CSS separately with css: 'external'", () => {
+    const source = '---\n---\n<div class="a"></div>\n<style>\n.a { color: red; }\n.b { color: red; }\n</style>'
+    const result = compile(source, { componentName: 'Card', file: 'src/Card.aspc', css: 'external' })
+
+    expect(result.scopeId).toBe(createScopeId('src/Card.aspc', 'Card'))
+    expect(result.css).toBe(`.a[${result.scopeId}] { color: red; }\n`)
+    expect(result.code).toContain('useStyles(scopeId)')
+    expect(result.code).not.toContain('Inject styles')
+    expect(result.code).not.toContain('color: red')
+
+    const mapped = compile(source, { componentName: 'Card', file: 'src/Card.aspc', css: 'external', sourcemap: true })
+    expect(Object.keys(mapped)).toEqual(['code', 'map', 'css', 'scopeId'])
+  })
+})
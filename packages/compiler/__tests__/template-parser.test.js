@@ -0,0 +1,161 @@
+/**
+ * Tests for Template Parser
+ * Тесты парсера шаблонов: узлы AST, позиции и ошибки
+ */
+
+import { compile } from '../index.js'
+import { parseTemplate } from '../template-parser.js'
+import { compileDirectives } from '../directives.js'
+
+describe('parseTemplate', () => {
+  test('builds element, text and interpolation nodes with locations', () => {
+    const ast = parseTemplate('<div class="box">\n  Hello {name}!\n</div>')
+    const div = ast.children[0]
+
+    expect(div).toMatchObject({ type: 'Element', name: 'div' })
+    expect(div.attributes[0]).toMatchObject({ type: 'Attribute', name: 'class', value: [{ type: 'Text', value: 'box' }] })
+
+    const interpolation = div.children.find(node => node.type === 'Interpolation')
+    expect(interpolation.expression).toBe('name')
+    expect(interpolation.loc.start).toEqual({ line: 2, column: 9 })
+    expect(div.loc.end).toEqual({ line: 3, column: 7 })
+  })
+
+  test('parses nested blocks with branches', () => {
+    const ast = parseTemplate(`
+{#if a}
+  {#if b}<p>ab</p>{:else}<p>a</p>{/if}
+{:else if c}
+  c
+{:else}
+  none
+{/if}`)
+    const block = ast.children.find(node => node.type === 'Block')
+
+    expect(block.kind).toBe('if')
+    expect(block.branches.map(branch => branch.kind)).toEqual(['if', 'else if', 'else'])
+    expect(block.branches[1].expression).toBe('c')
+
+    const inner = block.branches[0].children.find(node => node.type === 'Block')
+    expect(inner.expression).toBe('b')
+    expect(inner.branches).toHaveLength(2)
+  })
+
+  test('parses loop, await and key blocks', () => {
+    const [loop] = parseTemplate('{#for (item, i) in items :key="id"}{item}{:else}empty{/for}').children
+    expect(loop).toMatchObject({ kind: 'for', expression: 'items', context: 'item', index: 'i', key: 'id' })
+    expect(loop.branches.map(branch => branch.kind)).toEqual(['body', 'else'])
+
+    const [each] = parseTemplate('{#each users as { name }}{name}{/each}').children
+    expect(each).toMatchObject({ kind: 'each', expression: 'users', context: '{ name }', index: null })
+
+    const [awaitBlock] = parseTemplate('{#await load()}...{:then data}{data}{:catch error}{error}{/await}').children
+    expect(awaitBlock.branches.map(branch => [branch.kind, branch.binding])).toEqual([
+      ['pending', null], ['then', 'data'], ['catch', 'error']
+    ])
+
+    const [keyBlock] = parseTemplate('{#key id}<Profile />{/key}').children
+    expect(keyBlock).toMatchObject({ kind: 'key', expression: 'id' })
+    expect(keyBlock.branches[0].children[0]).toMatchObject({ type: 'Component', name: 'Profile', selfClosing: true })
+  })
+
+  test('separates directives from attributes', () => {
+    const [input] = parseTemplate('<input type="text" #bind:value.trim="name" @keydown.enter.prevent="save()" :disabled="busy">').children
+
+    expect(input.attributes.map(attribute => attribute.name)).toEqual(['type'])
+    expect(input.directives.map(({ kind, name, modifiers }) => ({ kind, name, modifiers }))).toEqual([
+      { kind: 'bind', name: 'value', modifiers: ['trim'] },
+      { kind: 'on', name: 'keydown', modifiers: ['enter', 'prevent'] },
+      { kind: 'prop', name: 'disabled', modifiers: [] }
+    ])
+  })
+
+  test('expands #bind on components into a prop and an update event', () => {
+    const [child] = parseTemplate('<Field #bind:text="form.name" @update:text="log" />').children
+
+    expect(child.directives.map(({ kind, name, expression }) => ({ kind, name, expression }))).toEqual([
+      { kind: 'prop', name: 'text', expression: 'form.name' },
+      { kind: 'on', name: 'update:text', expression: '$event => { form.name = $event }' },
+      { kind: 'on', name: 'update:text', expression: 'log' }
+    ])
+  })
+
+  test('rejects modifiers on component events', () => {
+    expect(() => parseTemplate('<Dialog @close.once="done" />')).toThrow('Модификаторы @close.once не поддерживаются для событий компонента')
+  })
+
+  test('requires an assignable #bind target and known modifiers', () => {
+    expect(() => parseTemplate('<input #bind="count + 1">')).toThrow('#bind требует переменную или путь к свойству')
+    expect(() => parseTemplate('<input #bind="user?.name">')).toThrow('#bind требует переменную')
+    expect(() => parseTemplate('<input #bind.upper="name">')).toThrow('Неизвестный модификатор .upper для #bind')
+  })
+
+  test('rejects #bind to read-only props and points to update events', () => {
+    expect(() => parseTemplate('<input #bind="props.value">')).toThrow(
+      expect.objectContaining({ code: 2004, message: expect.stringContaining("emit('update:value', value)") })
+    )
+    expect(() => parseTemplate('<Field #bind:text="props.text" />')).toThrow('#bind:text="props.text" присваивает значение props')
+    expect(() => parseTemplate('<input #bind="props.form.email">')).not.toThrow()
+  })
+
+  test('parses {@html} and rejects unknown {@tags}', () => {
+    const [html] = parseTemplate('{@html post.body}').children
+
+    expect(html).toMatchObject({ type: 'Html', expression: 'post.body' })
+    expect(() => parseTemplate('{@debug user}')).toThrow('Неизвестный тег {@debug}')
+    expect(() => parseTemplate('{@html }')).toThrow('Пустое выражение {@html}')
+  })
+
+  test('allows } inside interpolations and > inside attribute values', () => {
+    const [div] = parseTemplate('<div title="a > b" #if="count > 1">{ fmt({ n: count }, `}${x}`) }</div>').children
+
+    expect(div.attributes[0].value[0].value).toBe('a > b')
+    expect(div.directives[0]).toMatchObject({ kind: 'if', expression: 'count > 1' })
+    expect(div.children[0].expression).toBe('fmt({ n: count }, `}${x}`)')
+  })
+
+  test('reports unclosed blocks and tags with the .aspc position', () => {
+    expect(() => parseTemplate('<div>\n  {#if ok}\n</div>', { file: 'App.aspc', lineOffset: 4 })).toThrow(
+      expect.objectContaining({ name: 'CompilerError', file: 'App.aspc', line: 7, column: 1 })
+    )
+    expect(() => parseTemplate('<ul>\n  {#for item in items}<li>{item}</li>')).toThrow(/Незакрытый блок \{#for\}/)
+    expect(() => parseTemplate('<section><p></section>')).toThrow(/ожидался <\/p>/)
+    expect(() => parseTemplate('{#for item}{/for}')).toThrow(/Неверный синтаксис \{#for\}/)
+    expect(() => parseTemplate('<p>{count +}</p>')).toThrow(/Неверное выражение/)
+  })
+})
+
+describe('template generation', () => {
+  const metadata = { states: [{ name: 'count' }, { name: 'items' }], computed: [] }
+
+  test('compiles nested #if blocks', () => {
+    const result = compileDirectives('{#if count}{#if items}<p>both</p>{/if}{/if}', metadata)
+
+    expect(result).toBe("${_state_count.value ? `${_state_items.value ? `<p>both</p>` : ''}` : ''}")
+  })
+
+  test('loop variables shadow component state', () => {
+    const result = compileDirectives('{#for count in items}<b>{count}</b>{/for}', metadata)
+
+    expect(result).toContain('renderEach(_state_items.value, (count, __index) => `<b>${escapeHtml(count)}</b>`)')
+  })
+
+  test('#if attribute makes the whole element conditional', () => {
+    const result = compileDirectives('<p #if="count > 1" title="a > b">many</p>', metadata)
+
+    expect(result).toBe('${_state_count.value > 1 ? `<p title="a > b">many</p>` : \'\'}')
+  })
+
+  test('compile() reports template errors with the .aspc line', () => {
+    const source = `---
+let count = $state(0)
+---
+<div>
+  {#if count}
+</div>
+`
+    expect(() => compile(source, { file: 'Broken.aspc' })).toThrow(
+      expect.objectContaining({ name: 'CompilerError', file: 'Broken.aspc', line: 6 })
+    )
+  })
+})
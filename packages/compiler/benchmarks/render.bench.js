@@ -0,0 +1,166 @@
+/**
+ * AspScript Compiler - Render Benchmarks
+ * Сравнение режимов рендера: 'string' (innerHTML) и 'dom' (клонирование + точечные привязки)
+ *
+ * Запуск: npm run bench (нужен jsdom из devDependencies)
+ *
+ * В режиме 'string' любое изменение состояния требует повторного render()
+ * и замены DOM. В режиме 'dom' обновление применяет только эффекты
+ * затронутых привязок.
+ */
+
+import { writeFileSync, mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { JSDOM } from 'jsdom'
+import { compile } from '../index.js'
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+const coreUrl = pathToFileURL(path.resolve(__dirname, '../../core/index.js')).href
+
+const ROWS = Number(process.env.BENCH_ROWS || 1000)
+const UPDATES = Number(process.env.BENCH_UPDATES || 200)
+
+// Таблица с фильтром: типичный экран со списком и полем ввода
+const source = `
+---
+let rows = $state(Array.from({ length: ${ROWS} }, (_, id) => ({ id, label: 'Row ' + id, done: id % 3 === 0 })))
+let selected = $state(-1)
+let query = $state('')
+
+props.expose?.({
+  select: id => selected = id,
+  rename: (index, label) => rows[index].label = label,
+  type: value => query = value
+})
+---
+<section class="table">
+  <input placeholder="Filter" #bind="query">
+  <p>Selected: {selected}</p>
+  <ul>
+    {#for row in rows}
+      <li :class="{ done: row.done, selected: row.id === selected }">
+        <span>{row.id}</span> {row.label}
+      </li>
+    {/for}
+  </ul>
+</section>
+`
+
+const { window } = new JSDOM('<!doctype html><body></body>')
+globalThis.window = window
+globalThis.document = window.document
+
+const core = await import(coreUrl)
+const outputDir = mkdtempSync(path.join(tmpdir(), 'aspscript-bench-'))
+
+async function load(mode) {
+  const code = compile(source, { componentName: `Table_${mode}`, mode })
+    .replaceAll(`'@aspscript/core'`, `'${coreUrl}'`)
+  const file = path.join(outputDir, `${mode}.js`)
+  writeFileSync(file, code)
+  return (await import(pathToFileURL(file).href)).default
+}
+
+/**
+ * Создает экземпляр и возвращает функцию «применить изменение и показать результат»
+ */
+function mount(Component, mode) {
+  const container = document.createElement('div')
+  document.body.appendChild(container)
+
+  let controls
+  const instance = Component({ expose: api => { controls = api } })
+  container.appendChild(instance.render())
+
+  const commit = mode === 'dom'
+    ? () => core.flushSync()
+    // Без точечных привязок результат изменения виден только после нового render()
+    : () => container.replaceChildren(instance.render())
+
+  return {
+    controls,
+    commit,
+    container,
+    destroy() {
+      instance.cleanup()
+      container.remove()
+    }
+  }
+}
+
+function measure(iterations, fn) {
+  // Прогрев
+  for (let i = 0; i < Math.min(5, iterations); i++) fn(i)
+
+  const start = performance.now()
+  for (let i = 0; i < iterations; i++) fn(i)
+  return (performance.now() - start) / iterations
+}
+
+const components = {
+  string: await load('string'),
+  dom: await load('dom')
+}
+
+const scenarios = {
+  'initial render': (Component, mode) => measure(20, () => mount(Component, mode).destroy()),
+
+  'update one text': (Component, mode) => {
+    const app = mount(Component, mode)
+    const time = measure(UPDATES, i => {
+      app.controls.select(i % ROWS)
+      app.commit()
+    })
+    app.destroy()
+    return time
+  },
+
+  'update one row': (Component, mode) => {
+    const app = mount(Component, mode)
+    const time = measure(UPDATES, i => {
+      app.controls.rename(i % ROWS, `Renamed ${i}`)
+      app.commit()
+    })
+    app.destroy()
+    return time
+  },
+
+  'type into input': (Component, mode) => {
+    const app = mount(Component, mode)
+    const time = measure(UPDATES, i => {
+      app.controls.type('q'.repeat(i % 10))
+      app.commit()
+    })
+    app.destroy()
+    return time
+  }
+}
+
+console.log(`\nAspScript render benchmark: ${ROWS} rows, ${UPDATES} updates\n`)
+
+const results = Object.entries(scenarios).map(([name, run]) => {
+  const string = run(components.string, 'string')
+  const dom = run(components.dom, 'dom')
+  return {
+    scenario: name,
+    'string, ms': string.toFixed(3),
+    'dom, ms': dom.toFixed(3),
+    speedup: `${(string / dom).toFixed(1)}x`
+  }
+})
+
+console.table(results)
+
+// Сохраняется ли DOM между обновлениями (фокус и ввод пользователя)
+for (const mode of ['string', 'dom']) {
+  const app = mount(components[mode], mode)
+  const input = app.container.querySelector('input')
+  app.controls.select(1)
+  app.commit()
+  console.log(`${mode}: input element preserved after update - ${app.container.querySelector('input') === input}`)
+  app.destroy()
+}
+
+rmSync(outputDir, { recursive: true, force: true })
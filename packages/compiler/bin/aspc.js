@@ -10,6 +10,7 @@ import path from 'path'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
 import { compile } from '../index.js'
+import { extractCss } from '../css-extract.js'
 import { analyzeBundle } from '../bundle-analyzer.js'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -17,6 +18,9 @@ const __dirname = dirname(__filename)
 
 const args = process.argv.slice(2)
 const command = args[0]
+// Флаги (--sourcemap) не считаются позиционными аргументами
+const params = args.slice(1).filter(arg => !arg.startsWith('--'))
+const sourcemap = args.includes('--sourcemap')
 
 if (!command) {
   showHelp()
@@ -28,7 +32,7 @@ switch (command) {
     buildProject()
     break
   case 'compile':
-    compileFile(args[1], args[2])
+    compileFile(params[0], params[1])
     break
   case 'dev':
     console.log('🚀 Dev server is not implemented in aspc')
@@ -36,7 +40,7 @@ switch (command) {
     process.exit(1)
     break
   case 'analyze':
-    analyzeBundleCmd(args[1], args[2])
+    analyzeBundleCmd(params[0], params[1])
     break
   case 'init':
     initProject()
@@ -97,8 +101,9 @@ AspScript Compiler CLI v1.2.0
   aspc <command> [options]
 
 Команды:
-  build [dir]              Собрать проект в директории (по умолчанию ./src)
+  build [dir] [out]        Собрать проект в директории (по умолчанию ./src)
   compile <input> [output] Скомпилировать один .aspc файл
+  --sourcemap              Записать рядом source map (<файл>.js.map)
   analyze <bundle> [format] Анализировать размер бандла (format: console, json, html)
   init [name]              Инициализировать новый AspScript проект
   version, -v, --version   Показать версию
@@ -107,6 +112,7 @@ AspScript Compiler CLI v1.2.0
 Примеры:
   aspc build
   aspc build ./components
+  aspc build src dist --sourcemap
   aspc compile App.aspc
   aspc compile Component.aspc dist/Component.js
   aspc analyze dist/bundle.js
@@ -123,8 +129,8 @@ AspScript Compiler CLI v1.2.0
  * Собирает весь проект
  */
 function buildProject() {
-  const sourceDir = args[1] || './src'
-  const outputDir = args[2] || './dist'
+  const sourceDir = params[0] || './src'
+  const outputDir = params[1] || './dist'
 
   console.log(`🛠️  Сборка AspScript проекта из ${sourceDir} в ${outputDir}`)
 
@@ -142,21 +148,31 @@ function buildProject() {
 
     console.log(`📄 Найдено ${aspcFiles.length} файлов для компиляции\n`)
 
-    // Компилируем каждый файл
+    // Компилируем каждый файл; CSS собирается в файлы сборки, а не вставляется компонентами
     let successCount = 0
+    const components = []
     for (const file of aspcFiles) {
       try {
         const relativePath = path.relative(sourceDir, file)
         const outputPath = path.join(outputDir, relativePath.replace('.aspc', '.js'))
 
         console.log(`  ⚙️  ${relativePath}`)
-        compileFile(file, outputPath)
+        components.push(compileFile(file, outputPath, 'external'))
         successCount++
       } catch (error) {
         console.error(`  ❌ Ошибка: ${error.message}`)
       }
     }
 
+    // CSS: общий файл и по файлу на ленивый чанк, манифест для SSR и браузера
+    const { assets, manifest } = extractCss(components)
+    assets.forEach(({ fileName, css }) => {
+      ensureDir(path.join(outputDir, path.dirname(fileName)))
+      writeFileSync(path.join(outputDir, fileName), css, 'utf-8')
+      console.log(`  🎨 ${fileName}`)
+    })
+    writeFileSync(path.join(outputDir, 'aspscript-styles.json'), JSON.stringify(manifest, null, 2), 'utf-8')
+
     console.log(`\n✅ Сборка завершена! Скомпилировано ${successCount}/${aspcFiles.length} компонентов`)
   } catch (error) {
     console.error('❌ Ошибка сборки:', error.message)
@@ -166,8 +182,10 @@ function buildProject() {
 
 /**
  * Компилирует один файл
+ * @param {string} [css] - 'external' при сборке: CSS возвращается, а не вставляется компонентом
+ * @returns {Object} { file, source, css, scopeId } для extractCss
  */
-function compileFile(inputPath, outputPath) {
+function compileFile(inputPath, outputPath, css = 'inject') {
   if (!inputPath) {
     console.error('❌ Укажите входной .aspc файл')
     process.exit(1)
@@ -190,9 +208,6 @@ function compileFile(inputPath, outputPath) {
     // Определяем имя компонента
     const componentName = path.basename(inputPath, '.aspc')
 
-    // Компилируем
-    const compiled = compile(source, { componentName })
-
     // Определяем выходной путь
     const finalOutputPath = outputPath || inputPath.replace('.aspc', '.js')
 
@@ -200,12 +215,26 @@ function compileFile(inputPath, outputPath) {
     const outputDir = path.dirname(finalOutputPath)
     ensureDir(outputDir)
 
-    // Записываем результат
-    writeFileSync(finalOutputPath, compiled, 'utf-8')
+    // Компилируем и записываем результат
+    const result = compile(source, { componentName, file: inputPath, sourcemap, css })
+    const { code, map } = typeof result === 'string' ? { code: result } : result
+    if (sourcemap) {
+      const mapName = `${path.basename(finalOutputPath)}.map`
+
+      // Пути в карте - относительно ее файла
+      map.file = path.basename(finalOutputPath)
+      map.sources = [path.relative(outputDir, inputPath).split(path.sep).join('/')]
+      writeFileSync(finalOutputPath, `${code}\n//# sourceMappingURL=${mapName}\n`, 'utf-8')
+      writeFileSync(`${finalOutputPath}.map`, JSON.stringify(map), 'utf-8')
+    } else {
+      writeFileSync(finalOutputPath, code, 'utf-8')
+    }
 
     if (!outputPath) {
       console.log(`✅ ${inputPath} → ${finalOutputPath}`)
     }
+
+    return { file: inputPath, source, css: result.css ?? '', scopeId: result.scopeId ?? null }
   } catch (error) {
     console.error(`❌ Ошибка компиляции ${inputPath}:`, error.message)
     process.exit(1)
@@ -216,7 +245,7 @@ function compileFile(inputPath, outputPath) {
  * Инициализирует новый проект
  */
 function initProject() {
-  const projectName = args[1] || 'aspscript-app'
+  const projectName = params[0] || 'aspscript-app'
 
   console.log(`🚀 Инициализация нового AspScript проекта: ${projectName}`)
 
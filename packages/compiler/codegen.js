@@ -0,0 +1,559 @@
+/**
+ * AspScript Compiler - DOM Code Generation
+ * Генерация render() из AST шаблона без innerHTML
+ *
+ * Статическая разметка каждого фрагмента выносится в template() на уровне
+ * модуля и клонируется при рендере. Динамические части получают точечные
+ * привязки: текстовый узел или атрибут - свой $effect, блоки - якорь-комментарий
+ * и помощник из @aspscript/core (ifBlock, eachBlock, ...).
+ */
+
+import { VOID_ELEMENTS } from './template-parser.js'
+import { compileExpression, getPatternNames } from './script.js'
+import { compileEventListener } from './events.js'
+import { generateComponentProps } from './components.js'
+import { sourceMarker } from './sourcemap.js'
+import { generateCssVars } from './style.js'
+
+// :name на этих атрибутах устанавливает DOM-свойство, а не атрибут
+const DOM_PROPERTIES = new Set(['value', 'checked', 'selected', 'muted', 'indeterminate'])
+
+// Первый перевод строки в этих элементах HTML-парсер отбрасывает
+const LEADING_NEWLINE_ELEMENTS = new Set(['pre', 'textarea', 'listing'])
+
+// Секции <table>: строки вне них HTML-парсер переносит в неявный <tbody>
+const TABLE_SECTIONS = new Set(['thead', 'tbody', 'tfoot', 'caption', 'colgroup'])
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * Генерирует тело render() для узлов шаблона
+ * @param {Array} nodes - дочерние узлы корня AST
+ * @param {Object} metadata - метаданные script (states, computed)
+ * @param {Object} [options] - sourceOffset: смещение шаблона в .aspc; если задано,
+ *   привязки отмечаются sourceMarker() для source map; scopeId - атрибут scope
+ *   на каждом элементе шаблона; slotScopeId - атрибут содержимого слотов для :slotted();
+ *   cssVars - переменные bind() из <style> для корневых элементов
+ * @returns {Object} { code, hoisted, helpers }
+ *   code - инструкции, последняя возвращает корневой узел;
+ *   hoisted - объявления template() для уровня модуля;
+ *   helpers - используемые помощники @aspscript/core
+ */
+export function generateDOM(nodes, metadata = {}, options = {}) {
+  const context = {
+    metadata,
+    sourceOffset: options.sourceOffset ?? null,
+    scopeId: options.scopeId ?? null,
+    slotScopeId: options.slotScopeId ?? null,
+    locals: [],
+    hoisted: [],
+    helpers: new Set(),
+    uid: { value: 0 }
+  }
+  const { code, result } = generateFragment(nodes, context)
+
+  // bind() в <style>: переменные ставятся на корневые элементы экземпляра
+  const cssVars = options.cssVars ?? []
+  if (cssVars.length > 0) context.helpers.add('useCssVars')
+  const root = cssVars.length > 0 ? `useCssVars(${result}, () => (${generateCssVars(cssVars, metadata)}))` : result
+
+  return {
+    code: `${code}\nreturn ${root}`.trim(),
+    hoisted: context.hoisted,
+    helpers: [...context.helpers]
+  }
+}
+
+/**
+ * Генерирует создание фрагмента: клонирование шаблона, ссылки на
+ * динамические узлы и их привязки
+ * @returns {Object} { code, result } - инструкции и имя переменной с узлом
+ */
+function generateFragment(nodes, context) {
+  const children = trimWhitespace(nodes)
+  if (children.length === 0) {
+    return { code: '', result: 'null' }
+  }
+
+  const builder = { html: '', bindings: [] }
+  const count = appendChildren(children, [], builder, context)
+
+  const templateName = `_tmpl${context.hoisted.length}`
+  context.hoisted.push(`const ${templateName} = template(\`${escapeTemplate(builder.html)}\`)`)
+  context.helpers.add('template')
+
+  const root = nextName(context)
+  const lines = [`const ${root} = ${templateName}()`]
+
+  // Один корень - template() возвращает сам элемент, иначе DocumentFragment.
+  // Якорь блока, компонента или слота всегда во фрагменте (см. template())
+  const single = count === 1 && builder.html !== '<!>'
+  const references = new Map(single ? [] : [['', root]])
+  const resolve = path => {
+    const key = path.join('/')
+    if (references.has(key)) return references.get(key)
+
+    let name
+    if (single && path.length === 1) {
+      name = root
+    } else {
+      const parent = resolve(path.slice(0, -1))
+      name = nextName(context)
+      lines.push(`const ${name} = ${parent}.childNodes[${path[path.length - 1]}]`)
+    }
+    references.set(key, name)
+    return name
+  }
+
+  // Сначала все ссылки: блоки вставляют узлы и сдвигают индексы соседей
+  const targets = builder.bindings.map(binding => resolve(binding.path))
+
+  // #bind - после блоков, чтобы <select> уже содержал option из {#for}
+  const order = builder.bindings.map((binding, index) => index)
+    .sort((a, b) => (builder.bindings[a].type === 'bind') - (builder.bindings[b].type === 'bind') || a - b)
+  order.forEach(index => {
+    lines.push(mark(builder.bindings[index], context) + generateBinding(builder.bindings[index], targets[index], context))
+  })
+
+  return { code: lines.join('\n'), result: root }
+}
+
+/**
+ * Добавляет узлы в HTML шаблона и собирает привязки
+ * @returns {number} количество созданных DOM-узлов
+ */
+function appendChildren(nodes, parentPath, builder, context) {
+  let index = 0
+  let i = 0
+
+  while (i < nodes.length) {
+    const node = nodes[i]
+    const path = [...parentPath, index]
+
+    // Соседние текст и интерполяции становятся одним текстовым узлом
+    if (node.type === 'Text' || node.type === 'Interpolation') {
+      const run = []
+      while (i < nodes.length && (nodes[i].type === 'Text' || nodes[i].type === 'Interpolation')) {
+        run.push(nodes[i++])
+      }
+
+      if (run.some(part => part.type === 'Interpolation')) {
+        builder.html += ' '
+        builder.bindings.push({ type: 'text', path, parts: run })
+      } else {
+        builder.html += run.map(part => part.value).join('')
+      }
+      index++
+      continue
+    }
+
+    i++
+    if (node.type === 'Comment') {
+      builder.html += `<!--${node.value}-->`
+    } else if (node.type === 'Block') {
+      builder.html += '<!>'
+      builder.bindings.push({ type: 'block', path, node })
+    } else if (node.type === 'Html') {
+      builder.html += '<!>'
+      builder.bindings.push({ type: 'html', path, node })
+    } else if (node.name === 'slot') {
+      builder.html += '<!>'
+      builder.bindings.push({ type: 'slot', path, node })
+    } else if (node.directives.some(directive => directive.kind === 'if')) {
+      builder.html += '<!>'
+      builder.bindings.push({ type: 'conditional', path, node })
+    } else if (node.type === 'Component') {
+      builder.html += '<!>'
+      builder.bindings.push({ type: 'component', path, node })
+    } else {
+      appendElement(node, path, builder, context)
+    }
+    index++
+  }
+
+  return index
+}
+
+function appendElement(node, path, builder, context) {
+  const dynamic = new Set(
+    node.directives
+      .filter(directive => directive.kind === 'prop' && (directive.name === 'class' || directive.name === 'style'))
+      .map(directive => directive.name)
+  )
+
+  builder.html += `<${node.name}${context.scopeId ? ` ${context.scopeId}` : ''}`
+
+  node.attributes.forEach(attribute => {
+    // Статический class/style объединяется с :class/:style в привязке
+    if (dynamic.has(attribute.name)) return
+
+    if (attribute.value === null) {
+      builder.html += ` ${attribute.name}`
+    } else if (attribute.value.every(part => part.type === 'Text')) {
+      builder.html += ` ${attribute.name}="${attribute.value.map(part => part.value).join('').replace(/"/g, '&quot;')}"`
+    } else {
+      builder.bindings.push({ type: 'attribute', path, name: attribute.name, parts: attribute.value })
+    }
+  })
+
+  node.directives.forEach(directive => {
+    switch (directive.kind) {
+      case 'on':
+        builder.bindings.push({ type: 'event', path, directive })
+        break
+      case 'prop': {
+        const base = node.attributes.find(attribute => attribute.name === directive.name && dynamic.has(attribute.name))
+        builder.bindings.push({ type: 'prop', path, directive, base })
+        break
+      }
+      case 'bind':
+        builder.bindings.push({ type: directive.name === 'this' ? 'ref' : 'bind', path, directive })
+        break
+      case 'for':
+        builder.html += ` data-for="${directive.expression.replace(/"/g, '&quot;')}"`
+        break
+      default:
+        builder.html += directive.expression === null
+          ? ` ${directive.rawName}`
+          : ` ${directive.rawName}="${directive.expression.replace(/"/g, '&quot;')}"`
+    }
+  })
+
+  builder.html += '>'
+  if (VOID_ELEMENTS.has(node.name.toLowerCase())) return
+
+  const first = node.children[0]
+  if (LEADING_NEWLINE_ELEMENTS.has(node.name.toLowerCase()) && first?.type === 'Text' && first.value.startsWith('\n')) {
+    builder.html += '\n'
+  }
+
+  const children = node.name.toLowerCase() === 'table' ? wrapTableRows(node.children) : node.children
+  appendChildren(children, path, builder, context)
+  builder.html += `</${node.name}>`
+}
+
+/**
+ * Вставляет <tbody>, который HTML-парсер добавит сам: template() разбирает
+ * шаблон браузером, и пути childNodes должны совпадать с его деревом
+ */
+function wrapTableRows(children) {
+  const isElement = (node, names) => node.type === 'Element' &&
+    names.has(node.name.toLowerCase()) &&
+    !node.directives.some(directive => directive.kind === 'if')
+
+  const start = children.findIndex(node => isElement(node, new Set(['tr'])))
+  if (start === -1) return children
+
+  // Строки и все, что за ними, до следующей секции таблицы
+  let end = children.findIndex((node, index) => index > start && isElement(node, TABLE_SECTIONS))
+  if (end === -1) end = children.length
+
+  const tbody = { type: 'Element', name: 'tbody', attributes: [], directives: [], children: children.slice(start, end) }
+  return [...children.slice(0, start), tbody, ...wrapTableRows(children.slice(end))]
+}
+
+// ============================================================================
+// ПРИВЯЗКИ
+// ============================================================================
+
+function generateBinding(binding, target, context) {
+  const use = name => {
+    context.helpers.add(name)
+    return name
+  }
+
+  switch (binding.type) {
+    case 'text':
+      return `$effect(() => ${use('setText')}(${target}, ${generateParts(binding.parts, context)}))`
+
+    case 'attribute':
+      return `$effect(() => ${use('setAttribute')}(${target}, '${binding.name}', ${generateParts(binding.parts, context)}))`
+
+    case 'prop': {
+      const { directive, base } = binding
+      let value = expression(directive.expression, context)
+
+      if (directive.name === 'class' || directive.name === 'style') {
+        const normalize = use(directive.name === 'class' ? 'normalizeClass' : 'normalizeStyle')
+        if (base?.value) value = `[${generateParts(base.value, context)}, ${value}]`
+        return `$effect(() => ${use('setAttribute')}(${target}, '${directive.name}', ${normalize}(${value})))`
+      }
+      if (DOM_PROPERTIES.has(directive.name)) {
+        return `$effect(() => ${use('setProperty')}(${target}, '${directive.name}', ${value}))`
+      }
+      return `$effect(() => ${use('setAttribute')}(${target}, '${directive.name}', ${value}))`
+    }
+
+    case 'event': {
+      const { handler, options } = compileEventListener(binding.directive, context.metadata, context.locals)
+      return `${use('listen')}(${target}, '${binding.directive.name}', ${handler}${options ? `, ${options}` : ''})`
+    }
+
+    case 'bind': {
+      const { directive } = binding
+      const path = expression(directive.expression, context)
+      const modifiers = generateBindModifiers(directive)
+      return `${use('bindProperty')}(${target}, '${directive.name}', () => ${path}, $value => { ${path} = $value }${modifiers ? `, ${modifiers}` : ''})`
+    }
+
+    case 'ref': {
+      const path = expression(binding.directive.expression, context)
+      return `${use('bindThis')}(${target}, $element => { ${path} = $element })`
+    }
+
+    case 'block':
+      return generateBlock(binding.node, target, context, use)
+
+    case 'html':
+      return `${use('htmlBlock')}(${target}, () => ${expression(binding.node.expression, context)})`
+
+    case 'slot':
+      return generateSlot(binding.node, target, context, use)
+
+    case 'component':
+      return generateComponent(binding.node, target, context, use)
+
+    case 'conditional': {
+      // <div #if="cond"> - блок с одной веткой из самого элемента
+      const condition = binding.node.directives.find(directive => directive.kind === 'if')
+      const element = {
+        ...binding.node,
+        directives: binding.node.directives.filter(directive => directive !== condition)
+      }
+      return `${use('ifBlock')}(${target}, () => ${expression(condition.expression, context)} ? 0 : -1, [${generateFactory([element], context)}])`
+    }
+
+    default:
+      return ''
+  }
+}
+
+function generateBlock(node, anchor, context, use) {
+  switch (node.kind) {
+    case 'if': {
+      // () => a ? 0 : b ? 1 : 2
+      let select = ''
+      node.branches.forEach((branch, index) => {
+        select += branch.kind === 'else' ? `${index}` : `${expression(branch.expression, context)} ? ${index} : `
+      })
+      if (node.branches[node.branches.length - 1].kind !== 'else') select += '-1'
+
+      const branches = node.branches.map(branch => generateFactory(branch.children, context))
+      return `${use('ifBlock')}(${anchor}, () => ${select}, [\n${indent(branches.join(',\n'))}\n])`
+    }
+
+    case 'for':
+    case 'each': {
+      const [body, empty] = node.branches
+      const names = getPatternNames(node.context)
+
+      // Элемент и индекс строки - состояния: новый объект под тем же ключом
+      // и перестановка меняют только их, а не всю строку. Имена деструктуризации
+      // читают элемент через $computed
+      const pattern = !/^[\w$]+$/.test(node.context.trim())
+      const item = pattern ? '$item' : node.context
+      const params = node.index ? `${item}, ${node.index}` : item
+      const prelude = pattern
+        ? names.map(name => `const ${name} = $computed(() => { const ${node.context} = $item.value; return ${name} })`).join('\n')
+        : ''
+
+      const declared = [...names, node.index].filter(Boolean)
+      const signals = [...(context.metadata.signals ?? []).filter(name => !declared.includes(name)), ...declared]
+      const rowContext = {
+        ...context,
+        locals: context.locals.filter(name => !declared.includes(name)),
+        metadata: { ...context.metadata, signals }
+      }
+
+      const list = node.range
+        ? `${use('createRange')}(${expression(node.range.start, context)}, ${expression(node.range.end, context)})`
+        : expression(node.expression, context)
+
+      const args = [
+        anchor,
+        `() => ${list}`,
+        generateFactory(body.children, rowContext, params, prelude)
+      ]
+      if (node.key) {
+        args.push(empty ? generateFactory(empty.children, context) : 'null', generateKey(node, context))
+      } else if (empty) {
+        args.push(generateFactory(empty.children, context))
+      }
+
+      return `${use('eachBlock')}(${args.join(', ')})`
+    }
+
+    case 'await': {
+      const factory = kind => {
+        const branch = node.branches.find(candidate => candidate.kind === kind)
+        if (!branch) return 'null'
+        if (!branch.binding) return generateFactory(branch.children, context)
+
+        const locals = [...context.locals, ...getPatternNames(branch.binding)]
+        return generateFactory(branch.children, { ...context, locals }, branch.binding)
+      }
+
+      return `${use('awaitBlock')}(${anchor}, () => ${expression(node.expression, context)}, ${factory('pending')}, ${factory('then')}, ${factory('catch')})`
+    }
+
+    case 'key':
+      return `${use('keyBlock')}(${anchor}, () => ${expression(node.expression, context)}, ${generateFactory(node.branches[0].children, context)})`
+
+    default:
+      return ''
+  }
+}
+
+/**
+ * Функция ключа строки: :key="item.id" => (item) => item.id
+ * Имя, не объявленное циклом, - свойство элемента: :key="id" => $item => $item.id
+ */
+function generateKey(node, context) {
+  const names = [...getPatternNames(node.context), ...(node.index ? [node.index] : [])]
+
+  if (/^[\w$]+$/.test(node.key) && !names.includes(node.key)) {
+    return `$item => $item.${node.key}`
+  }
+
+  const params = node.index ? `${node.context}, ${node.index}` : node.context
+  return `${formatParams(params)} => ${expression(node.key, { ...context, locals: [...context.locals, ...names] })}`
+}
+
+/**
+ * <slot name="x" :data="value">fallback</slot>
+ * => slotBlock(anchor, () => renderSlot('x', { data: value }, () => fallback)[, slotScopeId])
+ */
+function generateSlot(node, anchor, context, use) {
+  const name = node.attributes.find(attribute => attribute.name === 'name')?.value?.[0]?.value ?? 'default'
+  const props = node.directives
+    .filter(directive => directive.kind === 'prop')
+    .map(directive => `${directive.name}: ${expression(directive.expression, context)}`)
+  const propsCode = props.length > 0 ? `{ ${props.join(', ')} }` : '{}'
+
+  const args = [anchor, `() => renderSlot('${name}', ${propsCode}, ${generateFactory(node.children, context)})`]
+  if (context.slotScopeId) args.push(`'${context.slotScopeId}'`)
+
+  return `${use('slotBlock')}(${args.join(', ')})`
+}
+
+/**
+ * <Child :title="t" @save="f">...</Child>
+ * => componentBlock(anchor, () => Child, { get title() { return t }, onSave: f, slots: {...} })
+ * <component :is="view"> - тот же блок, компонент берется из выражения
+ */
+function generateComponent(node, anchor, context, use) {
+  const is = node.directives.find(directive => directive.kind === 'prop' && directive.name === 'is')
+  const getComponent = node.name === 'component'
+    ? `() => ${is ? expression(is.expression, context) : 'null'}`
+    : `() => ${node.name}`
+
+  const props = generateComponentProps(node, {
+    expression: code => expression(code, context),
+    parts: parts => generateParts(parts, context),
+    handler: directive => compileEventListener(directive, context.metadata, context.locals).handler,
+    slot: (children, params) => {
+      const locals = [...context.locals, ...(params ? getPatternNames(params) : [])]
+      return generateFactory(children, { ...context, locals }, params)
+    }
+  })
+
+  const ref = node.directives.find(directive => directive.kind === 'bind' && directive.name === 'this')
+  const args = [anchor, getComponent, props]
+  if (ref) args.push(`$instance => { ${expression(ref.expression, context)} = $instance }`)
+
+  return `${use('componentBlock')}(${args.join(', ')})`
+}
+
+/**
+ * Модификаторы #bind в объект опций: #bind.lazy.number => { lazy: true, number: true }
+ * @param {Object} directive - директива #bind
+ * @returns {string|null} код объекта или null
+ */
+function generateBindModifiers(directive) {
+  if (directive.modifiers.length === 0) return null
+  return `{ ${directive.modifiers.map(modifier => `${modifier}: true`).join(', ')} }`
+}
+
+/**
+ * Фабрика фрагмента: (params) => { ...; return node }
+ */
+function generateFactory(nodes, context, params = '', prelude = '') {
+  const { code, result } = generateFragment(nodes, context)
+  const args = formatParams(params)
+
+  if (!code) return `${args} => null`
+  return `${args} => {\n${indent(`${prelude ? `${prelude}\n` : ''}${code}\nreturn ${result}`)}\n}`
+}
+
+function formatParams(params) {
+  return params.includes(',') || !/^[\w$]+$/.test(params) ? `(${params})` : params
+}
+
+/**
+ * Значение из текста и интерполяций: одно выражение или шаблонная строка
+ */
+function generateParts(parts, context) {
+  if (parts.length === 1 && parts[0].type === 'Interpolation') {
+    return expression(parts[0].expression, context)
+  }
+
+  const content = parts
+    .map(part => part.type === 'Text'
+      ? escapeTemplate(decodeEntities(part.value))
+      : `\${${expression(part.expression, context)}}`)
+    .join('')
+  return `\`${content}\``
+}
+
+function expression(code, context) {
+  return compileExpression(code, context.metadata, context.locals)
+}
+
+/**
+ * Метка source map: привязка указывает на свой узел шаблона
+ */
+function mark(binding, context) {
+  if (context.sourceOffset === null) return ''
+  const node = binding.node ?? binding.directive ?? binding.parts.find(part => part.type === 'Interpolation')
+  return sourceMarker(context.sourceOffset + node.start)
+}
+
+function nextName(context) {
+  return `_n${context.uid.value++}`
+}
+
+/**
+ * Убирает пробельные текстовые узлы в начале и конце фрагмента
+ */
+function trimWhitespace(nodes) {
+  let start = 0
+  let end = nodes.length
+  const isBlank = node => node.type === 'Text' && !node.value.trim()
+
+  while (start < end && isBlank(nodes[start])) start++
+  while (end > start && isBlank(nodes[end - 1])) end--
+  return nodes.slice(start, end)
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return String.fromCodePoint(code)
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match
+  })
+}
+
+function escapeTemplate(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
+}
+
+function indent(code, spaces = 2) {
+  const padding = ' '.repeat(spaces)
+  return code.split('\n').map(line => line ? padding + line : line).join('\n')
+}
+
+export default { generateDOM }
@@ -150,8 +150,12 @@ export function generatePropsCode(props) {
   
   code += `  }
   
-  // Make props reactive
-  Object.assign(componentProps, propsWithDefaults)
+  // Значения по умолчанию для непереданных props; геттеры родителя не перезаписываются
+  Object.keys(propsWithDefaults).forEach(key => {
+    if (!Object.getOwnPropertyDescriptor(componentProps, key)?.get && componentProps[key] === undefined) {
+      componentProps[key] = propsWithDefaults[key]
+    }
+  })
 `
   
   return code
@@ -197,6 +201,11 @@ export function generateEventsCode(emits) {
   const eventListeners = {}
   
   function emit(eventName, ...args) {
+    // Слушатель из родителя: <Child @save="..."> передается как props.onSave
+    const handlerName = 'on' + eventName.replace(/(?:^|-)(\\w)/g, (_, char) => char.toUpperCase())
+    const handlers = componentProps[handlerName]
+    ;[].concat(handlers ?? []).forEach(handler => handler(...args))
+
     if (!eventListeners[eventName]) return
     
     eventListeners[eventName].forEach(listener => {
@@ -346,6 +355,100 @@ export function compileSlotsUsage(template, slots) {
   return processed
 }
 
+// Директивы, которые не могут быть именем слота в <template #name>
+const NON_SLOT_DIRECTIVES = new Set(['on', 'prop', 'bind', 'if', 'for'])
+
+/**
+ * Генерирует объект props для дочернего компонента
+ *
+ * <Child title="Hi" :count="n" @save="onSave">
+ * => { title: 'Hi', get count() { return n }, onSave: $event => onSave($event) }
+ *
+ * Динамические значения - геттеры: ребенок читает их в своих эффектах и
+ * обновляется точечно, без пересоздания. @event становится on<Event>,
+ * несколько обработчиков одного события - массивом. Содержимое тега
+ * становится слотами: <template #name="props"> - именованный, остальное - default.
+ *
+ * @param {Object} node - узел Component из AST
+ * @param {Object} generate - генераторы режима рендера:
+ *   expression(code), parts(attributeParts), handler(directive),
+ *   slot(children, params) => код фабрики слота
+ * @returns {string} код объекта
+ */
+export function generateComponentProps(node, generate) {
+  const entries = []
+  const handlers = new Map()
+
+  node.attributes.forEach(attribute => {
+    const key = toPropertyKey(attribute.name)
+    if (attribute.value === null) {
+      entries.push(`${key}: true`)
+    } else if (attribute.value.every(part => part.type === 'Text')) {
+      entries.push(`${key}: ${quote(attribute.value.map(part => part.value).join(''))}`)
+    } else {
+      entries.push(`get ${key}() { return ${generate.parts(attribute.value)} }`)
+    }
+  })
+
+  let defaultParams = ''
+  node.directives.forEach(directive => {
+    if (directive.kind === 'prop') {
+      if (node.name === 'component' && directive.name === 'is') return
+      entries.push(`get ${toPropertyKey(directive.name)}() { return ${generate.expression(directive.expression)} }`)
+    } else if (directive.kind === 'on') {
+      const key = toPropertyKey(toHandlerName(directive.name))
+      handlers.set(key, [...(handlers.get(key) ?? []), generate.handler(directive)])
+    } else if (directive.kind === 'default') {
+      defaultParams = directive.expression ?? ''
+    }
+  })
+
+  handlers.forEach((list, key) => {
+    entries.push(`${key}: ${list.length === 1 ? list[0] : `[${list.join(', ')}]`}`)
+  })
+
+  const slots = []
+  const content = []
+  node.children.forEach(child => {
+    const slot = child.type === 'Element' && child.name === 'template'
+      ? child.directives.find(directive => !NON_SLOT_DIRECTIVES.has(directive.kind))
+      : null
+    if (slot) {
+      slots.push(`${toPropertyKey(slot.kind)}: ${generate.slot(child.children, slot.expression ?? '')}`)
+    } else {
+      content.push(child)
+    }
+  })
+  if (content.some(child => child.type !== 'Text' || child.value.trim())) {
+    slots.unshift(`default: ${generate.slot(content, defaultParams)}`)
+  }
+  if (slots.length > 0) {
+    entries.push(`slots: { ${slots.join(', ')} }`)
+  }
+
+  return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}'
+}
+
+/**
+ * Имя prop-обработчика события: save => onSave, item-selected => onItemSelected,
+ * update:value => onUpdate:value (так же emit() ищет обработчик в props)
+ * @param {string} event - имя события
+ * @returns {string}
+ */
+export function toHandlerName(event) {
+  return 'on' + event.replace(/(?:^|-)(\w)/g, (_, char) => char.toUpperCase())
+}
+
+// aria-label => 'aria-label', max-length => maxLength
+function toPropertyKey(name) {
+  const camel = name.includes(':') ? name : name.replace(/-(\w)/g, (_, char) => char.toUpperCase())
+  return /^[A-Za-z_$][\w$]*$/.test(camel) ? camel : quote(camel)
+}
+
+function quote(value) {
+  return `'${value.replace(/[\\']/g, '\\$&').replace(/\n/g, '\\n')}'`
+}
+
 export default {
   parseProps,
   generatePropsValidation,
@@ -354,6 +457,8 @@ export default {
   generateEventsCode,
   parseSlots,
   generateSlotsCode,
-  compileSlotsUsage
+  compileSlotsUsage,
+  generateComponentProps,
+  toHandlerName
 }
 
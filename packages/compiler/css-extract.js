@@ -0,0 +1,170 @@
+/**
+ * AspScript Compiler - CSS Extraction
+ * Вынесение CSS компонентов в файлы сборки: общий файл для статически
+ * импортированных компонентов, отдельный - для каждого ленивого чанка
+ * (import('./X.aspc')) и файл компонентов, общих для нескольких чанков.
+ * Правила общего файла не повторяются в остальных.
+ *
+ * CSS компонентов приходит из compile() с css: 'external'. Манифест
+ * { scopeId: [файлы] } связывает компоненты с файлами: по нему SSR выводит
+ * <link> только для отрендеренных компонентов, а браузер подключает CSS
+ * ленивых чанков (setStyleManifest в @aspscript/core).
+ */
+
+import { createHash } from 'crypto'
+import path from 'path'
+import * as csstree from 'css-tree'
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i
+
+/**
+ * Собирает CSS компонентов в файлы сборки
+ * @param {Array} components - [{ file, source, css, scopeId }]: путь к .aspc,
+ *   его исходник (для импортов) и результат compile() с css: 'external'
+ * @returns {Object} { assets: [{ fileName, css }], manifest: { scopeId: [файлы] } }
+ */
+export function extractCss(components) {
+  const byFile = new Map(components.map(component => [
+    path.resolve(component.file),
+    { ...component, ...findComponentImports(component.source, component.file) }
+  ]))
+
+  const imported = new Set()
+  const lazy = new Set()
+  byFile.forEach(component => {
+    component.imports.forEach(file => imported.add(file))
+    component.lazyImports.forEach(file => lazy.add(file))
+  })
+
+  // Точки входа - компоненты, которые никто не импортирует
+  const entries = [...byFile.keys()].filter(file => !imported.has(file) && !lazy.has(file))
+  const main = staticClosure(byFile, entries, new Set())
+  const chunks = [...lazy]
+    .filter(file => byFile.has(file) && !main.has(file))
+    .map(file => ({ name: path.basename(file, '.aspc'), files: staticClosure(byFile, [file], main) }))
+
+  // Компоненты нескольких чанков - в общем файле чанков: CSS ленивого чанка
+  // не должен зависеть от того, какой чанк загрузили первым
+  const usage = new Map()
+  chunks.forEach(chunk => chunk.files.forEach(file => usage.set(file, (usage.get(file) ?? 0) + 1)))
+  const shared = new Set([...usage.keys()].filter(file => usage.get(file) > 1))
+  chunks.forEach(chunk => shared.forEach(file => chunk.files.delete(file)))
+
+  const assets = []
+  const manifest = {}
+  const mainRules = new Set()
+
+  const emit = (name, files, loaded) => {
+    const css = bundleCss([...files].map(file => byFile.get(file).css).filter(Boolean), loaded)
+    if (!css) return null
+
+    const fileName = `assets/${name}-${createHash('sha256').update(css).digest('hex').slice(0, 8)}.css`
+    assets.push({ fileName, css })
+    return fileName
+  }
+
+  const record = (files, assetFiles) => {
+    files.forEach(file => {
+      const { scopeId } = byFile.get(file)
+      if (!scopeId || assetFiles.length === 0) return
+      manifest[scopeId] = [...new Set([...(manifest[scopeId] ?? []), ...assetFiles])]
+    })
+  }
+
+  // Общий файл загружен всегда, файл общих компонентов - вместе с любым чанком:
+  // чанки не повторяют правила обоих, но не зависят друг от друга
+  const mainAsset = emit('index', main, mainRules)
+  record(main, mainAsset ? [mainAsset] : [])
+
+  const sharedRules = new Set(mainRules)
+  const sharedAsset = emit('shared', shared, sharedRules)
+  record(shared, [mainAsset, sharedAsset].filter(Boolean))
+
+  chunks.forEach(chunk => {
+    const asset = emit(chunk.name, chunk.files, new Set(sharedRules))
+    record(chunk.files, [mainAsset, sharedAsset, asset].filter(Boolean))
+  })
+
+  return { assets, manifest }
+}
+
+/**
+ * Объединяет CSS в один файл: @import и @charset в начало, повторяющиеся
+ * правила (с учетом @media и @supports вокруг них) удаляются
+ * @param {string[]} sheets - CSS компонентов
+ * @param {Set} [loaded] - правила, уже подключенные другим файлом; пополняется
+ * @returns {string} CSS без лишних пробелов
+ */
+export function bundleCss(sheets, loaded = new Set()) {
+  const head = []
+  const body = []
+
+  sheets.forEach(sheet => {
+    const ast = csstree.parse(sheet, { parseCustomProperty: false, onParseError: () => {} })
+    dedupeBlock(ast.children, '', loaded)
+
+    ast.children.forEach(node => {
+      const text = csstree.generate(node)
+      if (node.type === 'Atrule' && (node.name === 'import' || node.name === 'charset')) head.push(text)
+      else body.push(text)
+    })
+  })
+
+  return [...head, ...body].join('')
+}
+
+function dedupeBlock(children, context, loaded) {
+  children.forEach((node, item) => {
+    if (isGroupRule(node)) {
+      const prelude = node.prelude ? csstree.generate(node.prelude) : ''
+      dedupeBlock(node.block.children, `${context}@${node.name} ${prelude}{`, loaded)
+      if (node.block.children.isEmpty) children.remove(item)
+      return
+    }
+
+    const key = context + csstree.generate(node)
+    if (loaded.has(key)) children.remove(item)
+    else loaded.add(key)
+  })
+}
+
+// @media, @supports, @layer, @container: внутри правила, а не объявления или кадры
+function isGroupRule(node) {
+  return node.type === 'Atrule' &&
+    node.block !== null &&
+    !KEYFRAMES.test(node.name) &&
+    node.block.children.some(child => child.type === 'Rule' || child.type === 'Atrule')
+}
+
+/**
+ * Импорты .aspc в исходнике компонента
+ * @param {string} source - содержимое .aspc
+ * @param {string} file - путь к .aspc, от него разрешаются относительные пути
+ * @returns {Object} { imports, lazyImports } - абсолютные пути статических
+ *   и динамических (import('./X.aspc')) импортов
+ */
+export function findComponentImports(source, file) {
+  const resolve = pattern => [...source.matchAll(pattern)]
+    .map(match => match[1])
+    .filter(specifier => specifier.startsWith('.'))
+    .map(specifier => path.resolve(path.dirname(file), specifier))
+
+  return {
+    imports: resolve(/\bimport\s+(?:[\w$*{}\s,]+\s+from\s+)?['"]([^'"]+\.aspc)['"]/g),
+    lazyImports: resolve(/\bimport\s*\(\s*['"]([^'"]+\.aspc)['"]\s*\)/g)
+  }
+}
+
+// Компоненты, достижимые статическими импортами, кроме уже вошедших в exclude
+function staticClosure(byFile, roots, exclude) {
+  const files = new Set()
+  const visit = file => {
+    if (files.has(file) || exclude.has(file) || !byFile.has(file)) return
+    files.add(file)
+    byFile.get(file).imports.forEach(visit)
+  }
+  roots.forEach(visit)
+  return files
+}
+
+export default { extractCss, bundleCss, findComponentImports }
@@ -1,252 +1,352 @@
 /**
  * AspScript Compiler - Directives Handler
- * Обработка директив: #if, #for, #each, и других
+ * Генерация шаблона из AST: блоки #if, #for, #each, #await, #key и директивы атрибутов
  */
 
+import { parseTemplate, VOID_ELEMENTS } from './template-parser.js'
+import { compileExpression, getPatternNames } from './script.js'
+import { compileEventListener } from './events.js'
+import { generateComponentProps } from './components.js'
+import { sourceMarker } from './sourcemap.js'
+
 /**
- * Парсит и компилирует условные директивы (#if, #else if, #else)
+ * Компилирует шаблон в тело шаблонной строки (содержимое `...`)
+ *
+ * Обработчики @event, #bind и bind:this становятся вызовами `_listen(handler, options)`,
+ * `_bind(get, set, property, modifiers)` и `_ref(set)`, дочерние компоненты -
+ * `_component(Component, props, setRef)`, содержимое слотов - `_fragment(html)`.
+ * Все они определены в render() строкового режима.
+ *
  * @param {string} template - HTML шаблон
  * @param {Object} metadata - метаданные (states, computed)
+ * @param {Object} options - опции парсера (file, lineOffset), helpers - Set,
+ *   куда добавляются используемые помощники @aspscript/core, sourceOffset -
+ *   смещение шаблона в .aspc для меток source map, scopeId - атрибут scope
+ *   элементов и slotScopeId - атрибут содержимого слотов для :slotted()
  * @returns {string} обработанный шаблон
  */
-export function compileConditionalDirectives(template, metadata = {}) {
-  let processed = template
-  
-  // Обрабатываем блочные условные директивы: {#if}...{:else if}...{:else}...{/if}
-  const ifBlockRegex = /\{#if\s+([^}]+)\}([\s\S]*?)(?:\{:else\s+if\s+([^}]+)\}([\s\S]*?))*(?:\{:else\}([\s\S]*?))?\{\/if\}/g
-  
-  processed = processed.replace(ifBlockRegex, (match, condition, ifContent, ...rest) => {
-    // Извлекаем все else if блоки
-    const elseIfBlocks = []
-    let elseContent = ''
-    
-    // Парсим сложную структуру с множественными else if
-    const fullMatch = match
-    const parts = parseIfElseStructure(fullMatch)
-    
-    // Трансформируем условие (заменяем переменные на .value)
-    const transformedCondition = transformExpression(parts.if.condition, metadata)
-    
-    // Генерируем тернарный оператор или if-else цепочку
-    let result = generateConditionalCode(parts, metadata)
-    
-    return result
+export function compileDirectives(template, metadata = {}, options = {}) {
+  const ast = parseTemplate(template, options)
+  return generateNodes(ast.children, {
+    metadata,
+    locals: [],
+    helpers: options.helpers ?? new Set(),
+    sourceOffset: options.sourceOffset ?? null,
+    scopeId: options.scopeId ?? null,
+    slotScopeId: options.slotScopeId ?? null
   })
-  
-  // Также обрабатываем inline условия в атрибутах: <div #if="condition">
-  processed = processed.replace(
-    /<([^>]+)\s+#if\s*=\s*["']([^"']+)["']([^>]*)>/g,
-    (match, tag, condition, rest) => {
-      const transformed = transformExpression(condition, metadata)
-      return `\${${transformed} ? \`<${tag}${rest}>\` : ''}`
-    }
-  )
-  
-  return processed
 }
 
 /**
- * Парсит структуру if-else if-else
- * @param {string} block - полный блок с условиями
- * @returns {Object} структурированные данные
+ * Компилирует условные блоки ({#if}...{:else if}...{:else}...{/if})
+ * и атрибут #if. Блоки разбираются парсером вместе с остальным шаблоном,
+ * поэтому функция эквивалентна compileDirectives.
+ * @param {string} template - HTML шаблон
+ * @param {Object} metadata - метаданные (states, computed)
+ * @returns {string} обработанный шаблон
  */
-function parseIfElseStructure(block) {
-  const result = {
-    if: { condition: '', content: '' },
-    elseIf: [],
-    else: null
-  }
-  
-  // Парсим основное условие if
-  const ifMatch = block.match(/\{#if\s+([^}]+)\}([\s\S]*?)(?=\{:else|\{\/if\})/)
-  if (ifMatch) {
-    result.if.condition = ifMatch[1].trim()
-    result.if.content = ifMatch[2]
-  }
-  
-  // Парсим все else if блоки
-  const elseIfRegex = /\{:else\s+if\s+([^}]+)\}([\s\S]*?)(?=\{:else|\{\/if\})/g
-  let elseIfMatch
-  while ((elseIfMatch = elseIfRegex.exec(block)) !== null) {
-    result.elseIf.push({
-      condition: elseIfMatch[1].trim(),
-      content: elseIfMatch[2]
-    })
-  }
-  
-  // Парсим else блок
-  const elseMatch = block.match(/\{:else\}([\s\S]*?)\{\/if\}/)
-  if (elseMatch) {
-    result.else = elseMatch[1]
-  }
-  
-  return result
+export function compileConditionalDirectives(template, metadata = {}, options = {}) {
+  return compileDirectives(template, metadata, options)
 }
 
 /**
- * Генерирует код для условного рендеринга
- * @param {Object} parts - структура условий
+ * Компилирует циклы ({#for}, {#each}). Эквивалентна compileDirectives.
+ * @param {string} template - HTML шаблон
  * @param {Object} metadata - метаданные
- * @returns {string} JavaScript код
+ * @returns {string} обработанный шаблон
+ */
+export function compileLoopDirectives(template, metadata = {}, options = {}) {
+  return compileDirectives(template, metadata, options)
+}
+
+/**
+ * Трансформирует выражение (заменяет переменные на .value)
+ * @param {string} expression - выражение
+ * @param {Object} metadata - метаданные с states и computed
+ * @param {Array<string>} [locals] - переменные циклов, перекрывающие состояние
+ * @returns {string} трансформированное выражение
+ */
+export function transformExpression(expression, metadata = {}, locals = []) {
+  return compileExpression(expression, metadata, locals)
+}
+
+/**
+ * Генерирует тело шаблонной строки для списка узлов
+ * @param {Array} nodes - узлы AST
+ * @param {Object} context - { metadata, locals }
+ * @returns {string} тело шаблонной строки
  */
-function generateConditionalCode(parts, metadata) {
-  let code = ''
-  
-  // Основное условие
-  const ifCondition = transformExpression(parts.if.condition, metadata)
-  const ifContent = parts.if.content.trim()
-  
-  code = `\${${ifCondition} ? \`${ifContent}\``
-  
-  // Добавляем else if блоки
-  if (parts.elseIf.length > 0) {
-    parts.elseIf.forEach(elseIf => {
-      const condition = transformExpression(elseIf.condition, metadata)
-      const content = elseIf.content.trim()
-      code += ` : ${condition} ? \`${content}\``
-    })
+export function generateNodes(nodes, context) {
+  return nodes.map(node => generateNode(node, context)).join('')
+}
+
+function generateNode(node, context) {
+  switch (node.type) {
+    case 'Text':
+      return escapeTemplate(node.value)
+    case 'Comment':
+      return `<!--${escapeTemplate(node.value)}-->`
+    case 'Interpolation':
+      return `\${${mark(node, context)}${use(context, 'escapeHtml')}(${expression(node.expression, context)})}`
+    case 'Html':
+      return `\${${mark(node, context)}${use(context, 'renderHtml')}(${expression(node.expression, context)})}`
+    case 'Block':
+      return generateBlock(node, context)
+    case 'Element':
+    case 'Component':
+      return generateElement(node, context)
+    default:
+      return ''
   }
-  
-  // Добавляем else блок
-  if (parts.else) {
-    const elseContent = parts.else.trim()
-    code += ` : \`${elseContent}\``
-  } else {
-    code += ` : ''`
+}
+
+function generateBlock(node, context) {
+  switch (node.kind) {
+    case 'if': {
+      // {#if a}..{:else if b}..{:else}..{/if} => ${a ? `..` : b ? `..` : `..`}
+      let code = ''
+      let hasElse = false
+      node.branches.forEach(branch => {
+        const content = `\`${generateNodes(branch.children, context).trim()}\``
+        if (branch.kind === 'else') {
+          code += content
+          hasElse = true
+        } else {
+          code += `${expression(branch.expression, context)} ? ${content} : `
+        }
+      })
+      return `\${${mark(node, context)}${code}${hasElse ? '' : "''"}}`
+    }
+
+    case 'for':
+    case 'each':
+      return generateLoop(node, context)
+
+    case 'await': {
+      // Шаблонная строка строится синхронно - показывается состояние ожидания
+      const pending = node.branches.find(branch => branch.kind === 'pending')
+      return pending ? generateNodes(pending.children, context) : ''
+    }
+
+    case 'key':
+      return generateNodes(node.branches[0].children, context)
+
+    default:
+      return ''
   }
-  
-  code += '}'
-  
-  return code
 }
 
 /**
- * Парсит и компилирует директивы циклов (#for, #each)
- * @param {string} template - HTML шаблон
- * @param {Object} metadata - метаданные
- * @returns {string} обработанный шаблон
+ * {#for item in items :key="id"} => ${items.map((item, __index) => `..`).join('')}
  */
-export function compileLoopDirectives(template, metadata = {}) {
-  let processed = template
-  
-  // Обрабатываем блочные циклы: {#for item in items}...{/for}
-  const forBlockRegex = /\{#for\s+(?:\(?\s*(\w+)(?:\s*,\s*(\w+))?\s*\)?\s+in\s+(\w+))\s*(?::key\s*=\s*["']([^"']+)["'])?\s*\}([\s\S]*?)\{\/for\}/g
-  
-  processed = processed.replace(forBlockRegex, (match, item, index, array, key, content) => {
-    const itemName = item.trim()
-    const indexName = index ? index.trim() : '__index'
-    const arrayName = array.trim()
-    
-    // Трансформируем имя массива (добавляем .value если это state)
-    const transformedArray = transformExpression(arrayName, metadata)
-    
-    // Обрабатываем содержимое цикла
-    let loopContent = content.trim()
-    
-    // Заменяем переменную итератора в содержимом
-    loopContent = loopContent.replace(new RegExp(`\\{${itemName}\\.([^}]+)\\}`, 'g'), `\${${itemName}.$1}`)
-    loopContent = loopContent.replace(new RegExp(`\\{${itemName}\\}`, 'g'), `\${${itemName}}`)
-    
-    // Заменяем индекс
-    if (index) {
-      loopContent = loopContent.replace(new RegExp(`\\{${indexName}\\}`, 'g'), `\${${indexName}}`)
-    }
-    
-    // Генерируем код map
-    let code = `\${${transformedArray}.map((${itemName}, ${indexName}) => \`${loopContent}\`)`
-    
-    // Добавляем key для оптимизации (если указан)
-    if (key) {
-      code += `.map((html, i) => \`<div data-key="\${${transformedArray}[i].${key}}">\${html}</div>\`)`
+function generateLoop(node, context) {
+  const [body, empty] = node.branches
+  const indexName = node.index ?? '__index'
+  const locals = [...context.locals, ...getPatternNames(node.context), indexName]
+  const list = node.range
+    ? `${use(context, 'createRange')}(${expression(node.range.start, context)}, ${expression(node.range.end, context)})`
+    : expression(node.expression, context)
+  const content = generateNodes(body.children, { ...context, locals }).trim()
+
+  // Строки пересоздаются при каждом render(), поэтому :key здесь не нужен
+  const args = [list, `(${node.context}, ${indexName}) => \`${content}\``]
+  if (empty) args.push(`() => \`${generateNodes(empty.children, context).trim()}\``)
+
+  return `\${${mark(node, context)}${use(context, 'renderEach')}(${args.join(', ')})}`
+}
+
+/**
+ * Метка source map для выражения узла (только если задан sourceOffset)
+ */
+function mark(node, context) {
+  return context.sourceOffset == null ? '' : sourceMarker(context.sourceOffset + node.start)
+}
+
+function use(context, helper) {
+  context.helpers?.add(helper)
+  return helper
+}
+
+function generateElement(node, context) {
+  if (node.name === 'slot') {
+    return generateSlot(node, context)
+  }
+  if (node.type === 'Component') {
+    return generateComponent(node, context)
+  }
+
+  const attributes = context.scopeId ? [context.scopeId] : []
+  let condition = null
+
+  // Статический class/style объединяется с :class/:style
+  const dynamic = new Set(
+    node.directives
+      .filter(directive => directive.kind === 'prop' && (directive.name === 'class' || directive.name === 'style'))
+      .map(directive => directive.name)
+  )
+
+  node.attributes.forEach(attribute => {
+    if (dynamic.has(attribute.name)) return
+    if (attribute.value === null) {
+      attributes.push(attribute.name)
+      return
     }
-    
-    code += `.join('')}`
-    
-    return code
+    const value = attribute.value
+      .map(part => part.type === 'Text'
+        ? escapeTemplate(part.value).replace(/"/g, '&quot;')
+        : `\${${mark(part, context)}${use(context, 'escapeHtml')}(${expression(part.expression, context)})}`)
+      .join('')
+    attributes.push(`${attribute.name}="${value}"`)
   })
-  
-  // Обрабатываем #each (алиас для #for)
-  const eachBlockRegex = /\{#each\s+(\w+)\s+as\s+(?:\(?\s*(\w+)(?:\s*,\s*(\w+))?\s*\)?)?\s*(?::key\s*=\s*["']([^"']+)["'])?\s*\}([\s\S]*?)\{\/each\}/g
-  
-  processed = processed.replace(eachBlockRegex, (match, array, item, index, key, content) => {
-    const itemName = item.trim()
-    const indexName = index ? index.trim() : '__index'
-    const arrayName = array.trim()
-    
-    const transformedArray = transformExpression(arrayName, metadata)
-    
-    let loopContent = content.trim()
-    loopContent = loopContent.replace(new RegExp(`\\{${itemName}\\.([^}]+)\\}`, 'g'), `\${${itemName}.$1}`)
-    loopContent = loopContent.replace(new RegExp(`\\{${itemName}\\}`, 'g'), `\${${itemName}}`)
-    
-    if (index) {
-      loopContent = loopContent.replace(new RegExp(`\\{${indexName}\\}`, 'g'), `\${${indexName}}`)
+
+  node.directives.forEach(directive => {
+    const generated = generateDirective(directive, context, node)
+    if (directive.kind === 'if') {
+      condition = generated
+    } else if (generated) {
+      attributes.push(generated)
     }
-    
-    let code = `\${${transformedArray}.map((${itemName}, ${indexName}) => \`${loopContent}\`).join('')}`
-    
-    return code
   })
-  
-  // Также обрабатываем inline циклы в атрибутах (упрощенная версия)
-  processed = processed.replace(
-    /#for\s*=\s*["']([^"']+)["']/g,
-    'data-for="$1"'
-  )
-  
-  return processed
+
+  const open = `<${node.name}${attributes.map(attribute => ' ' + attribute).join('')}>`
+  const html = VOID_ELEMENTS.has(node.name.toLowerCase())
+    ? open
+    : `${open}${generateNodes(node.children, context)}</${node.name}>`
+
+  // <div #if="cond"> - условным становится весь элемент
+  return condition ? `\${${mark(node, context)}${condition} ? \`${html}\` : ''}` : html
 }
 
 /**
- * Трансформирует выражение (заменяет переменные на .value)
- * @param {string} expression - выражение
- * @param {Object} metadata - метаданные с states и computed
- * @returns {string} трансформированное выражение
+ * Генерирует атрибут для директивы
+ * @param {Object} node - элемент директивы (статический class/style для :class/:style)
+ * @returns {string|null} атрибут, условие (#if) или null
  */
-export function transformExpression(expression, metadata = {}) {
-  let transformed = expression.trim()
-  
-  // Заменяем state переменные на .value
-  if (metadata.states) {
-    metadata.states.forEach(({ name }) => {
-      const regex = new RegExp(`\\b${name}\\b`, 'g')
-      transformed = transformed.replace(regex, `_state_${name}.value`)
-    })
+function generateDirective(directive, context, node) {
+  const value = directive.expression
+
+  switch (directive.kind) {
+    // Обработчики и привязки - замыкания, собранные при компиляции.
+    // В разметку попадает только индекс, который render() связывает с элементом
+    case 'on': {
+      const { handler, options } = compileEventListener(directive, context.metadata, context.locals)
+      return `data-event-${directive.name}="\${${mark(directive, context)}_listen(${handler}${options ? `, ${options}` : ''})}"`
+    }
+
+    case 'bind': {
+      const target = expression(value, context)
+      if (directive.name === 'this') {
+        return `data-ref="\${${mark(directive, context)}_ref($element => { ${target} = $element })}"`
+      }
+      use(context, 'syncBinding')
+      use(context, 'observeBinding')
+      const modifiers = directive.modifiers.length > 0
+        ? `{ ${directive.modifiers.map(modifier => `${modifier}: true`).join(', ')} }`
+        : '{}'
+      return `data-bind="\${${mark(directive, context)}_bind(() => ${target}, $value => { ${target} = $value }, '${directive.name}', ${modifiers})}"`
+    }
+
+    case 'prop': {
+      const transformed = expression(value, context)
+      if (directive.name === 'class' || directive.name === 'style') {
+        const normalize = use(context, directive.name === 'class' ? 'normalizeClass' : 'normalizeStyle')
+        const base = node.attributes.find(attribute => attribute.name === directive.name)
+        const merged = base?.value ? `[${generateParts(base.value, context)}, ${transformed}]` : transformed
+        return `${directive.name}="\${${mark(directive, context)}${use(context, 'escapeHtml')}(${normalize}(${merged}))}"`
+      }
+      return `${directive.name}="\${${mark(directive, context)}${use(context, 'escapeHtml')}(${transformed})}"`
+    }
+
+    case 'if':
+      return expression(value, context)
+
+    case 'for':
+      return `data-for="${escapeTemplate(value)}"`
+
+    default:
+      return value === null ? directive.rawName : `${directive.rawName}="${escapeTemplate(value)}"`
   }
-  
-  // Заменяем computed переменные на .value
-  if (metadata.computed) {
-    metadata.computed.forEach(({ name }) => {
-      const regex = new RegExp(`\\b${name}\\b`, 'g')
-      transformed = transformed.replace(regex, `_computed_${name}.value`)
-    })
+}
+
+/**
+ * <Child :title="t">text</Child>
+ * => ${_component(Child, { get title() { return t }, slots: { default: () => _fragment(`text`) } })}
+ *
+ * Ребенок рендерится сразу и вставляется вместо <template data-insert>.
+ * Слоты - готовые узлы: их обработчики связывает родитель, а не ребенок.
+ */
+function generateComponent(node, context) {
+  const is = node.directives.find(directive => directive.kind === 'prop' && directive.name === 'is')
+  const component = node.name === 'component'
+    ? (is ? expression(is.expression, context) : 'null')
+    : node.name
+
+  const props = generateComponentProps(node, {
+    expression: code => expression(code, context),
+    parts: parts => generateParts(parts, context),
+    handler: directive => compileEventListener(directive, context.metadata, context.locals).handler,
+    slot: (children, params) => {
+      const locals = [...context.locals, ...(params ? getPatternNames(params) : [])]
+      const content = generateNodes(children, { ...context, locals }).trim()
+      return `${params && /^[\w$]+$/.test(params) ? params : `(${params})`} => _fragment(\`${content}\`)`
+    }
+  })
+
+  const args = [component, props]
+  const ref = node.directives.find(directive => directive.kind === 'bind' && directive.name === 'this')
+  if (ref) args.push(`$instance => { ${expression(ref.expression, context)} = $instance }`)
+  use(context, 'createComponent')
+
+  const html = `\${${mark(node, context)}_component(${args.join(', ')})}`
+  const condition = node.directives.find(directive => directive.kind === 'if')
+  return condition ? `\${${expression(condition.expression, context)} ? \`${html}\` : ''}` : html
+}
+
+/**
+ * Значение атрибута из текста и интерполяций: одно выражение или шаблонная строка
+ */
+function generateParts(parts, context) {
+  if (parts.length === 1 && parts[0].type === 'Interpolation') {
+    return expression(parts[0].expression, context)
   }
-  
-  return transformed
+  return `\`${parts.map(part => part.type === 'Text'
+    ? escapeTemplate(part.value)
+    : `\${${expression(part.expression, context)}}`).join('')}\``
 }
 
 /**
- * Компилирует все директивы в шаблоне
- * @param {string} template - HTML шаблон
- * @param {Object} metadata - метаданные
- * @returns {string} обработанный шаблон
+ * <slot name="x" :data="value">fallback</slot> => ${_insert(renderSlot('x', { data: value }, `fallback`))}
+ * Содержимое от родителя - узлы, поэтому результат проходит через _insert()
+ */
+function generateSlot(node, context) {
+  const name = node.attributes.find(attribute => attribute.name === 'name')?.value?.[0]?.value ?? 'default'
+  const props = node.directives
+    .filter(directive => directive.kind === 'prop')
+    .map(directive => `${directive.name}: ${expression(directive.expression, context)}`)
+
+  const propsCode = props.length > 0 ? `{ ${props.join(', ')} }` : '{}'
+  const fallback = generateNodes(node.children, context)
+  const content = `renderSlot('${name}', ${propsCode}, \`${fallback}\`)`
+
+  // Узлы слота получают атрибут для :slotted() до вставки
+  return `\${${mark(node, context)}_insert(${context.slotScopeId ? `${use(context, 'setScopeId')}(${content}, '${context.slotScopeId}')` : content})}`
+}
+
+function expression(code, context) {
+  return compileExpression(code, context.metadata, context.locals)
+}
+
+/**
+ * Экранирует текст для вставки в шаблонную строку
  */
-export function compileDirectives(template, metadata = {}) {
-  let processed = template
-  
-  // Сначала обрабатываем условия (они могут содержать циклы)
-  processed = compileConditionalDirectives(processed, metadata)
-  
-  // Затем обрабатываем циклы
-  processed = compileLoopDirectives(processed, metadata)
-  
-  return processed
+function escapeTemplate(text) {
+  return text.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')
 }
 
 export default {
   compileConditionalDirectives,
   compileLoopDirectives,
   compileDirectives,
-  transformExpression
+  transformExpression,
+  generateNodes
 }
-
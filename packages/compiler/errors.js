@@ -41,7 +41,8 @@ export const ErrorCodes = {
   
   // Ошибки стилей (4000-4999)
   INVALID_CSS: 4000,
-  INVALID_SCSS: 4001
+  INVALID_SCSS: 4001,
+  INVALID_LESS: 4002
 }
 
 /**
@@ -262,6 +263,21 @@ export function createComponentError(code, message, file, line, column, context)
   )
 }
 
+/**
+ * Создает ошибку стилей
+ */
+export function createStyleError(code, message, file, line, column, context) {
+  return new CompilerError(
+    ErrorTypes.STYLE_ERROR,
+    code,
+    message,
+    file,
+    line,
+    column,
+    context
+  )
+}
+
 /**
  * Находит позицию (line, column) для индекса в строке
  * @param {string} source - исходный код
@@ -384,6 +400,7 @@ export default {
   createSyntaxError,
   createDirectiveError,
   createComponentError,
+  createStyleError,
   getPosition,
   getErrorContext,
   validateDirectiveBlocks
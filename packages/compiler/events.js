@@ -0,0 +1,140 @@
+/**
+ * AspScript Compiler - Events Handler
+ * Модификаторы @event: фильтры клавиш и кнопок, .prevent/.stop и опции слушателя
+ */
+
+import { compileEventHandler } from './script.js'
+
+// Модификаторы, которые становятся опциями addEventListener
+const OPTION_MODIFIERS = ['capture', 'once', 'passive']
+
+// Модификаторы, которые вызывают метод события перед обработчиком
+const EFFECT_MODIFIERS = {
+  prevent: 'preventDefault',
+  stop: 'stopPropagation'
+}
+
+const SYSTEM_MODIFIERS = ['ctrl', 'alt', 'shift', 'meta']
+
+// Псевдонимы клавиш: значения event.key, включая устаревшие (IE/Edge)
+const KEY_ALIASES = {
+  enter: ['Enter'],
+  tab: ['Tab'],
+  esc: ['Escape', 'Esc'],
+  escape: ['Escape', 'Esc'],
+  space: [' ', 'Spacebar'],
+  up: ['ArrowUp', 'Up'],
+  down: ['ArrowDown', 'Down'],
+  left: ['ArrowLeft', 'Left'],
+  right: ['ArrowRight', 'Right'],
+  delete: ['Delete', 'Backspace', 'Del']
+}
+
+const MOUSE_BUTTONS = { left: 0, middle: 1, right: 2 }
+
+const KEYBOARD_EVENTS = new Set(['keydown', 'keyup', 'keypress'])
+const MOUSE_EVENTS = new Set([
+  'click', 'dblclick', 'auxclick', 'contextmenu', 'mousedown', 'mouseup', 'pointerdown', 'pointerup'
+])
+
+/**
+ * Проверяет модификаторы события
+ * @param {string} event - имя события
+ * @param {Array<string>} modifiers - модификаторы (@keydown.enter.prevent => ['enter', 'prevent'])
+ * @returns {string|null} текст ошибки или null
+ */
+export function validateEventModifiers(event, modifiers) {
+  if (modifiers.includes('passive') && modifiers.includes('prevent')) {
+    return `Модификаторы .passive и .prevent несовместимы в @${event}: пассивный слушатель не может вызвать preventDefault()`
+  }
+
+  const unknown = modifiers.find(modifier => {
+    if (OPTION_MODIFIERS.includes(modifier) || modifier in EFFECT_MODIFIERS) return false
+    if (modifier === 'self' || modifier === 'exact' || SYSTEM_MODIFIERS.includes(modifier)) return false
+    if (KEYBOARD_EVENTS.has(event)) return false
+    return !(MOUSE_EVENTS.has(event) && modifier in MOUSE_BUTTONS)
+  })
+  if (unknown) {
+    return `Неизвестный модификатор .${unknown} для @${event}` +
+      (KEY_ALIASES[unknown] ? ' (модификаторы клавиш доступны для keydown, keyup и keypress)' : '')
+  }
+  return null
+}
+
+/**
+ * Компилирует директиву @event в обработчик и опции слушателя
+ *
+ * Фильтры (.self, системные клавиши, клавиши и кнопки мыши) проверяются
+ * до .prevent и .stop: событие, не прошедшее фильтр, не изменяется.
+ *
+ * @param {Object} directive - директива из AST { name, modifiers, expression }
+ * @param {Object} metadata - метаданные (states, computed)
+ * @param {Array<string>} locals - локальные имена шаблона
+ * @returns {Object} { handler, options } - код обработчика и код опций или null
+ */
+export function compileEventListener(directive, metadata = {}, locals = []) {
+  const { name: event, modifiers = [] } = directive
+  // @submit.prevent без значения - только модификаторы
+  const handler = directive.expression === null
+    ? '() => {}'
+    : compileEventHandler(directive.expression, metadata, locals)
+
+  const options = OPTION_MODIFIERS.filter(modifier => modifiers.includes(modifier))
+  const guards = []
+  const effects = []
+
+  if (modifiers.includes('self')) {
+    guards.push('$event.target !== $event.currentTarget')
+  }
+
+  SYSTEM_MODIFIERS.forEach(key => {
+    if (modifiers.includes(key)) guards.push(`!$event.${key}Key`)
+    else if (modifiers.includes('exact')) guards.push(`$event.${key}Key`)
+  })
+
+  const keys = []
+  modifiers.forEach(modifier => {
+    if (OPTION_MODIFIERS.includes(modifier) || SYSTEM_MODIFIERS.includes(modifier)) return
+    if (modifier === 'self' || modifier === 'exact') return
+    if (modifier in EFFECT_MODIFIERS) {
+      effects.push(`$event.${EFFECT_MODIFIERS[modifier]}()`)
+    } else if (MOUSE_EVENTS.has(event)) {
+      guards.push(`$event.button !== ${MOUSE_BUTTONS[modifier]}`)
+    } else {
+      keys.push(...toKeyValues(modifier))
+    }
+  })
+
+  if (keys.length === 1) {
+    guards.push(`$event.key !== ${quote(keys[0])}`)
+  } else if (keys.length > 1) {
+    guards.push(`![${keys.map(quote).join(', ')}].includes($event.key)`)
+  }
+
+  const statements = [...guards.map(guard => `if (${guard}) return`), ...effects]
+  return {
+    handler: statements.length > 0
+      ? `$event => { ${statements.join('; ')}; return (${handler})($event) }`
+      : handler,
+    options: options.length > 0 ? `{ ${options.map(option => `${option}: true`).join(', ')} }` : null
+  }
+}
+
+/**
+ * Значения event.key для модификатора клавиши:
+ * .enter => ['Enter'], .a => ['a', 'A'], .page-down => ['PageDown']
+ */
+function toKeyValues(modifier) {
+  if (KEY_ALIASES[modifier]) return KEY_ALIASES[modifier]
+  if (modifier.length === 1) return [...new Set([modifier.toLowerCase(), modifier.toUpperCase()])]
+  return [modifier.replace(/(?:^|-)(\w)/g, (_, char) => char.toUpperCase())]
+}
+
+function quote(value) {
+  return `'${value.replace(/[\\']/g, '\\$&')}'`
+}
+
+export default {
+  validateEventModifiers,
+  compileEventListener
+}
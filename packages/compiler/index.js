@@ -4,11 +4,12 @@
  * Version: 1.3.0 "Advanced Compiler"
  */
 
-import * as acorn from 'acorn'
-import * as jsx from 'acorn-jsx'
 import { generate as astringGenerate } from 'astring'
-import * as csstree from 'css-tree'
-import { compileDirectives, transformExpression } from './directives.js'
+import { compileDirectives } from './directives.js'
+import { compileScript } from './script.js'
+import { parseTemplate } from './template-parser.js'
+import { generateDOM } from './codegen.js'
+import { compileStyle, createScopeId, generateCssVars, collectTemplateUsage } from './style.js'
 import {
   parseProps,
   generatePropsValidation,
@@ -16,25 +17,10 @@ import {
   parseEmits,
   generateEventsCode,
   parseSlots,
-  generateSlotsCode,
-  compileSlotsUsage
+  generateSlotsCode
 } from './components.js'
-import { validateDirectiveBlocks } from './errors.js'
-
-// Настройка JSX парсера  
-const Parser = acorn.Parser.extend(jsx.default ? jsx.default() : jsx())
-
-/**
- * Парсит JavaScript с JSX
- * @param {string} code - код для парсинга
- * @returns {Object} AST
- */
-function parseJavaScript(code) {
-  return Parser.parse(code, {
-    ecmaVersion: 2022,
-    sourceType: 'module'
-  })
-}
+import { getPosition } from './errors.js'
+import { mapped, createSourceMap } from './sourcemap.js'
 
 /**
  * Разделяет .aspc файл на секции
@@ -89,7 +75,7 @@ function parseSections(source) {
     }
 
     // Извлекаем <template> секцию
-    const templateRegex = /<template>([\s\S]*?)<\/template>/
+    const templateRegex = /<template>([\s\S]*)<\/template>/
     const templateMatch = source.match(templateRegex)
     if (templateMatch) {
       sections.template = templateMatch[1].trim()
@@ -106,370 +92,270 @@ function parseSections(source) {
   return sections
 }
 
+// Упрощенные трансформации перенесены в compileScript
+
 /**
- * Компилирует script секцию
- * @param {string} script - JavaScript код
- * @returns {Object} скомпилированный код с метаданными
+ * Компилирует template секцию
+ *
+ * Режим 'dom' генерирует клонирование статических шаблонов и точечные
+ * привязки (см. codegen.js). Режим 'string' - прежний рендер через innerHTML.
+ *
+ * @param {string} template - HTML шаблон
+ * @param {Object} metadata - метаданные из script
+ * @param {Object} options - опции (mode, file, lineOffset), sourceOffset -
+ *   смещение шаблона в .aspc, если нужна source map, scopeId - атрибут scope
+ *   для элементов, slotScopeId - атрибут содержимого слотов для :slotted() и
+ *   cssVars - переменные bind() из <style> для корневых элементов
+ * @returns {Object} { code, hoisted, helpers } - функция рендеринга,
+ *   объявления уровня модуля и помощники @aspscript/core
  */
-function compileScript(script) {
-  if (!script.trim()) return { code: '', states: [], computed: [], effects: [] }
-
-  const states = []
-  const computed = []
-  const effects = []
-  const functions = []
-  let transformed = script
-
-  // 1. Находим и обрабатываем $state переменные
-  const stateRegex = /let\s+(\w+)\s*=\s*\$state\s*\(([^)]*)\)/g
-  let match
-  while ((match = stateRegex.exec(script)) !== null) {
-    const varName = match[1]
-    const initialValue = match[2]
-    states.push({ name: varName, initial: initialValue })
-  }
-
-  // Заменяем $state на правильный Proxy код
-  transformed = transformed.replace(
-    /let\s+(\w+)\s*=\s*\$state\s*\(([^)]*)\)/g,
-    (match, varName, initial) => {
-      return `const _state_${varName} = $state(${initial})`
-    }
-  )
-
-  // 2. Находим вычисляемые значения ($: name = expression)
-  const computedRegex = /^\s*\$:\s+(\w+)\s*=\s*(.+)$/gm
-  while ((match = computedRegex.exec(script)) !== null) {
-    const varName = match[1]
-    const expression = match[2]
-    computed.push({ name: varName, expression })
-  }
-
-  // Заменяем вычисляемые значения на $computed
-  transformed = transformed.replace(
-    /^\s*\$:\s+(\w+)\s*=\s*(.+)$/gm,
-    (match, varName, expr) => {
-      return `const _computed_${varName} = $computed(() => ${expr})`
+function compileTemplate(template, metadata = {}, options = {}) {
+  if (!template.trim()) {
+    return {
+      code: `function render() {
+      const div = document.createElement('div')
+      div.textContent = 'Empty component'
+      return div
+    }`,
+      hoisted: [],
+      helpers: []
     }
-  )
-
-  // 3. Находим эффекты ($: { code })
-  const effectBlockRegex = /^\s*\$:\s*effect\s*\(\s*\(\)\s*=>\s*\{([\s\S]*?)\}\s*\)/gm
-  while ((match = effectBlockRegex.exec(script)) !== null) {
-    effects.push({ code: match[1].trim() })
   }
 
-  // Заменяем эффекты
-  transformed = transformed.replace(
-    /^\s*\$:\s*effect\s*\(\s*\(\)\s*=>\s*\{([\s\S]*?)\}\s*\)/gm,
-    (match, code) => {
-      return `  $effect(() => {${code}})`
-    }
-  )
+  // Снимаем только внешнюю обертку: <template #name> внутри - слоты дочерних компонентов
+  const wrapper = /^(\s*<template>)([\s\S]*)<\/template>\s*$/.exec(template)
+  const html = wrapper ? wrapper[2] : template
+  const sourceOffset = options.sourceOffset == null ? null : options.sourceOffset + (wrapper ? wrapper[1].length : 0)
 
-  // 4. Находим функции
-  const functionRegex = /function\s+(\w+)\s*\([^)]*\)\s*\{/g
-  while ((match = functionRegex.exec(script)) !== null) {
-    functions.push(match[1])
+  if (options.mode === 'string') {
+    return { ...compileStringTemplate(html, metadata, { ...options, sourceOffset }), hoisted: [] }
   }
 
-  // 5. Заменяем все обращения к state/computed переменным на .value
-  // Сначала заменяем в computed выражениях (они используют state)
-  states.forEach(({ name }) => {
-    // Заменяем в правой части присваиваний и выражениях
-    const regex = new RegExp(`\\b${name}\\b`, 'g')
-    transformed = transformed.replace(regex, `_state_${name}.value`)
-  })
-  
-  computed.forEach(({ name }) => {
-    const regex = new RegExp(`\\b${name}\\b`, 'g')
-    transformed = transformed.replace(regex, `_computed_${name}.value`)
+  const ast = parseTemplate(html, options)
+  const { code, hoisted, helpers } = generateDOM(ast.children, metadata, {
+    sourceOffset,
+    scopeId: options.scopeId,
+    slotScopeId: options.slotScopeId,
+    cssVars: options.cssVars
   })
 
+  // Эффекты привязок принадлежат scope компонента и останавливаются вместе с ним
   return {
-    code: transformed,
-    states,
-    computed,
-    effects,
-    functions
+    code: `function render() {
+    return componentScope.run(() => {
+${code.split('\n').map(line => line ? '      ' + line : line).join('\n')}
+    })
+  }`,
+    hoisted,
+    helpers
   }
 }
 
-// Упрощенные трансформации перенесены в compileScript
-
 /**
- * Компилирует template секцию
- * @param {string} template - HTML шаблон
+ * Рендер через шаблонную строку и innerHTML
+ * @param {string} html - HTML шаблон
  * @param {Object} metadata - метаданные из script
- * @returns {string} функция рендеринга
+ * @param {Object} options - опции парсера (file, lineOffset)
+ * @returns {Object} { code, helpers } - функция рендеринга и помощники @aspscript/core
  */
-function compileTemplate(template, metadata = {}) {
-  if (!template.trim()) {
-    return `function render() {
-      const div = document.createElement('div')
-      div.textContent = 'Empty component'
-      return div
-    }`
-  }
-
-  const html = template.replace(/<\/?template>/g, '').trim()
-  let processed = html
-
-  // НОВОЕ: Обработка директив (#if, #for, #each) через отдельный модуль
-  processed = compileDirectives(processed, metadata)
+function compileStringTemplate(html, metadata, options) {
+  // Шаблон разбирается в AST и генерируется в шаблонную строку:
+  // блоки, интерполяции, слоты и директивы атрибутов
+  const helpers = new Set()
+  const processed = compileDirectives(html, metadata, { ...options, helpers }).trim()
+
+  // bind() из <style>: эффект переменных пересоздается вместе с корнем при каждом render()
+  const cssVars = options.cssVars ?? []
+  if (cssVars.length > 0) helpers.add('useCssVars')
+  const root = cssVars.length > 0
+    ? `styleVars?.stop()
+    styleVars = componentScope.run(() => effectScope())
+    return styleVars.run(() => useCssVars(container.firstElementChild || container, () => (${generateCssVars(cssVars, metadata)})))`
+    : 'return container.firstElementChild || container'
+
+  // Дочерние компоненты пересоздаются при каждом render(): прежние останавливаются
+  const components = helpers.has('createComponent')
+  const children = components
+    ? `
+    children?.stop()
+    children = componentScope.run(() => effectScope())
+    const _component = (Component, props, setRef) =>
+      _insert(children.run(() => createComponent(Component, props, setRef)))`
+    : ''
 
-  // Обработка {interpolation} - теперь пропускаем директивы
-  processed = processed.replace(
-    /\{([^#/:}][^}]*)\}/g,  // Не трогаем {#if}, {:else}, {/if} и т.д.
-    (match, expr) => {
-      let transformed = transformExpression(expr, metadata)
-      return `\${${transformed}}`
-    }
-  )
-
-  // Обработка @click и других событий
-  processed = processed.replace(
-    /@(\w+)\s*=\s*["']([^"']+)["']/g,
-    'data-event-$1="$2"'
-  )
-
-  // Обработка #bind
-  processed = processed.replace(
-    /#bind\s*=\s*["']([^"']+)["']/g,
-    (match, varName) => {
-      let transformed = varName.trim()
-      
-      // Заменяем на state переменную
-      if (metadata.states) {
-        metadata.states.forEach(({ name }) => {
-          if (transformed === name) {
-            transformed = `_state_${name}`
-          }
+  // Генерируем функцию рендеринга
+  // _listen, _bind и _ref сохраняют замыкания из шаблона и возвращают их индекс;
+  // _insert ставит на место узла (слот, дочерний компонент) <template data-insert>
+  const code = `${components ? 'let children = null\n  ' : ''}${cssVars.length > 0 ? 'let styleVars = null\n  ' : ''}function render() {
+    const listeners = []
+    const bindings = []
+    const refs = []
+    const inserts = []
+    const _listen = (handler, options) => listeners.push({ handler, options }) - 1
+    const _bind = (get, set, property, modifiers) => bindings.push({ get, set, property, modifiers }) - 1
+    const _ref = set => refs.push(set) - 1
+    const _insert = content => content == null || typeof content === 'string'
+      ? content ?? ''
+      : \`<template data-insert="\${inserts.push(content) - 1}"></template>\`
+    // Содержимое слота для дочернего компонента: узлы со связанными обработчиками
+    const _fragment = html => {
+      const template = document.createElement('template')
+      template.innerHTML = html
+      wire(template.content)
+      return template.content
+    }${children}
+
+    function wire(container) {
+      // Привязываем обработчики событий: data-event-<имя>="<индекс>"
+      container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(({ name, value }) => {
+          if (!name.startsWith('data-event-')) return
+          const { handler, options } = listeners[value]
+          el.addEventListener(name.slice('data-event-'.length), handler, options)
+          el.removeAttribute(name)
         })
-      }
-      
-      return `data-bind="${transformed}"`
-    }
-  )
-
-  // Обработка :class
-  processed = processed.replace(
-    /:class\s*=\s*["']([^"']+)["']/g,
-    (match, expr) => {
-      const transformed = transformExpression(expr, metadata)
-      return `data-class="${transformed}"`
-    }
-  )
-
-  // Обработка :style
-  processed = processed.replace(
-    /:style\s*=\s*["']([^"']+)["']/g,
-    (match, expr) => {
-      const transformed = transformExpression(expr, metadata)
-      return `data-style="${transformed}"`
-    }
-  )
+      })
 
-  // Генерируем функцию рендеринга
-  return `function render() {
-    const container = document.createElement('div')
-    container.innerHTML = \`${processed}\`
-    
-    // Привязываем обработчики событий
-    const elements = container.querySelectorAll('[data-event-click]')
-    elements.forEach(el => {
-      const handler = el.getAttribute('data-event-click')
-      el.addEventListener('click', () => {
-        eval(handler)
+      // Привязываем #bind директивы: значение записывается при каждом render()
+      container.querySelectorAll('[data-bind]').forEach(el => {
+        const { get, set, property, modifiers } = bindings[el.getAttribute('data-bind')]
+        el.removeAttribute('data-bind')
+        syncBinding(el, property, get(), modifiers)
+        observeBinding(el, property, set, modifiers, get)
       })
-      el.removeAttribute('data-event-click')
-    })
-    
-    // Привязываем #bind директивы
-    const bindElements = container.querySelectorAll('[data-bind]')
-    bindElements.forEach(el => {
-      const varName = el.getAttribute('data-bind')
-      if (el.tagName === 'INPUT') {
-        el.value = eval(varName + '.value')
-        el.addEventListener('input', (e) => {
-          const value = el.type === 'number' || el.type === 'range' ? Number(e.target.value) : e.target.value
-          eval(varName + '.value = value')
-        })
-      }
-      el.removeAttribute('data-bind')
-    })
-    
-    return container.firstElementChild || container
-  }`
-}
 
-// Упрощенные вспомогательные функции удалены
+      // bind:this
+      container.querySelectorAll('[data-ref]').forEach(el => {
+        refs[el.getAttribute('data-ref')](el)
+        el.removeAttribute('data-ref')
+      })
 
-/**
- * Компилирует CSS с scoping
- * @param {string} style - CSS код
- * @param {string} componentName - имя компонента для scoping
- * @returns {string} scoped CSS
- */
-function compileStyle(style, componentName) {
-  if (!style.trim()) return ''
+      // Слоты и дочерние компоненты уже связаны своим владельцем
+      container.querySelectorAll('template[data-insert]').forEach(el => {
+        el.replaceWith(inserts[el.getAttribute('data-insert')])
+      })
+    }
 
-  // Извлекаем CSS код
-  let css = style
-  let lang = 'css'
-  
-  // Проверяем, есть ли атрибут lang
-  const langMatch = style.match(/<style[^>]*lang\s*=\s*["'](\w+)["']/)
-  if (langMatch) {
-    lang = langMatch[1]
-  }
-  
-  // Убираем теги <style>
-  css = css.replace(/<style[^>]*>/, '').replace(/<\/style>/, '').trim()
+    const container = document.createElement('div')
+    container.innerHTML = \`${processed}\`
+    wire(container)
 
-  if (!css) return ''
+    ${root}
+  }`
 
-  // Если SCSS - преобразуем в CSS (упрощенная версия)
-  if (lang === 'scss') {
-    css = compileSCSS(css)
+  return {
+    code,
+    helpers: [...helpers]
   }
-
-  // Добавляем scoping
-  const scopeClass = `aspscript-${componentName.toLowerCase()}`
-  const scopedCss = addScopeToCSS(css, scopeClass)
-
-  return scopedCss
 }
 
-/**
- * Упрощенная компиляция SCSS в CSS
- */
-function compileSCSS(scss) {
-  let css = scss
-  
-  // Убираем комментарии
-  css = css.replace(/\/\*[\s\S]*?\*\//g, '')
-  css = css.replace(/\/\/.*/g, '')
-  
-  // Обрабатываем переменные $variable
-  const variables = {}
-  css = css.replace(/\$(\w+):\s*([^;]+);/g, (match, name, value) => {
-    variables[name] = value.trim()
-    return ''
-  })
-  
-  // Заменяем использование переменных
-  Object.entries(variables).forEach(([name, value]) => {
-    const regex = new RegExp(`\\$${name}\\b`, 'g')
-    css = css.replace(regex, value)
-  })
-  
-  // Обрабатываем вложенность (упрощенная версия)
-  css = processNesting(css)
-  
-  return css.trim()
-}
+// Упрощенные вспомогательные функции удалены
 
 /**
- * Обрабатывает вложенность SCSS
+ * Сегменты source map для стилей: если scoping сохранил число строк,
+ * каждая строка CSS указывает на свою строку <style>, иначе - на начало секции
+ * @param {string} css - скомпилированный CSS
+ * @param {string} source - содержимое .aspc
+ * @param {string} style - секция <style> с тегами
+ * @returns {Object} { code, segments }
  */
-function processNesting(css) {
-  // Это упрощенная версия - полная реализация требует парсера
-  // Пока просто разворачиваем & селекторы
-  css = css.replace(/&/g, '')
-  return css
-}
+function mapStyleLines(css, source, style) {
+  if (!css) return { code: css, segments: [] }
 
-/**
- * Добавляет scope к CSS правилам
- */
-function addScopeToCSS(css, scopeClass) {
+  const tag = /^<style[^>]*>\s*/.exec(style)[0]
+  const start = source.indexOf(style) + tag.length
+  const original = style.slice(tag.length).replace(/<\/style>$/, '').trim().split('\n')
   const lines = css.split('\n')
-  const result = []
-  let currentSelector = ''
-  let inAtRule = false
-  
-  for (const line of lines) {
-    const trimmed = line.trim()
-    
-    // Медиа-запросы и другие @ правила
-    if (trimmed.startsWith('@')) {
-      result.push(line)
-      inAtRule = trimmed.includes('{')
-      continue
-    }
-    
-    // Закрывающая скобка @ правила
-    if (inAtRule && trimmed === '}') {
-      result.push(line)
-      inAtRule = false
-      continue
-    }
-    
-    // Селектор
-    if (trimmed.includes('{') && !trimmed.startsWith('@')) {
-      const selector = trimmed.substring(0, trimmed.indexOf('{')).trim()
-      const rest = trimmed.substring(trimmed.indexOf('{'))
-      
-      // Добавляем scope class к селектору
-      let scopedSelector = selector
-      if (!selector.includes(scopeClass)) {
-        // Разделяем множественные селекторы
-        const selectors = selector.split(',').map(s => s.trim())
-        scopedSelector = selectors.map(s => {
-          // Не добавляем scope к :root, html, body, *
-          if (s === ':root' || s === 'html' || s === 'body' || s === '*') {
-            return s
-          }
-          return `.${scopeClass} ${s}`
-        }).join(', ')
-      }
-      
-      result.push(`${scopedSelector} ${rest}`)
-    } else {
-      result.push(line)
+
+  const segments = []
+  let generated = 0
+  let offset = start
+  lines.forEach((line, index) => {
+    const indent = line.length - line.trimStart().length
+    if (lines.length === original.length) {
+      segments.push([generated + indent, offset + original[index].length - original[index].trimStart().length])
+      offset += original[index].length + 1
+    } else if (index === 0) {
+      segments.push([0, start])
     }
-  }
-  
-  return result.join('\n')
+    generated += line.length + 1
+  })
+
+  return { code: css, segments }
 }
 
 /**
  * Основная функция компиляции
  * @param {string} source - содержимое .aspc файла
  * @param {object} options - опции компиляции
- * @returns {string} скомпилированный JavaScript
+ * @param {string} [options.mode] - 'dom' (по умолчанию) - точечные обновления DOM,
+ *   'string' - рендер через innerHTML
+ * @param {boolean} [options.ssr] - код для renderToString: всегда строковый режим
+ * @param {boolean} [options.sourcemap] - вернуть { code, map } с source map v3,
+ *   где script, выражения шаблона и стили указывают на строки .aspc (sources: [file])
+ * @param {Object} [options.style] - опции стилей (loadPaths, postcss), см. style.js
+ * @param {string} [options.css] - 'inject' (по умолчанию) - компонент вставляет <style>
+ *   при монтировании; 'external' - для сборки: CSS без неиспользуемых селекторов
+ *   возвращается отдельно, компонент только отмечает свои стили (useStyles)
+ * @returns {string|Object} скомпилированный JavaScript или { code, map };
+ *   с css: 'external' - { code, map?, css, scopeId }
  */
 export function compile(source, options = {}) {
   const componentName = options.componentName || 'Component'
-  const { ssr = false, hmr = false, file = 'unknown.aspc' } = options
+  const { ssr = false, hmr = false, file = 'unknown.aspc', sourcemap = false, css = 'inject' } = options
+  // renderToString выполняет render() без настоящего DOM: серверу нужен строковый режим
+  const mode = ssr ? 'string' : (options.mode ?? 'dom')
 
   try {
     // Разделяем на секции
     const sections = parseSections(source)
 
-    // Валидируем директивы (проверяем закрытие блоков)
-    if (sections.template) {
-      validateDirectiveBlocks(sections.template, file)
-    }
-
     // Парсим props, events, slots из script
     const props = parseProps(sections.script)
     const emits = parseEmits(sections.script)
     const slots = parseSlots(sections.template)
 
     // Компилируем script с метаданными
-    const scriptResult = compileScript(sections.script)
+    const scriptStart = sections.script ? source.indexOf(sections.script) : -1
+    const scriptResult = compileScript(sections.script, {
+      file,
+      lineOffset: scriptStart >= 0 ? getPosition(source, scriptStart).line - 1 : 0
+    })
     
-    // Компилируем template с учетом слотов
-    let templateWithSlots = sections.template
-    if (Object.keys(slots.named).length > 0 || slots.default) {
-      templateWithSlots = compileSlotsUsage(templateWithSlots, slots)
+    // Компилируем style: ошибки препроцессоров тоже указывают строку в .aspc.
+    // При сборке (css: 'external') селекторы, не совпадающие с разметкой, отбрасываются
+    const scopeId = sections.style.trim() ? createScopeId(file, componentName) : null
+    const styleStart = sections.style ? source.indexOf(sections.style) + /^<style[^>]*>\s*/.exec(sections.style)[0].length : -1
+    const templateStart = sections.template ? source.indexOf(sections.template) : -1
+    const templateLine = templateStart >= 0 ? getPosition(source, templateStart).line - 1 : 0
+    const style = compileStyle(sections.style, scopeId, {
+      ...options.style,
+      file,
+      lineOffset: styleStart >= 0 ? getPosition(source, styleStart).line - 1 : 0,
+      usage: css === 'external' && scopeId
+        ? collectTemplateUsage(parseTemplate(sections.template, { file, lineOffset: templateLine }))
+        : null
+    })
+
+    // Компилируем template: ошибки парсера указывают строку в .aspc.
+    // Элементы несут атрибут scope, на него опираются селекторы (кроме <style module>)
+    const renderFunction = compileTemplate(sections.template, scriptResult, {
+      mode,
+      file,
+      lineOffset: templateLine,
+      sourceOffset: sourcemap && templateStart >= 0 ? templateStart : null,
+      scopeId: style.module ? null : scopeId,
+      slotScopeId: scopeId && !style.module && /:slotted\(/.test(sections.style) ? `${scopeId}-s` : null,
+      cssVars: style.vars
+    })
+
+    // Фрагменты с позициями в .aspc для source map
+    const scriptCode = {
+      code: scriptResult.code,
+      segments: scriptResult.segments.map(([generated, original]) => [generated, scriptStart + original])
     }
-    
-    const renderFunction = compileTemplate(templateWithSlots, scriptResult)
-    const scopedStyle = compileStyle(sections.style, componentName)
-    const scopeClass = `aspscript-${componentName.toLowerCase()}`
+    // CSS встраивается в шаблонную строку: экранируем \, ` и ${ (например, content: "\201C" после sass)
+    const styleCode = mapStyleLines(style.css.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${'), source, sections.style)
 
     // Генерируем код для props, events, slots
     const propsCode = generatePropsCode(props)
@@ -477,13 +363,40 @@ export function compile(source, options = {}) {
     const eventsCode = generateEventsCode(emits)
     const slotsCode = generateSlotsCode(slots)
 
+    // Вынесенный CSS подключает сборка; компонент только отмечает, что его стили нужны
+    const stylesCode = css === 'external'
+      ? (scopeId ? 'useStyles(scopeId)' : '')
+      : `onMount(() => {
+    // Inject styles
+    if (typeof document !== 'undefined' && !document.getElementById('${componentName}-style')) {
+      const styleElement = document.createElement('style')
+      styleElement.id = '${componentName}-style'
+      styleElement.textContent = styles
+      document.head.appendChild(styleElement)
+    }
+  })`
+
+    // Импорты пользователя из @aspscript/core объединяются с помощниками компилятора
+    const coreImports = [...new Set([
+      '$state', '$computed', '$effect', '$global', 'onMount', 'onDestroy', 'effectScope',
+      ...renderFunction.helpers,
+      ...(css === 'external' && scopeId ? ['useStyles'] : []),
+      ...scriptResult.coreImports
+    ])]
+
     // Генерируем финальный код компонента
-    const code = `
+    const output = mapped`
 // AspScript Component: ${componentName}
 // Generated by AspScript Compiler v1.3.0 "Advanced Compiler"
-import { $state, $computed, $effect, $global, onMount, onDestroy } from '@aspscript/core'
+import { ${coreImports.join(', ')} } from '@aspscript/core'
+${scriptResult.imports.join('\n')}
+${renderFunction.hoisted.join('\n')}
 
 export default function ${componentName}(props = {}) {
+  // Все эффекты и onDestroy компонента принадлежат его scope
+  const componentScope = effectScope()
+
+  return componentScope.run(() => {
   // Props initialization
   const componentProps = props || {}
   ${propsCode}
@@ -495,37 +408,35 @@ export default function ${componentName}(props = {}) {
   // Slots system
   ${slotsCode}
 
-  // Component logic
-  ${scriptResult.code}
+  ${style.module ? `// CSS Modules: классы <style module>
+  const ${style.module} = ${JSON.stringify(style.classes)}
+
+  ` : ''}// Component logic
+  ${scriptCode}
 
   // Render function
-  ${renderFunction}
+  ${renderFunction.code}
 
   // Styles
-  const styles = \`${scopedStyle}\`
-  const scopeClass = '${scopeClass}'
+  const styles = \`${css === 'external' ? '' : styleCode}\`
+  const scopeId = ${scopeId ? `'${scopeId}'` : 'null'}
 
   // Component lifecycle
-  onMount(() => {
-    // Inject styles
-    if (typeof document !== 'undefined' && !document.getElementById('${componentName}-style')) {
-      const styleElement = document.createElement('style')
-      styleElement.id = '${componentName}-style'
-      styleElement.textContent = styles
-      document.head.appendChild(styleElement)
-    }
-  })
+  ${stylesCode}
 
   // Return component interface
   return {
     render,
     styles,
     name: '${componentName}',
-    scopeClass,
+    scopeId,
     props: componentProps,
     ${emits.length > 0 ? 'emit, on,' : ''}
     ${Object.keys(slots.named).length > 0 || slots.default ? 'slots: ' + JSON.stringify(Object.keys(slots.named)) + ',' : ''}
+    // Останавливает эффекты и вызывает onDestroy
+    cleanup: () => componentScope.stop()
   }
+  })
 }
 
 ${hmr ? `
@@ -540,7 +451,12 @@ if (import.meta.hot) {
 ` : ''}
 `
 
-    return code
+    const result = sourcemap
+      ? createSourceMap(output, source, { file: `${componentName}.js`, source: file })
+      : output.code
+
+    if (css !== 'external') return result
+    return { ...(sourcemap ? result : { code: result }), css: style.css, scopeId }
   } catch (error) {
     // Если это наша ошибка компилятора, форматируем и выбрасываем
     if (error.name === 'CompilerError') {
@@ -550,5 +466,7 @@ if (import.meta.hot) {
   }
 }
 
+export { compileScript, parseTemplate }
+
 export default { compile }
 
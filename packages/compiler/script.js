@@ -0,0 +1,572 @@
+/**
+ * AspScript Compiler - Script Handler
+ * Компиляция script секции через AST с учетом областей видимости
+ */
+
+import * as acorn from 'acorn'
+import * as jsx from 'acorn-jsx'
+import { createSyntaxError, getErrorContext } from './errors.js'
+import { identitySegments } from './sourcemap.js'
+
+// Настройка JSX парсера
+const Parser = acorn.Parser.extend(jsx.default ? jsx.default() : jsx())
+
+// Объявления, которые обрабатывает components.js (parseProps, parseEmits)
+const COMPONENT_EXPORTS = new Set(['props', 'emits'])
+
+// Модуль, из которого компилятор сам импортирует помощники
+const CORE_MODULE = '@aspscript/core'
+
+/**
+ * Компилирует script секцию
+ *
+ * `let name = $state(...)` превращается в `const _state_name = $state(...)`,
+ * `$: name = expr` - в `$computed`, остальные `$:` - в `$effect`. Обращения
+ * к состоянию переписываются на `.value` только там, где имя действительно
+ * ссылается на него: ключи объектов, свойства (`obj.count`), строки и
+ * локальные переменные с тем же именем не затрагиваются.
+ *
+ * @param {string} script - JavaScript код
+ * @param {Object} options - опции
+ * @param {string} [options.file] - имя файла для ошибок
+ * @param {number} [options.lineOffset] - номер строки .aspc, с которой начинается script
+ * @returns {Object} скомпилированный код с метаданными; segments - пары
+ *   [смещение в code, смещение в script] для source map; coreImports -
+ *   именованные импорты из @aspscript/core ('onDestroy', 'flushSync as flush'),
+ *   которые объединяются с импортом компилятора
+ */
+export function compileScript(script, options = {}) {
+  if (!script.trim()) {
+    return { code: '', segments: [], imports: [], coreImports: [], states: [], computed: [], effects: [], functions: [] }
+  }
+
+  const { file = 'unknown.aspc', lineOffset = 0 } = options
+  const ast = parseScript(script, file, lineOffset)
+
+  const states = []
+  const computed = []
+  const effects = []
+  const functions = []
+  const imports = []
+  const coreImports = []
+  const edits = []
+
+  // Реактивные имена верхнего уровня: name => замена
+  const reactiveNames = new Map()
+  // Идентификаторы объявлений, которые переименовываются отдельно
+  const declarationIds = new Set()
+
+  const source = node => script.slice(node.start, node.end)
+
+  // 1. Объявления верхнего уровня
+  ast.body.forEach(node => {
+    if (node.type === 'ImportDeclaration') {
+      if (node.source.value === CORE_MODULE && node.specifiers.length > 0) {
+        splitCoreImport(node, source, imports, coreImports)
+      } else {
+        imports.push(source(node))
+      }
+      edits.push({ start: node.start, end: node.end, text: '', remove: true })
+      return
+    }
+
+    if (node.type === 'ExportNamedDeclaration' && node.declaration) {
+      const declared = getDeclaredNames(node.declaration)
+      if (declared.some(name => COMPONENT_EXPORTS.has(name))) {
+        edits.push({ start: node.start, end: node.end, text: '', remove: true })
+        return
+      }
+      // Экспорт внутри функции компонента невозможен - оставляем объявление
+      edits.push({ start: node.start, end: node.declaration.start, text: '' })
+      node = node.declaration
+    }
+
+    if (node.type === 'VariableDeclaration') {
+      const stateDeclarators = node.declarations.filter(isStateDeclarator)
+      stateDeclarators.forEach(declarator => {
+        const name = declarator.id.name
+        const args = declarator.init.arguments
+        states.push({
+          name,
+          initial: args.length > 0 ? script.slice(args[0].start, args[args.length - 1].end) : ''
+        })
+        reactiveNames.set(name, `_state_${name}.value`)
+        declarationIds.add(declarator.id)
+        edits.push({ start: declarator.id.start, end: declarator.id.end, text: `_state_${name}` })
+      })
+
+      // Состояние - константа: меняется .value, а не сама переменная
+      if (stateDeclarators.length > 0 && stateDeclarators.length === node.declarations.length && node.kind !== 'const') {
+        edits.push({ start: node.start, end: node.start + node.kind.length, text: 'const' })
+      }
+      return
+    }
+
+    if (node.type === 'FunctionDeclaration' && node.id) {
+      functions.push(node.id.name)
+      return
+    }
+
+    if (node.type === 'LabeledStatement' && node.label.name === '$') {
+      compileReactiveStatement(node)
+    }
+  })
+
+  /**
+   * $: name = expr    => const _computed_name = $computed(() => expr)
+   * $: effect(fn)     => $effect(fn)
+   * $: statement      => $effect(() => { statement })
+   */
+  function compileReactiveStatement(node) {
+    const body = node.body
+    const expression = body.type === 'ExpressionStatement' ? body.expression : null
+
+    if (
+      expression?.type === 'AssignmentExpression' &&
+      expression.operator === '=' &&
+      expression.left.type === 'Identifier'
+    ) {
+      const name = expression.left.name
+      computed.push({ name, expression: source(expression.right) })
+      reactiveNames.set(name, `_computed_${name}.value`)
+      declarationIds.add(expression.left)
+      edits.push({ start: node.start, end: expression.right.start, text: `const _computed_${name} = $computed(() => ` })
+      edits.push({ start: expression.right.end, end: expression.right.end, text: ')' })
+      return
+    }
+
+    if (
+      expression?.type === 'CallExpression' &&
+      expression.callee.type === 'Identifier' &&
+      expression.callee.name === 'effect'
+    ) {
+      const body = expression.arguments[0]?.body
+      effects.push({
+        code: body?.type === 'BlockStatement' ? script.slice(body.start + 1, body.end - 1).trim() : source(expression)
+      })
+      edits.push({ start: node.start, end: expression.callee.end, text: '$effect' })
+      return
+    }
+
+    effects.push({ code: source(body) })
+    edits.push({ start: node.start, end: body.start, text: '$effect(() => { ' })
+    edits.push({ start: body.end, end: body.end, text: ' })' })
+  }
+
+  // 2. Переписываем обращения к реактивным переменным
+  if (reactiveNames.size > 0) {
+    rewriteReferences(ast, reactiveNames, declarationIds, edits)
+  }
+
+  const segments = []
+  return {
+    code: applyEdits(script, edits, segments),
+    segments,
+    imports,
+    coreImports,
+    states,
+    computed,
+    effects,
+    functions
+  }
+}
+
+// Именованные импорты @aspscript/core уходят в импорт компилятора: второй
+// import { onDestroy } того же имени - SyntaxError. Импорт по умолчанию
+// и import * остаются отдельным объявлением
+function splitCoreImport(node, source, imports, coreImports) {
+  const rest = []
+  node.specifiers.forEach(specifier => {
+    if (specifier.type !== 'ImportSpecifier') {
+      rest.push(specifier)
+      return
+    }
+    const imported = source(specifier.imported)
+    coreImports.push(imported === specifier.local.name ? imported : `${imported} as ${specifier.local.name}`)
+  })
+
+  rest.forEach(specifier => {
+    const local = specifier.type === 'ImportNamespaceSpecifier' ? `* as ${specifier.local.name}` : specifier.local.name
+    imports.push(`import ${local} from '${CORE_MODULE}'`)
+  })
+}
+
+/**
+ * Переписывает выражение шаблона: обращения к состоянию и computed
+ * получают `.value` с учетом областей видимости
+ *
+ * @param {string} expression - JavaScript выражение
+ * @param {Object} metadata - метаданные с states, computed и signals
+ * @param {Array<string>} [locals] - имена, объявленные шаблоном (переменные циклов),
+ *   которые перекрывают состояние
+ * @returns {string} переписанное выражение
+ */
+export function compileExpression(expression, metadata = {}, locals = []) {
+  const code = expression.trim()
+  const reactiveNames = getReactiveNames(metadata)
+  if (reactiveNames.size === 0 || !code) return code
+
+  const ast = Parser.parseExpressionAt(code, 0, { ecmaVersion: 'latest' })
+  const edits = []
+  rewriteReferences(ast, reactiveNames, new Set(), edits, [new Set(locals)])
+
+  return applyEdits(code, edits)
+}
+
+/**
+ * Компилирует обработчик события в функцию
+ *
+ * `increment`       => $event => increment($event)
+ * `() => save(id)`  => () => save(id)
+ * `count++; save()` => $event => { _state_count.value++; save() }
+ *
+ * @param {string} code - значение @event
+ * @param {Object} metadata - метаданные с states, computed и signals
+ * @param {Array<string>} [locals] - переменные циклов, перекрывающие состояние
+ * @returns {string} JavaScript функция
+ */
+export function compileEventHandler(code, metadata = {}, locals = []) {
+  const source = code.trim().replace(/;+$/, '')
+  const ast = Parser.parse(source, { ecmaVersion: 'latest', sourceType: 'module' })
+  const reactiveNames = getReactiveNames(metadata)
+  const edits = []
+
+  if (reactiveNames.size > 0) {
+    rewriteReferences(ast, reactiveNames, new Set(), edits, [new Set([...locals, '$event'])])
+  }
+  const compiled = applyEdits(source, edits)
+
+  const expression = ast.body.length === 1 && ast.body[0].type === 'ExpressionStatement'
+    ? ast.body[0].expression
+    : null
+
+  if (expression?.type === 'ArrowFunctionExpression' || expression?.type === 'FunctionExpression') {
+    return compiled
+  }
+  if (expression?.type === 'Identifier' || expression?.type === 'MemberExpression') {
+    return `$event => ${compiled}($event)`
+  }
+  return `$event => { ${compiled} }`
+}
+
+function getReactiveNames(metadata) {
+  const reactiveNames = new Map()
+  metadata.states?.forEach(({ name }) => reactiveNames.set(name, `_state_${name}.value`))
+  metadata.computed?.forEach(({ name }) => reactiveNames.set(name, `_computed_${name}.value`))
+  // Локальные состояния шаблона, например индекс строки {#for}
+  metadata.signals?.forEach(name => reactiveNames.set(name, `${name}.value`))
+  return reactiveNames
+}
+
+/**
+ * Возвращает имена, объявленные шаблоном деструктуризации: `{ id, name }` => ['id', 'name']
+ * @param {string} pattern - паттерн (идентификатор, объект или массив)
+ * @returns {Array<string>} имена
+ */
+export function getPatternNames(pattern) {
+  const ast = acorn.parse(`let ${pattern} = 0`, { ecmaVersion: 'latest' })
+  const names = new Set()
+  collectPatternNames(ast.body[0].declarations[0].id, names)
+  return [...names]
+}
+
+/**
+ * Парсит script, превращая ошибки acorn в CompilerError с позицией в .aspc
+ */
+function parseScript(script, file, lineOffset) {
+  try {
+    return Parser.parse(script, {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      locations: true
+    })
+  } catch (error) {
+    if (!error.loc) throw error
+    const line = error.loc.line + lineOffset
+    const column = error.loc.column + 1
+    throw createSyntaxError(
+      `Ошибка в script: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+      file,
+      line,
+      column,
+      getErrorContext(script, error.loc.line, column)
+    )
+  }
+}
+
+function isStateDeclarator(declarator) {
+  const init = declarator.init
+  return declarator.id.type === 'Identifier' &&
+    init?.type === 'CallExpression' &&
+    init.callee.type === 'Identifier' &&
+    init.callee.name === '$state'
+}
+
+/**
+ * Обходит AST, отслеживая области видимости, и заменяет ссылки на
+ * реактивные переменные, которые не перекрыты локальными объявлениями
+ */
+function rewriteReferences(ast, reactiveNames, declarationIds, edits, initialScopes = []) {
+  const isShadowed = (name, scopes) => scopes.some(scope => scope.has(name))
+
+  const visit = (node, parent, scopes) => {
+    if (!node || typeof node.type !== 'string') return
+
+    if (node.type === 'Identifier') {
+      if (
+        reactiveNames.has(node.name) &&
+        !declarationIds.has(node) &&
+        isReference(node, parent) &&
+        !isShadowed(node.name, scopes)
+      ) {
+        edits.push({ start: node.start, end: node.end, text: reactiveNames.get(node.name) })
+      }
+      return
+    }
+
+    // { count } => { count: _state_count.value }
+    if (node.type === 'Property' && node.shorthand) {
+      visitShorthand(node, scopes)
+      return
+    }
+
+    const scope = createScope(node, parent)
+    const innerScopes = scope ? [...scopes, scope] : scopes
+
+    for (const key of Object.keys(node)) {
+      if (key === 'type' || key === 'loc' || key === 'start' || key === 'end') continue
+      const child = node[key]
+      if (Array.isArray(child)) {
+        child.forEach(item => visit(item, node, innerScopes))
+      } else if (child && typeof child === 'object') {
+        visit(child, node, innerScopes)
+      }
+    }
+  }
+
+  const visitShorthand = (property, scopes) => {
+    const value = property.value
+    const target = value.type === 'AssignmentPattern' ? value.left : value
+    const name = property.key.name
+
+    if (
+      target.type === 'Identifier' &&
+      reactiveNames.has(name) &&
+      !declarationIds.has(target) &&
+      !isShadowed(name, scopes)
+    ) {
+      // Ключ сохраняется, значением становится обращение к .value
+      edits.push({ start: property.key.start, end: property.key.start, text: `${name}: ` })
+    }
+    visit(value, property, scopes)
+  }
+
+  visit(ast, null, initialScopes)
+}
+
+/**
+ * Проверяет, является ли идентификатор обращением к переменной
+ * (а не именем свойства, ключом или меткой)
+ */
+function isReference(node, parent) {
+  if (!parent) return true
+
+  switch (parent.type) {
+    case 'MemberExpression':
+      return parent.object === node || parent.computed
+    case 'Property':
+      // Ключ объекта, если он не вычисляемый
+      return parent.computed ? true : parent.value === node
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return parent.key === node ? parent.computed : true
+    case 'LabeledStatement':
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return false
+    case 'ImportSpecifier':
+    case 'ImportDefaultSpecifier':
+    case 'ImportNamespaceSpecifier':
+    case 'ExportSpecifier':
+      return false
+    case 'MetaProperty':
+      return false
+    default:
+      return true
+  }
+}
+
+/**
+ * Создает область видимости для узла, если он ее вводит
+ * @returns {Set|null} имена, объявленные в области
+ */
+function createScope(node, parent) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression': {
+      const names = new Set()
+      // Имя функционального выражения видно только внутри него
+      if (node.type === 'FunctionExpression' && node.id) names.add(node.id.name)
+      node.params.forEach(param => collectPatternNames(param, names))
+      if (node.body.type === 'BlockStatement') {
+        collectVarNames(node.body, names)
+      }
+      return names
+    }
+
+    case 'BlockStatement':
+    case 'StaticBlock': {
+      const names = new Set()
+      collectLexicalNames(node.body, names)
+      return names.size > 0 ? names : null
+    }
+
+    case 'SwitchStatement': {
+      const names = new Set()
+      node.cases.forEach(switchCase => collectLexicalNames(switchCase.consequent, names))
+      return names.size > 0 ? names : null
+    }
+
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement': {
+      const init = node.type === 'ForStatement' ? node.init : node.left
+      if (init?.type === 'VariableDeclaration' && init.kind !== 'var') {
+        const names = new Set()
+        init.declarations.forEach(declarator => collectPatternNames(declarator.id, names))
+        return names
+      }
+      return null
+    }
+
+    case 'CatchClause': {
+      if (!node.param) return null
+      const names = new Set()
+      collectPatternNames(node.param, names)
+      return names
+    }
+
+    case 'ClassExpression':
+      return node.id ? new Set([node.id.name]) : null
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Собирает let/const/class/function объявления блока
+ */
+function collectLexicalNames(statements, names) {
+  statements.forEach(statement => {
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      statement.declarations.forEach(declarator => collectPatternNames(declarator.id, names))
+    } else if ((statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') && statement.id) {
+      names.add(statement.id.name)
+    }
+  })
+}
+
+/**
+ * Собирает var-объявления функции, включая вложенные блоки
+ * (но не вложенные функции)
+ */
+function collectVarNames(node, names) {
+  if (!node || typeof node.type !== 'string') return
+
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    node.declarations.forEach(declarator => collectPatternNames(declarator.id, names))
+  }
+  if (node.type === 'FunctionDeclaration' && node.id) {
+    names.add(node.id.name)
+  }
+  if (
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression'
+  ) {
+    return
+  }
+
+  for (const key of Object.keys(node)) {
+    const child = node[key]
+    if (Array.isArray(child)) {
+      child.forEach(item => collectVarNames(item, names))
+    } else if (child && typeof child === 'object' && key !== 'loc') {
+      collectVarNames(child, names)
+    }
+  }
+}
+
+/**
+ * Собирает имена из паттерна объявления (включая деструктуризацию)
+ */
+function collectPatternNames(pattern, names) {
+  if (!pattern) return
+
+  switch (pattern.type) {
+    case 'Identifier':
+      names.add(pattern.name)
+      break
+    case 'ObjectPattern':
+      pattern.properties.forEach(property => {
+        collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names)
+      })
+      break
+    case 'ArrayPattern':
+      pattern.elements.forEach(element => collectPatternNames(element, names))
+      break
+    case 'RestElement':
+      collectPatternNames(pattern.argument, names)
+      break
+    case 'AssignmentPattern':
+      collectPatternNames(pattern.left, names)
+      break
+  }
+}
+
+/**
+ * Возвращает имена, объявленные узлом верхнего уровня
+ */
+function getDeclaredNames(declaration) {
+  const names = new Set()
+  if (declaration.type === 'VariableDeclaration') {
+    declaration.declarations.forEach(declarator => collectPatternNames(declarator.id, names))
+  } else if (declaration.id) {
+    names.add(declaration.id.name)
+  }
+  return [...names]
+}
+
+/**
+ * Применяет правки к исходному коду
+ * Правки внутри удаленных фрагментов отбрасываются
+ * @param {Array} [segments] - куда добавить пары [смещение в результате, смещение в code]
+ *   для source map: скопированный текст - по словам, замена - на начало правки
+ */
+function applyEdits(code, edits, segments = null) {
+  const removed = edits.filter(edit => edit.remove)
+  const active = edits.filter(edit =>
+    edit.remove || !removed.some(range => edit.start >= range.start && edit.end <= range.end)
+  )
+
+  // Вставки (start === end) идут раньше замен с той же позицией
+  active.sort((a, b) => a.start - b.start || a.end - b.end)
+
+  let result = ''
+  let position = 0
+  const copy = end => {
+    segments?.push(...identitySegments(code.slice(position, end), position).map(([generated, original]) => [result.length + generated, original]))
+    result += code.slice(position, end)
+  }
+
+  active.forEach(edit => {
+    copy(edit.start)
+    if (edit.text) segments?.push([result.length, edit.start])
+    result += edit.text
+    position = edit.end
+  })
+  copy(code.length)
+  return result
+}
@@ -0,0 +1,168 @@
+/**
+ * AspScript Compiler - Source Maps
+ * Source map v3: script, выражения шаблона и стили указывают на позиции в .aspc
+ *
+ * Генерируемый код собирается тегом mapped`...` из строк и фрагментов
+ * { code, segments }, где segments - пары [смещение в code, смещение в .aspc].
+ * Генераторы шаблона, которые строят код строками, отмечают выражения
+ * комментарием sourceMarker(offset); createSourceMap() удаляет метки и
+ * превращает их в сегменты.
+ */
+
+const MARKER = /\/\*@asp:(\d+)\*\//g
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * Метка позиции в исходнике для кода, собранного строками
+ * @param {number} offset - смещение в .aspc
+ * @returns {string} комментарий-метка
+ */
+export function sourceMarker(offset) {
+  return `/*@asp:${offset}*/`
+}
+
+/**
+ * Фрагмент, скопированный из исходника без изменений:
+ * сегмент на начале каждого слова и группы знаков
+ * @param {string} code - текст фрагмента
+ * @param {number} offset - смещение фрагмента в .aspc
+ * @returns {Array} сегменты [смещение в code, смещение в .aspc]
+ */
+export function identitySegments(code, offset) {
+  return [...code.matchAll(/[\w$]+|[^\s\w$]+/g)].map(({ index }) => [index, offset + index])
+}
+
+/**
+ * Тег шаблонной строки: склеивает части и сдвигает сегменты фрагментов
+ * @returns {Object} { code, segments }
+ */
+export function mapped(strings, ...values) {
+  let code = strings[0]
+  const segments = []
+
+  values.forEach((value, index) => {
+    if (value && typeof value === 'object') {
+      value.segments.forEach(([generated, original]) => segments.push([code.length + generated, original]))
+      code += value.code
+    } else {
+      code += value
+    }
+    code += strings[index + 1]
+  })
+
+  return { code, segments }
+}
+
+/**
+ * Удаляет метки sourceMarker() и строит source map v3
+ * @param {Object} output - результат mapped`...`
+ * @param {string} source - содержимое .aspc
+ * @param {Object} options - { file: имя .js, source: путь к .aspc }
+ * @returns {Object} { code, map }
+ */
+export function createSourceMap(output, source, options = {}) {
+  const segments = []
+  let code = ''
+  let position = 0
+  let removed = 0
+  const pending = [...output.segments].sort((a, b) => a[0] - b[0])
+
+  // Сегменты до метки сдвигаются на длину уже удаленных меток
+  const flush = until => {
+    while (pending.length > 0 && pending[0][0] <= until) {
+      const [generated, original] = pending.shift()
+      segments.push([generated - removed, original])
+    }
+  }
+
+  for (const match of output.code.matchAll(MARKER)) {
+    flush(match.index)
+    code += output.code.slice(position, match.index)
+    segments.push([code.length, Number(match[1])])
+    position = match.index + match[0].length
+    removed += match[0].length
+  }
+  flush(Infinity)
+  code += output.code.slice(position)
+
+  return {
+    code,
+    map: {
+      version: 3,
+      file: options.file ?? '',
+      sources: [options.source ?? 'unknown.aspc'],
+      sourcesContent: [source],
+      names: [],
+      mappings: encodeMappings(code, segments, source)
+    }
+  }
+}
+
+/**
+ * Кодирует сегменты в поле mappings (VLQ, Base64)
+ */
+function encodeMappings(code, segments, source) {
+  const generatedLines = lineStarts(code)
+  const originalLines = lineStarts(source)
+  const lines = generatedLines.map(() => [])
+
+  segments.forEach(([generated, original]) => {
+    const line = findLine(generatedLines, generated)
+    const originalLine = findLine(originalLines, original)
+    lines[line].push([generated - generatedLines[line], originalLine, original - originalLines[originalLine]])
+  })
+
+  // Поля сегмента - разности с предыдущим; колонка кода сбрасывается на каждой строке
+  let previousLine = 0
+  let previousColumn = 0
+  return lines.map(line => {
+    let generatedColumn = 0
+
+    return line
+      .sort((a, b) => a[0] - b[0])
+      .filter(([column], index) => index === 0 || column !== line[index - 1][0])
+      .map(([column, originalLine, originalColumn]) => {
+        const encoded = vlq(column - generatedColumn) + vlq(0) +
+          vlq(originalLine - previousLine) + vlq(originalColumn - previousColumn)
+        generatedColumn = column
+        previousLine = originalLine
+        previousColumn = originalColumn
+        return encoded
+      })
+      .join(',')
+  }).join(';')
+}
+
+function lineStarts(text) {
+  const starts = [0]
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\n') starts.push(index + 1)
+  }
+  return starts
+}
+
+function findLine(starts, offset) {
+  let low = 0
+  let high = starts.length - 1
+  while (low < high) {
+    const middle = (low + high + 1) >> 1
+    if (starts[middle] <= offset) low = middle
+    else high = middle - 1
+  }
+  return low
+}
+
+function vlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1
+  let result = ''
+  do {
+    let digit = rest & 31
+    rest >>>= 5
+    if (rest > 0) digit |= 32
+    result += BASE64[digit]
+  } while (rest > 0)
+  return result
+}
+
+export default { sourceMarker, identitySegments, mapped, createSourceMap }
@@ -0,0 +1,728 @@
+/**
+ * AspScript Compiler - Styles
+ * Компиляция секции <style>: препроцессоры (sass, less), PostCSS и scoping
+ *
+ * compile() синхронный, поэтому sass, less и конфиг PostCSS загружаются
+ * через require из проекта (process.cwd()), а затем из зависимостей
+ * компилятора. Ошибки препроцессоров и PostCSS выбрасываются как StyleError
+ * со строкой в .aspc.
+ */
+
+import { createRequire } from 'module'
+import { existsSync, readFileSync, statSync } from 'fs'
+import path from 'path'
+import { pathToFileURL, fileURLToPath } from 'url'
+import postcss from 'postcss'
+import * as csstree from 'css-tree'
+import { createStyleError, ErrorCodes, getErrorContext } from './errors.js'
+import { compileExpression } from './script.js'
+
+const requireFromCompiler = createRequire(import.meta.url)
+
+// Поиск конфига PostCSS от папки компонента вверх, как в postcss-load-config
+const POSTCSS_CONFIG_FILES = ['postcss.config.cjs', 'postcss.config.js', '.postcssrc.json', '.postcssrc']
+
+const KEYFRAMES = /^(-\w+-)?keyframes$/i
+const ANIMATION = /^(-\w+-)?animation(-name)?$/i
+
+// Псевдоэлементы с одним двоеточием из CSS2
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter'])
+
+const optionalModules = new Map()
+const postcssConfigs = new Map()
+let scssFallbackWarned = false
+
+/**
+ * Компилирует CSS с scoping
+ *
+ * <style module> (или module="имя") вместо атрибута scope переименовывает
+ * классы и возвращает их карту для $style. bind(выражение) в значениях
+ * свойств становится var(--хеш-имя); выражения возвращаются в vars, и
+ * компонент ставит переменные на свои корневые элементы (useCssVars).
+ *
+ * @param {string} style - секция <style> с тегами
+ * @param {string} scopeId - атрибут scope компонента (createScopeId)
+ * @param {Object} options - опции
+ * @param {string} [options.file] - путь к .aspc: от него разрешаются @use/@import и ищется конфиг PostCSS
+ * @param {number} [options.lineOffset] - номер строки .aspc, с которой начинается CSS
+ * @param {string[]} [options.loadPaths] - дополнительные папки для @use/@import (общие partials)
+ * @param {Object|false} [options.postcss] - { plugins } вместо postcss.config; false отключает PostCSS
+ * @param {Object} [options.sass] - реализация sass вместо установленного пакета
+ * @param {Object} [options.less] - реализация less вместо установленного пакета
+ * @param {Object} [options.usage] - разметка шаблона (collectTemplateUsage): правила
+ *   и селекторы, которые не совпадут ни с одним элементом, удаляются
+ * @returns {Object} { css, module, classes, vars } - CSS; имя карты классов
+ *   ($style) и карта { класс: имя в CSS } для <style module>, иначе null;
+ *   CSS-переменные [{ name, expression }] из bind()
+ */
+export function compileStyle(style, scopeId, options = {}) {
+  const tag = /^\s*<style[^>]*>/.exec(style)?.[0] ?? ''
+
+  // Проверяем атрибуты lang и module
+  const lang = /\slang\s*=\s*["'](\w+)["']/.exec(tag)?.[1] ?? 'css'
+  const moduleMatch = /\smodule(?:\s*=\s*["']([\w$]+)["'])?/.exec(tag)
+  const module = moduleMatch ? moduleMatch[1] ?? '$style' : null
+
+  // Убираем теги <style>
+  let css = style.replace(/<style[^>]*>/, '').replace(/<\/style>/, '').trim()
+
+  if (!css) return { css: '', module, classes: module ? {} : null, vars: [] }
+
+  const context = {
+    file: options.file ?? 'unknown.aspc',
+    lineOffset: options.lineOffset ?? 0,
+    source: css,
+    preprocessed: lang !== 'css' && lang !== 'postcss',
+    usage: options.usage ?? null
+  }
+
+  css = preprocess(css, lang, options, context)
+  css = applyPostCSS(css, options, context)
+
+  return { module, ...scopeCSS(css, scopeId, module !== null, context) }
+}
+
+function preprocess(css, lang, options, context) {
+  switch (lang) {
+    case 'css':
+    case 'postcss':
+      return css
+    case 'scss':
+    case 'sass':
+      return compileSass(css, lang, options, context)
+    case 'less':
+      return compileLess(css, options, context)
+    default:
+      throw styleError(
+        ErrorCodes.INVALID_CSS,
+        `Неподдерживаемый язык стилей lang="${lang}": используйте css, scss, sass или less`,
+        context
+      )
+  }
+}
+
+/**
+ * SCSS и Sass через пакет sass; без него SCSS компилируется упрощенно
+ */
+function compileSass(css, lang, options, context) {
+  const sass = options.sass ?? loadOptional('sass')
+
+  if (!sass) {
+    if (lang === 'sass') {
+      throw styleError(ErrorCodes.INVALID_SCSS, 'Для <style lang="sass"> установите пакет sass: npm install -D sass', context)
+    }
+    if (!scssFallbackWarned) {
+      scssFallbackWarned = true
+      console.warn('[AspScript] Пакет sass не найден: <style lang="scss"> компилируется упрощенно (только $переменные). Установите sass: npm install -D sass')
+    }
+    return compileSCSS(css)
+  }
+
+  try {
+    return sass.compileString(css, {
+      syntax: lang === 'sass' ? 'indented' : 'scss',
+      url: pathToFileURL(path.resolve(context.file)),
+      loadPaths: resolveLoadPaths(options, context),
+      style: 'expanded',
+      // Стили вставляются из JS - @charset не нужен
+      charset: false,
+      logger: {
+        warn(message, { span } = {}) {
+          const { file, line } = span ? sassLocation(span, context) : { file: context.file, line: null }
+          console.warn(`[AspScript] ${file}${line ? ':' + line : ''}: ${message}`)
+        }
+      }
+    }).css
+  } catch (error) {
+    if (!error.span) throw error
+
+    const { start, url } = error.span
+    throw styleError(ErrorCodes.INVALID_SCSS, error.sassMessage ?? error.message, context, {
+      line: start.line + 1,
+      column: start.column + 1,
+      file: sassFile(url)
+    })
+  }
+}
+
+/**
+ * Файл и строка для span из sass: строки считаются с нуля и относятся
+ * к секции <style>, если span не из внешнего partial
+ */
+function sassLocation({ start, url }, context) {
+  const file = sassFile(url)
+  if (file && path.resolve(file) !== path.resolve(context.file)) {
+    return { file, line: start.line + 1 }
+  }
+  return { file: context.file, line: start.line + 1 + context.lineOffset }
+}
+
+function sassFile(url) {
+  return url && String(url).startsWith('file:') ? fileURLToPath(String(url)) : null
+}
+
+/**
+ * Less через пакет less: с syncImport render() вызывает callback синхронно
+ */
+function compileLess(css, options, context) {
+  const less = options.less ?? loadOptional('less')
+
+  if (!less) {
+    throw styleError(ErrorCodes.INVALID_LESS, 'Для <style lang="less"> установите пакет less: npm install -D less', context)
+  }
+
+  let result = null
+  let failure = null
+  less.render(css, {
+    filename: path.resolve(context.file),
+    paths: resolveLoadPaths(options, context),
+    syncImport: true
+  }, (error, output) => {
+    failure = error
+    result = output
+  })
+
+  if (failure) {
+    // Строки less считаются с единицы, колонки - с нуля
+    throw styleError(ErrorCodes.INVALID_LESS, failure.message, context, {
+      line: failure.line ?? 1,
+      column: (failure.column ?? 0) + 1,
+      file: failure.filename
+    })
+  }
+  if (!result) {
+    throw styleError(ErrorCodes.INVALID_LESS, 'less вернул результат асинхронно: асинхронные плагины less не поддерживаются', context)
+  }
+
+  return result.css
+}
+
+/**
+ * Папки для @use/@import: папка компонента, loadPaths и node_modules проекта
+ */
+function resolveLoadPaths(options, context) {
+  const root = process.cwd()
+  return [
+    path.dirname(path.resolve(context.file)),
+    ...(options.loadPaths ?? []).map(dir => path.resolve(root, dir)),
+    path.join(root, 'node_modules')
+  ]
+}
+
+/**
+ * Прогоняет CSS через плагины PostCSS из options.postcss или postcss.config
+ */
+function applyPostCSS(css, options, context) {
+  const config = options.postcss === undefined
+    ? loadPostCSSConfig(context)
+    : options.postcss && { plugins: normalizePlugins(options.postcss.plugins, createRequire(path.join(process.cwd(), 'package.json'))) }
+
+  if (!config || config.plugins.length === 0) return css
+
+  try {
+    // Доступ к .css выполняет плагины синхронно
+    return postcss(config.plugins).process(css, { from: path.resolve(context.file), map: false }).css
+  } catch (error) {
+    if (error.name !== 'CssSyntaxError') {
+      throw styleError(ErrorCodes.INVALID_CSS, `PostCSS: ${error.message}`, context)
+    }
+
+    // После препроцессора строки относятся к скомпилированному CSS - указываем на начало <style>
+    throw styleError(ErrorCodes.INVALID_CSS, error.reason, context, context.preprocessed ? {} : {
+      line: error.line,
+      column: error.column,
+      file: error.file
+    })
+  }
+}
+
+function loadPostCSSConfig(context) {
+  const configPath = findPostCSSConfig(path.dirname(path.resolve(context.file)))
+  if (!configPath) return null
+
+  // Конфиг перечитывается, только если файл изменился
+  const { mtimeMs } = statSync(configPath)
+  const cached = postcssConfigs.get(configPath)
+  if (cached && cached.mtimeMs === mtimeMs) return cached.config
+
+  const config = readPostCSSConfig(configPath, context)
+  postcssConfigs.set(configPath, { mtimeMs, config })
+  return config
+}
+
+function findPostCSSConfig(dir) {
+  for (let current = dir; ; current = path.dirname(current)) {
+    const found = POSTCSS_CONFIG_FILES.map(name => path.join(current, name)).find(existsSync)
+    if (found) return found
+    if (path.dirname(current) === current) return null
+  }
+}
+
+function readPostCSSConfig(configPath, context) {
+  const require = createRequire(configPath)
+
+  try {
+    let config
+    if (/\.c?js$/.test(configPath)) {
+      delete require.cache[configPath]
+      config = require(configPath)
+      config = config?.default ?? config
+      if (typeof config === 'function') {
+        config = config({ file: path.resolve(context.file), env: process.env.NODE_ENV ?? 'development' })
+      }
+    } else {
+      config = JSON.parse(readFileSync(configPath, 'utf-8'))
+    }
+
+    return { plugins: normalizePlugins(config?.plugins, require) }
+  } catch (error) {
+    const hint = error.code === 'ERR_REQUIRE_ESM'
+      ? '. ES-модуль нельзя загрузить синхронно: переименуйте конфиг в postcss.config.cjs или передайте плагины в опции style.postcss'
+      : ''
+    throw styleError(ErrorCodes.INVALID_CSS, `Не удалось загрузить ${configPath}: ${error.message}${hint}`, context)
+  }
+}
+
+/**
+ * Плагины в форме массива или объекта { 'имя-пакета': опции | false }
+ */
+function normalizePlugins(plugins = [], require) {
+  const load = name => {
+    const plugin = require(name)
+    return plugin?.default ?? plugin
+  }
+
+  if (Array.isArray(plugins)) {
+    return plugins.filter(Boolean).map(plugin => typeof plugin === 'string' ? load(plugin) : plugin)
+  }
+
+  return Object.entries(plugins)
+    .filter(([, pluginOptions]) => pluginOptions !== false)
+    .map(([name, pluginOptions]) => {
+      const plugin = load(name)
+      return pluginOptions && Object.keys(pluginOptions).length > 0 ? plugin(pluginOptions) : plugin
+    })
+}
+
+/**
+ * Необязательный пакет из проекта или из зависимостей компилятора
+ * @returns {Object|null} модуль или null, если пакет не установлен
+ */
+function loadOptional(name) {
+  if (optionalModules.has(name)) return optionalModules.get(name)
+
+  let loaded = null
+  for (const load of [createRequire(path.join(process.cwd(), 'package.json')), requireFromCompiler]) {
+    try {
+      loaded = load(name)
+      break
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error
+    }
+  }
+
+  optionalModules.set(name, loaded)
+  return loaded
+}
+
+/**
+ * StyleError со строкой в .aspc; ошибка во внешнем partial указывает на его файл
+ * @param {Object} location - { line, column, file } относительно CSS секции
+ */
+function styleError(code, message, context, location = {}) {
+  const { line = 1, column = 1, file = null } = location
+
+  if (file && path.resolve(file) !== path.resolve(context.file)) {
+    return createStyleError(code, message, file, line, column, null)
+  }
+
+  return createStyleError(
+    code,
+    message,
+    context.file,
+    line + context.lineOffset,
+    column,
+    getErrorContext(context.source, line, column)
+  )
+}
+
+/**
+ * Упрощенная компиляция SCSS в CSS
+ */
+function compileSCSS(scss) {
+  let css = scss
+
+  // Убираем комментарии
+  css = css.replace(/\/\*[\s\S]*?\*\//g, '')
+  css = css.replace(/\/\/.*/g, '')
+
+  // Обрабатываем переменные $variable
+  const variables = {}
+  css = css.replace(/\$(\w+):\s*([^;]+);/g, (match, name, value) => {
+    variables[name] = value.trim()
+    return ''
+  })
+
+  // Заменяем использование переменных
+  Object.entries(variables).forEach(([name, value]) => {
+    const regex = new RegExp(`\\$${name}\\b`, 'g')
+    css = css.replace(regex, value)
+  })
+
+  // Обрабатываем вложенность (упрощенная версия)
+  css = processNesting(css)
+
+  return css.trim()
+}
+
+/**
+ * Обрабатывает вложенность SCSS
+ */
+function processNesting(css) {
+  // Это упрощенная версия - полная реализация требует парсера
+  // Пока просто разворачиваем & селекторы
+  css = css.replace(/&/g, '')
+  return css
+}
+
+// ============================================================================
+// SCOPING
+// ============================================================================
+
+/**
+ * Атрибут scope компонента: data-asp-<хеш пути к .aspc и имени компонента>
+ * Путь берется относительно process.cwd(), поэтому клиентская и SSR сборки
+ * получают один и тот же атрибут
+ * @param {string} file - путь к .aspc
+ * @param {string} componentName - имя компонента
+ * @returns {string} имя атрибута
+ */
+export function createScopeId(file, componentName) {
+  const relative = path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/')
+  return `data-asp-${hash(`${relative}:${componentName}`)}`
+}
+
+// FNV-1a, 32 бита
+function hash(text) {
+  let value = 0x811c9dc5
+  for (let index = 0; index < text.length; index++) {
+    value ^= text.charCodeAt(index)
+    value = Math.imul(value, 0x01000193)
+  }
+  return (value >>> 0).toString(36)
+}
+
+/**
+ * Ограничивает правила элементами компонента по AST css-tree
+ *
+ * Стили не пересобираются из AST: по позициям узлов вносятся точечные правки,
+ * поэтому форматирование и строки (а с ними source map) сохраняются.
+ * - .a .b:hover::before => .a .b:hover[attr]::before - атрибут на последнем элементе
+ * - :global(.x) => .x без scope
+ * - .a :deep(.b) => .a[attr] .b - вложенные элементы дочерних компонентов
+ * - :slotted(.x) => .x[attr-s] - содержимое слотов от родителя (см. slotBlock)
+ * - @keyframes spin => spin-<хеш>, ссылки в animation и animation-name переименовываются
+ * - module: .title => .title_<хеш> вместо атрибута
+ * - bind(expr) => var(--<хеш>-expr)
+ *
+ * @param {string} css - CSS после препроцессоров
+ * @param {string} scopeId - атрибут scope (createScopeId)
+ * @param {boolean} module - <style module>
+ * @param {Object} context - file, lineOffset и source для ошибок
+ * @returns {Object} { css, classes, vars }
+ */
+function scopeCSS(css, scopeId, module, context) {
+  const suffix = scopeId.slice('data-asp-'.length)
+  // Ошибки разбора не фатальны: нераспознанный фрагмент остается в CSS без изменений
+  const ast = csstree.parse(css, { positions: true, parseCustomProperty: false, onParseError: () => {} })
+  const edits = []
+  const keyframes = new Map()
+  const classes = module ? {} : null
+  const vars = []
+
+  csstree.walk(ast, {
+    visit: 'Atrule',
+    enter(node) {
+      const name = node.prelude?.children?.first
+      if (!KEYFRAMES.test(node.name) || name?.type !== 'Identifier') return
+
+      keyframes.set(name.name, `${name.name}-${suffix}`)
+      edits.push(replace(name, keyframes.get(name.name)))
+    }
+  })
+
+  csstree.walk(ast, {
+    enter(node) {
+      if (node.type === 'Rule' && node.prelude.type === 'SelectorList') {
+        // Селекторы кадров (from, 50%) не ограничиваются
+        if (this.atrule && KEYFRAMES.test(this.atrule.name)) return
+
+        if (module) {
+          edits.push(...localizeSelectors(node.prelude, css, classes, suffix))
+        } else if (!this.rule) {
+          // Вложенные правила наследуют scope родителя через &
+          const selectors = node.prelude.children.toArray()
+          const unused = context.usage ? selectors.filter(selector => !matchesTemplate(selector, context.usage)) : []
+          if (unused.length === selectors.length) {
+            edits.push({ ...replace(node, ''), removal: true })
+          } else {
+            edits.push(...removeSelectors(selectors, unused))
+            selectors
+              .filter(selector => !unused.includes(selector))
+              .forEach(selector => edits.push(...scopeSelector(selector, css, scopeId)))
+          }
+        }
+      } else if (node.type === 'Declaration' && ANIMATION.test(node.property) && node.value.type === 'Value') {
+        node.value.children.forEach(child => {
+          if (child.type === 'Identifier' && keyframes.has(child.name)) edits.push(replace(child, keyframes.get(child.name)))
+        })
+      } else if (node.type === 'Function' && node.name === 'bind' && this.declaration) {
+        edits.push(replace(node, `var(${bindVariable(node, css, vars, suffix, context)})`))
+      }
+    }
+  })
+
+  // Правки внутри удаленных правил и селекторов не нужны
+  const removals = edits.filter(edit => edit.removal)
+  const result = edits
+    .filter(edit => edit.removal || !removals.some(removal => contains(removal, edit)))
+    // С конца, чтобы позиции не сдвигались; при равном начале замена идет раньше вставки
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), css)
+
+  return { css: result, classes, vars }
+}
+
+/**
+ * Может ли селектор совпасть с разметкой компонента (usage из collectTemplateUsage).
+ * Проверяется составной селектор, который получает атрибут scope; :slotted(),
+ * :global() и динамические class/id не отбрасываются
+ */
+function matchesTemplate(selector, usage) {
+  const nodes = selector.children.toArray()
+  if (nodes.some(node => isPseudo(node, 'slotted'))) return true
+
+  const deep = nodes.findIndex(node => isPseudo(node, 'deep'))
+  const target = deep >= 0
+    ? lastCompound(nodes.slice(0, deep))
+    : splitCompounds(nodes).reverse().find(compound => compound.some(node => !isPseudo(node, 'global')))
+  if (!target || isGlobalCompound(target)) return true
+
+  return target.every(node => {
+    switch (node.type) {
+      case 'TypeSelector':
+        return node.name === '*' || usage.tags.has(node.name.toLowerCase())
+      case 'ClassSelector':
+        return usage.dynamicClass || usage.classes.has(node.name)
+      case 'IdSelector':
+        return usage.dynamicId || usage.ids.has(node.name)
+      default:
+        return true
+    }
+  })
+}
+
+/**
+ * Удаляет селекторы из списка вместе с запятыми: до первого оставшегося
+ * селектора - со следующей запятой, после него - с предыдущей
+ */
+function removeSelectors(selectors, unused) {
+  const first = selectors.findIndex(selector => !unused.includes(selector))
+
+  return unused.map(selector => {
+    const index = selectors.indexOf(selector)
+    return index < first
+      ? { start: selector.loc.start.offset, end: selectors[index + 1].loc.start.offset, text: '', removal: true }
+      : { start: selectors[index - 1].loc.end.offset, end: selector.loc.end.offset, text: '', removal: true }
+  })
+}
+
+// Вставка на границе удаленного фрагмента относится к соседнему селектору
+function contains(removal, edit) {
+  if (edit.start === edit.end && (edit.start === removal.start || edit.start === removal.end)) return false
+  return edit.start >= removal.start && edit.end <= removal.end
+}
+
+/**
+ * Классы, id и теги разметки шаблона для отбрасывания неиспользуемых селекторов.
+ * Динамические class и id (:class, class="{expr}") совпадают с любым селектором
+ * @param {Object} ast - Fragment из parseTemplate
+ * @returns {Object} { tags, classes, ids, dynamicClass, dynamicId }
+ */
+export function collectTemplateUsage(ast) {
+  const usage = { tags: new Set(), classes: new Set(), ids: new Set(), dynamicClass: false, dynamicId: false }
+
+  const visit = node => {
+    if (node.type === 'Element') {
+      usage.tags.add(node.name.toLowerCase())
+      node.attributes.forEach(attribute => {
+        if (attribute.name !== 'class' && attribute.name !== 'id') return
+        if (attribute.value?.some(part => part.type !== 'Text')) {
+          usage[attribute.name === 'class' ? 'dynamicClass' : 'dynamicId'] = true
+        } else {
+          const names = (attribute.value ?? []).map(part => part.value).join('').split(/\s+/).filter(Boolean)
+          names.forEach(name => usage[attribute.name === 'class' ? 'classes' : 'ids'].add(name))
+        }
+      })
+      node.directives.forEach(directive => {
+        if (directive.kind === 'prop' && directive.name === 'class') usage.dynamicClass = true
+        if (directive.kind === 'prop' && directive.name === 'id') usage.dynamicId = true
+      })
+    }
+    // Содержимое слотов дочерних компонентов - тоже разметка этого компонента
+    node.children?.forEach(visit)
+    node.branches?.forEach(visit)
+  }
+
+  visit(ast)
+  return usage
+}
+
+/**
+ * CSS Modules: классы селекторов получают суффикс хеша, кроме :global(...)
+ */
+function localizeSelectors(selectorList, css, classes, suffix) {
+  const edits = []
+
+  csstree.walk(selectorList, {
+    enter(node) {
+      if (node.type === 'ClassSelector') {
+        classes[node.name] ??= `${node.name}_${suffix}`
+        edits.push(replace(node, `.${classes[node.name]}`))
+      } else if (isPseudo(node, 'global')) {
+        edits.push(replace(node, innerSelector(node, css)))
+      }
+    }
+  })
+
+  return edits
+}
+
+/**
+ * Объект переменных для useCssVars: { '--хеш-color': themeColor }
+ * @param {Array} vars - vars из compileStyle
+ * @param {Object} metadata - метаданные script (states, computed)
+ * @returns {string} код объекта
+ */
+export function generateCssVars(vars, metadata) {
+  return `{ ${vars.map(({ name, expression }) => `'${name}': ${compileExpression(expression, metadata)}`).join(', ')} }`
+}
+
+/**
+ * Имя CSS-переменной для bind(expr); одинаковые выражения делят переменную
+ * bind('theme.color') - выражение в кавычках, чтобы его не разбирал препроцессор
+ */
+function bindVariable(node, css, vars, suffix, context) {
+  const raw = css.slice(node.loc.start.offset + 'bind('.length, node.loc.end.offset - 1).trim()
+  const expression = (/^(['"])([\s\S]*)\1$/.exec(raw)?.[2] ?? raw).trim()
+
+  if (!expression) {
+    throw styleError(ErrorCodes.INVALID_CSS, 'Пустое выражение bind()', context, context.preprocessed ? {} : {
+      line: node.loc.start.line,
+      column: node.loc.start.column
+    })
+  }
+
+  const existing = vars.find(variable => variable.expression === expression)
+  if (existing) return existing.name
+
+  let name = `--${suffix}-${expression.replace(/[^\w-]/g, '_')}`
+  if (vars.some(variable => variable.name === name)) name += `_${vars.length}`
+  vars.push({ name, expression })
+  return name
+}
+
+/**
+ * Правки одного селектора из списка
+ * @returns {Array} правки { start, end, text }
+ */
+function scopeSelector(selector, css, scopeId) {
+  const nodes = selector.children.toArray()
+  const edits = nodes
+    .filter(node => isPseudo(node, 'global'))
+    .map(node => replace(node, innerSelector(node, css)))
+
+  const slotted = nodes.find(node => isPseudo(node, 'slotted'))
+  if (slotted) {
+    const inner = innerSelector(slotted, css)
+    const target = lastCompound(csstree.parse(inner, { context: 'selector', positions: true }).children.toArray())
+    const offset = target ? insertionPoint(target) : inner.length
+    edits.push(replace(slotted, `${inner.slice(0, offset)}[${scopeId}-s]${inner.slice(offset)}`))
+    return edits
+  }
+
+  const deep = nodes.findIndex(node => isPseudo(node, 'deep'))
+  if (deep >= 0) {
+    // Атрибут получает часть до :deep(), все после него - без scope
+    const head = nodes.slice(0, deep)
+    const inner = innerSelector(nodes[deep], css)
+    const target = lastCompound(head)
+    if (!target) {
+      edits.push(replace(nodes[deep], `[${scopeId}] ${inner}`))
+    } else {
+      if (!isGlobalCompound(target)) edits.push(insert(target[target.length - 1].loc.end.offset, `[${scopeId}]`))
+      edits.push(replace(nodes[deep], head[head.length - 1].type === 'Combinator' ? inner : ` ${inner}`))
+    }
+    return edits
+  }
+
+  const compounds = splitCompounds(nodes)
+  const target = compounds.reverse().find(compound => compound.some(node => !isPseudo(node, 'global')))
+  if (target && !isGlobalCompound(target)) {
+    edits.push(insert(insertionPoint(target), `[${scopeId}]`))
+  }
+  return edits
+}
+
+/**
+ * Позиция атрибута в составном селекторе: перед псевдоэлементом или в конце
+ */
+function insertionPoint(compound) {
+  const pseudoElement = compound.find(node =>
+    node.type === 'PseudoElementSelector' ||
+    (node.type === 'PseudoClassSelector' && LEGACY_PSEUDO_ELEMENTS.has(node.name))
+  )
+  return pseudoElement ? pseudoElement.loc.start.offset : compound[compound.length - 1].loc.end.offset
+}
+
+function splitCompounds(nodes) {
+  const compounds = [[]]
+  nodes.forEach(node => {
+    if (node.type === 'Combinator') compounds.push([])
+    else compounds[compounds.length - 1].push(node)
+  })
+  return compounds.filter(compound => compound.length > 0)
+}
+
+function lastCompound(nodes) {
+  const compounds = splitCompounds(nodes)
+  return compounds[compounds.length - 1] ?? null
+}
+
+// html, body и :root не относятся к разметке компонента - правило остается глобальным
+function isGlobalCompound(compound) {
+  return compound.every(node =>
+    isPseudo(node, 'global') ||
+    (node.type === 'TypeSelector' && (node.name === 'html' || node.name === 'body')) ||
+    isPseudo(node, 'root')
+  )
+}
+
+function isPseudo(node, name) {
+  return node.type === 'PseudoClassSelector' && node.name === name
+}
+
+// Текст аргумента :name(...) из исходного CSS
+function innerSelector(node, css) {
+  return css.slice(node.loc.start.offset + node.name.length + 2, node.loc.end.offset - 1).trim()
+}
+
+function replace(node, text) {
+  return { start: node.loc.start.offset, end: node.loc.end.offset, text }
+}
+
+function insert(offset, text) {
+  return { start: offset, end: offset, text }
+}
+
+export default { compileStyle, createScopeId, generateCssVars, collectTemplateUsage }
@@ -0,0 +1,916 @@
+/**
+ * AspScript Compiler - Template Parser
+ * Токенизатор и парсер синтаксиса шаблонов .aspc в AST
+ *
+ * Узлы AST:
+ * - Fragment     { children }
+ * - Element      { name, attributes, directives, children, selfClosing }
+ * - Component    { name, attributes, directives, children, selfClosing }
+ * - Text         { value }
+ * - Comment      { value }
+ * - Interpolation { expression }
+ * - Html         { expression } - {@html expr}, разметка без экранирования
+ * - Block        { kind: if | for | each | await | key, expression, branches, ... }
+ *                  циклы: context, index, key и range ({ start, end } для 1..n)
+ * - Branch       { kind, expression, binding, children }
+ * - Attribute    { name, value: null | Array<Text | Interpolation> }
+ * - Directive    { kind, name, modifiers, expression, rawName }
+ *
+ * Каждый узел содержит start/end (смещения в шаблоне) и loc
+ * ({ start: { line, column }, end: { line, column } }) для CompilerError.
+ */
+
+import * as acorn from 'acorn'
+import {
+  ErrorCodes,
+  createSyntaxError,
+  createDirectiveError,
+  getErrorContext
+} from './errors.js'
+import { validateEventModifiers } from './events.js'
+
+// Элементы без закрывающего тега
+export const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+])
+
+// Содержимое этих элементов не разбирается
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style'])
+
+// Блоки и допустимые в них ветки
+const BLOCKS = {
+  if: ['else if', 'else'],
+  for: ['else'],
+  each: ['else'],
+  await: ['then', 'catch'],
+  key: []
+}
+
+const BLOCK_ERROR_CODES = {
+  if: ErrorCodes.MISSING_ENDIF,
+  for: ErrorCodes.MISSING_ENDFOR,
+  each: ErrorCodes.MISSING_ENDFOR
+}
+
+/**
+ * Разбирает шаблон в AST
+ * @param {string} template - HTML шаблон .aspc
+ * @param {Object} options - опции
+ * @param {string} [options.file] - имя файла для ошибок
+ * @param {number} [options.lineOffset] - номер строки .aspc, с которой начинается шаблон
+ * @returns {Object} корневой узел Fragment
+ */
+export function parseTemplate(template, options = {}) {
+  const state = createState(template, options)
+  const tokens = tokenize(state)
+  return buildTree(state, tokens)
+}
+
+function createState(template, { file = 'unknown.aspc', lineOffset = 0 } = {}) {
+  const lineStarts = [0]
+  for (let i = 0; i < template.length; i++) {
+    if (template[i] === '\n') lineStarts.push(i + 1)
+  }
+
+  const position = offset => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (lineStarts[middle] <= offset) low = middle
+      else high = middle - 1
+    }
+    return { line: low + 1 + lineOffset, column: offset - lineStarts[low] + 1 }
+  }
+
+  return {
+    source: template,
+    file,
+    lineOffset,
+    position,
+    node(type, start, end, props) {
+      return { type, ...props, start, end, loc: { start: position(start), end: position(end) } }
+    },
+    error(message, offset, code, create = createSyntaxError) {
+      const { line, column } = position(offset)
+      const context = getErrorContext(template, line - lineOffset, column)
+      return code === undefined
+        ? create(message, file, line, column, context)
+        : create(code, message, file, line, column, context)
+    }
+  }
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+/**
+ * Разбивает шаблон на токены: text, comment, startTag, endTag,
+ * interpolation, blockOpen, blockBranch, blockClose
+ */
+function tokenize(state) {
+  const { source } = state
+  const tokens = []
+  let index = 0
+  let textStart = 0
+
+  const flushText = end => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', value: source.slice(textStart, end), start: textStart, end })
+    }
+  }
+
+  while (index < source.length) {
+    const char = source[index]
+
+    if (char === '<' && source.startsWith('<!--', index)) {
+      flushText(index)
+      const close = source.indexOf('-->', index + 4)
+      if (close === -1) throw state.error('Незакрытый HTML-комментарий', index, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+      tokens.push({ type: 'comment', value: source.slice(index + 4, close), start: index, end: close + 3 })
+      index = textStart = close + 3
+      continue
+    }
+
+    if (char === '<' && source[index + 1] === '/' && /[A-Za-z]/.test(source[index + 2] ?? '')) {
+      flushText(index)
+      const close = source.indexOf('>', index)
+      if (close === -1) throw state.error('Незакрытый тег', index, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+      const name = source.slice(index + 2, close).trim()
+      tokens.push({ type: 'endTag', name, start: index, end: close + 1 })
+      index = textStart = close + 1
+      continue
+    }
+
+    if (char === '<' && /[A-Za-z]/.test(source[index + 1] ?? '')) {
+      flushText(index)
+      const token = readStartTag(state, index)
+      tokens.push(token)
+      index = textStart = token.end
+
+      // Содержимое <script> и <style> - текст до закрывающего тега
+      if (RAW_TEXT_ELEMENTS.has(token.name.toLowerCase()) && !token.selfClosing) {
+        const closeTag = `</${token.name}`
+        const close = source.indexOf(closeTag, index)
+        if (close === -1) throw state.error(`Незакрытый тег <${token.name}>`, token.start, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+        if (close > index) tokens.push({ type: 'text', value: source.slice(index, close), start: index, end: close })
+        index = textStart = close
+      }
+      continue
+    }
+
+    if (char === '{') {
+      flushText(index)
+      const token = readMustache(state, index)
+      tokens.push(token)
+      index = textStart = token.end
+      continue
+    }
+
+    index++
+  }
+
+  flushText(source.length)
+  return tokens
+}
+
+/**
+ * Читает открывающий тег с атрибутами
+ * Значения в кавычках могут содержать '>' и '{...}'
+ */
+function readStartTag(state, start) {
+  const { source } = state
+  let index = start + 1
+
+  const nameMatch = /^[A-Za-z][\w.:-]*/.exec(source.slice(index))
+  const name = nameMatch[0]
+  index += name.length
+
+  const attributes = []
+  let selfClosing = false
+
+  while (true) {
+    while (/\s/.test(source[index] ?? '')) index++
+
+    if (index >= source.length) {
+      throw state.error(`Незакрытый тег <${name}>`, start, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+    }
+    if (source[index] === '>') {
+      index++
+      break
+    }
+    if (source.startsWith('/>', index)) {
+      selfClosing = true
+      index += 2
+      break
+    }
+
+    const attributeStart = index
+    const attributeName = /^[^\s=/>"'{]+/.exec(source.slice(index))?.[0]
+    if (!attributeName) {
+      throw state.error(`Неожиданный символ "${source[index]}" в теге <${name}>`, index, ErrorCodes.INVALID_SYNTAX)
+    }
+    index += attributeName.length
+
+    let value = null
+    let valueStart = null
+    let quoted = null
+
+    while (/\s/.test(source[index] ?? '')) index++
+    if (source[index] === '=') {
+      index++
+      while (/\s/.test(source[index] ?? '')) index++
+
+      const quote = source[index]
+      if (quote === '"' || quote === "'") {
+        const close = source.indexOf(quote, index + 1)
+        if (close === -1) {
+          throw state.error(`Незакрытое значение атрибута ${attributeName}`, index, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+        }
+        valueStart = index + 1
+        value = source.slice(valueStart, close)
+        quoted = quote
+        index = close + 1
+      } else if (quote === '{') {
+        const close = findExpressionEnd(source, index + 1)
+        if (close === -1) {
+          throw state.error('Незакрытое выражение в атрибуте', index, ErrorCodes.UNCLOSED_DIRECTIVE, createDirectiveError)
+        }
+        valueStart = index
+        value = source.slice(index, close + 1)
+        index = close + 1
+      } else {
+        valueStart = index
+        value = /^[^\s>]+/.exec(source.slice(index))?.[0] ?? ''
+        if (value.endsWith('/') && source[index + value.length] === '>') value = value.slice(0, -1)
+        index += value.length
+      }
+    } else {
+      index = attributeStart + attributeName.length
+    }
+
+    attributes.push({ name: attributeName, value, valueStart, quoted, start: attributeStart, end: index })
+  }
+
+  return { type: 'startTag', name, attributes, selfClosing, start, end: index }
+}
+
+/**
+ * Читает конструкцию в фигурных скобках: {expr}, {@html expr}, {#block}, {:branch}, {/block}
+ */
+function readMustache(state, start) {
+  const { source } = state
+  const close = findExpressionEnd(source, start + 1)
+  if (close === -1) {
+    throw state.error('Незакрытая фигурная скобка', start, ErrorCodes.UNCLOSED_DIRECTIVE, createDirectiveError)
+  }
+
+  const content = source.slice(start + 1, close)
+  const end = close + 1
+  const sigil = content[0]
+
+  if (sigil === '#' || sigil === ':' || sigil === '/') {
+    const head = /^[#:/](else\s+if|[a-z]+)/.exec(content)
+    if (!head) {
+      throw state.error(`Неизвестная директива {${content}}`, start, ErrorCodes.INVALID_SYNTAX)
+    }
+    const name = head[1].replace(/\s+/, ' ')
+    const rest = content.slice(head[0].length)
+    const restStart = start + 1 + head[0].length
+    const type = sigil === '#' ? 'blockOpen' : sigil === ':' ? 'blockBranch' : 'blockClose'
+
+    return { type, name, rest, restStart, start, end }
+  }
+
+  if (sigil === '@') {
+    const tag = /^@([\w-]*)/.exec(content)[1]
+    if (tag !== 'html') {
+      throw state.error(`Неизвестный тег {@${tag}}, поддерживается только {@html}`, start)
+    }
+    return { type: 'html', expression: content.slice(5), expressionStart: start + 6, start, end }
+  }
+
+  return { type: 'interpolation', expression: content, expressionStart: start + 1, start, end }
+}
+
+/**
+ * Находит закрывающую '}' выражения с учетом строк, шаблонных строк
+ * и вложенных скобок
+ * @param {string} source - исходный текст
+ * @param {number} index - позиция сразу после '{'
+ * @returns {number} позиция '}' или -1
+ */
+export function findExpressionEnd(source, index) {
+  let depth = 0
+
+  while (index < source.length) {
+    const char = source[index]
+
+    if (char === '"' || char === "'") {
+      index = skipString(source, index)
+      continue
+    }
+    if (char === '`') {
+      index = skipTemplateLiteral(source, index)
+      continue
+    }
+    if (char === '{' || char === '(' || char === '[') {
+      depth++
+    } else if (char === '}' || char === ')' || char === ']') {
+      if (depth === 0) return char === '}' ? index : -1
+      depth--
+    }
+    index++
+  }
+  return -1
+}
+
+function skipString(source, index) {
+  const quote = source[index]
+  index++
+  while (index < source.length && source[index] !== quote) {
+    if (source[index] === '\\') index++
+    index++
+  }
+  return index + 1
+}
+
+function skipTemplateLiteral(source, index) {
+  index++
+  while (index < source.length && source[index] !== '`') {
+    if (source[index] === '\\') {
+      index += 2
+      continue
+    }
+    if (source[index] === '$' && source[index + 1] === '{') {
+      const close = findExpressionEnd(source, index + 2)
+      if (close === -1) return source.length
+      index = close + 1
+      continue
+    }
+    index++
+  }
+  return index + 1
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+/**
+ * Строит дерево из токенов
+ */
+function buildTree(state, tokens) {
+  const root = state.node('Fragment', 0, state.source.length, { children: [] })
+  // Стек открытых элементов и блоков; children - куда добавлять дочерние узлы
+  const stack = [{ node: root, children: root.children }]
+  const current = () => stack[stack.length - 1]
+
+  tokens.forEach(token => {
+    switch (token.type) {
+      case 'text':
+        current().children.push(state.node('Text', token.start, token.end, { value: token.value }))
+        break
+
+      case 'comment':
+        current().children.push(state.node('Comment', token.start, token.end, { value: token.value }))
+        break
+
+      case 'interpolation':
+      case 'html': {
+        const expression = token.expression.trim()
+        if (!expression) {
+          throw state.error(`Пустое выражение {${token.type === 'html' ? '@html' : ''}}`, token.start, ErrorCodes.INVALID_EXPRESSION, createDirectiveError)
+        }
+        validateExpression(state, token.expression, token.expressionStart)
+        const type = token.type === 'html' ? 'Html' : 'Interpolation'
+        current().children.push(state.node(type, token.start, token.end, { expression }))
+        break
+      }
+
+      case 'startTag': {
+        const node = createElementNode(state, token)
+        current().children.push(node)
+        if (!token.selfClosing && !VOID_ELEMENTS.has(token.name.toLowerCase())) {
+          stack.push({ node, children: node.children })
+        }
+        break
+      }
+
+      case 'endTag': {
+        if (VOID_ELEMENTS.has(token.name.toLowerCase())) break
+
+        const open = current().node
+        if (open.type !== 'Element' && open.type !== 'Component') {
+          const message = open.type === 'Block'
+            ? `Неожиданный </${token.name}>: блок {#${open.kind}} не закрыт`
+            : `Неожиданный </${token.name}> без открывающего <${token.name}>`
+          throw state.error(message, token.start, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+        }
+        if (open.name !== token.name) {
+          throw state.error(
+            `Неожиданный </${token.name}>, ожидался </${open.name}>`,
+            token.start,
+            ErrorCodes.UNCLOSED_TAG,
+            createDirectiveError
+          )
+        }
+        closeNode(state, stack.pop().node, token.end)
+        break
+      }
+
+      case 'blockOpen': {
+        const node = createBlockNode(state, token)
+        current().children.push(node)
+        stack.push({ node, children: node.branches[0].children })
+        break
+      }
+
+      case 'blockBranch': {
+        const open = current().node
+        if (open.type !== 'Block' || !BLOCKS[open.kind].includes(token.name)) {
+          throw state.error(
+            `Неожиданный {:${token.name}}${open.type === 'Block' ? ` в блоке {#${open.kind}}` : ' вне блока'}`,
+            token.start,
+            ErrorCodes.INVALID_SYNTAX
+          )
+        }
+        const previous = open.branches[open.branches.length - 1]
+        if (previous.kind === 'else') {
+          throw state.error(`Неожиданный {:${token.name}} после {:else}`, token.start, ErrorCodes.INVALID_SYNTAX)
+        }
+        closeNode(state, previous, token.start)
+
+        const branch = createBranchNode(state, open, token)
+        open.branches.push(branch)
+        current().children = branch.children
+        break
+      }
+
+      case 'blockClose': {
+        const open = current().node
+        if (open.type !== 'Block' || open.kind !== token.name) {
+          throw state.error(
+            `Неожиданный {/${token.name}} без открывающего {#${token.name}}`,
+            token.start,
+            BLOCK_ERROR_CODES[token.name] ?? ErrorCodes.UNCLOSED_DIRECTIVE,
+            createDirectiveError
+          )
+        }
+        closeNode(state, open.branches[open.branches.length - 1], token.start)
+        closeNode(state, stack.pop().node, token.end)
+        break
+      }
+    }
+  })
+
+  if (stack.length > 1) {
+    const unclosed = current().node
+    if (unclosed.type === 'Block') {
+      throw state.error(
+        `Незакрытый блок {#${unclosed.kind}}`,
+        unclosed.start,
+        BLOCK_ERROR_CODES[unclosed.kind] ?? ErrorCodes.UNCLOSED_DIRECTIVE,
+        createDirectiveError
+      )
+    }
+    throw state.error(`Незакрытый тег <${unclosed.name}>`, unclosed.start, ErrorCodes.UNCLOSED_TAG, createDirectiveError)
+  }
+
+  return root
+}
+
+function closeNode(state, node, end) {
+  node.end = end
+  node.loc.end = state.position(end)
+}
+
+/**
+ * Создает узел Element или Component, разделяя атрибуты и директивы
+ */
+function createElementNode(state, token) {
+  const isComponent = /^[A-Z]/.test(token.name) || token.name === 'component'
+  const attributes = []
+  const directives = []
+
+  token.attributes.forEach(attribute => {
+    const directive = parseDirectiveName(attribute.name)
+    if (directive) {
+      const node = createDirectiveNode(state, attribute, directive)
+      directives.push(...(isComponent ? expandComponentBinding(state, node) : [node]))
+    } else {
+      attributes.push(state.node('Attribute', attribute.start, attribute.end, {
+        name: attribute.name,
+        value: attribute.value === null ? null : parseAttributeValue(state, attribute)
+      }))
+    }
+  })
+
+  return state.node(isComponent ? 'Component' : 'Element', token.start, token.end, {
+    name: token.name,
+    attributes,
+    directives,
+    children: [],
+    selfClosing: token.selfClosing
+  })
+}
+
+/**
+ * Определяет директиву по имени атрибута
+ * @click.prevent, on:click  => { kind: 'on', name: 'click', modifiers: ['prevent'] }
+ * @update:value             => { kind: 'on', name: 'update:value' }
+ * :class                    => { kind: 'prop', name: 'class' }
+ * #bind, #bind:checked      => { kind: 'bind', name: 'value' | 'checked' }
+ * bind:this                 => { kind: 'bind', name: 'this' }
+ * #if, #for, #name:arg.mod  => { kind: 'if' | 'for' | 'name', name: arg }
+ */
+function parseDirectiveName(attributeName) {
+  let match
+  if ((match = /^(?:@|on:)([\w-]+(?::[\w-]+)?)((?:\.[\w-]+)*)$/.exec(attributeName))) {
+    return { kind: 'on', name: match[1], modifiers: splitModifiers(match[2]) }
+  }
+  if ((match = /^:([\w-]+)((?:\.[\w-]+)*)$/.exec(attributeName))) {
+    return { kind: 'prop', name: match[1], modifiers: splitModifiers(match[2]) }
+  }
+  if ((match = /^bind:([\w-]+)((?:\.[\w-]+)*)$/.exec(attributeName))) {
+    return { kind: 'bind', name: match[1], modifiers: splitModifiers(match[2]) }
+  }
+  if ((match = /^#([\w-]+)(?::([\w-]+))?((?:\.[\w-]+)*)$/.exec(attributeName))) {
+    const kind = match[1]
+    return {
+      kind,
+      name: match[2] ?? (kind === 'bind' ? 'value' : null),
+      modifiers: splitModifiers(match[3])
+    }
+  }
+  return null
+}
+
+function splitModifiers(modifiers) {
+  return modifiers ? modifiers.slice(1).split('.') : []
+}
+
+function createDirectiveNode(state, attribute, directive) {
+  let expression = attribute.value
+  let expressionStart = attribute.valueStart
+
+  // Значение в фигурных скобках: @click={handler}
+  if (expression !== null && !attribute.quoted && expression.startsWith('{')) {
+    expression = expression.slice(1, -1)
+    expressionStart++
+  }
+
+  if (expression !== null) {
+    expression = expression.trim()
+    if (!expression) {
+      throw state.error(`Пустое значение директивы ${attribute.name}`, attribute.start, ErrorCodes.INVALID_EXPRESSION, createDirectiveError)
+    }
+    // Обработчики событий могут быть инструкциями (count++; save())
+    if (directive.kind === 'on') {
+      validateStatements(state, attribute.value, attribute.valueStart)
+    } else if (directive.kind !== 'for') {
+      validateExpression(state, expression, expressionStart)
+    }
+  }
+
+  if (directive.kind === 'on') {
+    const message = validateEventModifiers(directive.name, directive.modifiers)
+    if (message) throw state.error(message, attribute.start, ErrorCodes.INVALID_EVENT, createDirectiveError)
+  }
+  if (directive.kind === 'bind') {
+    validateBinding(state, attribute, directive, expression)
+  }
+
+  return state.node('Directive', attribute.start, attribute.end, { ...directive, rawName: attribute.name, expression })
+}
+
+// Модификаторы #bind: событие change вместо input и приведение значения
+const BIND_MODIFIERS = ['lazy', 'number', 'trim']
+
+/**
+ * #bind и bind:this требуют выражение, которому можно присвоить значение:
+ * переменную или путь (form.email, items[i].done), но не свойство props
+ */
+function validateBinding(state, attribute, directive, expression) {
+  const unknown = directive.modifiers.find(modifier => directive.name === 'this' || !BIND_MODIFIERS.includes(modifier))
+  if (unknown) {
+    throw state.error(`Неизвестный модификатор .${unknown} для ${attribute.name.split('.')[0]}`, attribute.start, ErrorCodes.INVALID_BIND_TARGET, createDirectiveError)
+  }
+
+  const target = expression === null
+    ? null
+    : acorn.parseExpressionAt(expression, 0, { ecmaVersion: 'latest' })
+  if (target?.type !== 'Identifier' && (target?.type !== 'MemberExpression' || target.optional)) {
+    throw state.error(
+      `${attribute.name} требует переменную или путь к свойству, получено "${expression ?? ''}"`,
+      attribute.start,
+      ErrorCodes.INVALID_BIND_TARGET,
+      createDirectiveError
+    )
+  }
+
+  // props только для чтения: новое значение сообщается родителю событием
+  if (target.type === 'MemberExpression' && target.object.type === 'Identifier' && target.object.name === 'props') {
+    const name = target.computed ? 'name' : target.property.name
+    throw state.error(
+      `${attribute.name}="${expression}" присваивает значение props, которые доступны только для чтения. ` +
+        `Используйте :${directive.name}="${expression}" и emit('update:${name}', value): родитель привязывает компонент через #bind:${name}`,
+      attribute.start,
+      ErrorCodes.INVALID_BIND_TARGET,
+      createDirectiveError
+    )
+  }
+}
+
+/**
+ * #bind:name на компоненте - это :name и @update:name:
+ * компонент получает значение в props и сообщает новое через emit('update:name', value)
+ */
+function expandComponentBinding(state, directive) {
+  // События компонента приходят из emit(), а не из DOM: модификаторам нечего фильтровать
+  if (directive.kind === 'on' && directive.modifiers.length > 0) {
+    throw state.error(`Модификаторы ${directive.rawName} не поддерживаются для событий компонента`, directive.start, ErrorCodes.INVALID_EVENT, createDirectiveError)
+  }
+  if (directive.kind !== 'bind' || directive.name === 'this') return [directive]
+  if (directive.modifiers.length > 0) {
+    throw state.error(`Модификаторы ${directive.rawName} не поддерживаются для компонентов`, directive.start, ErrorCodes.INVALID_BIND_TARGET, createDirectiveError)
+  }
+
+  const position = { start: directive.start, end: directive.end, loc: directive.loc, rawName: directive.rawName }
+  return [
+    { ...directive, ...position, kind: 'prop' },
+    {
+      ...directive,
+      ...position,
+      kind: 'on',
+      name: `update:${directive.name}`,
+      expression: `$event => { ${directive.expression} = $event }`
+    }
+  ]
+}
+
+/**
+ * Разбирает значение атрибута на текст и интерполяции: class="item {active}"
+ */
+function parseAttributeValue(state, attribute) {
+  const { value, valueStart } = attribute
+  const parts = []
+
+  if (!attribute.quoted && value.startsWith('{')) {
+    const expression = value.slice(1, -1).trim()
+    validateExpression(state, value.slice(1, -1), valueStart + 1)
+    return [state.node('Interpolation', valueStart, valueStart + value.length, { expression })]
+  }
+
+  let index = 0
+  let textStart = 0
+  while (index < value.length) {
+    if (value[index] !== '{') {
+      index++
+      continue
+    }
+
+    const close = findExpressionEnd(value, index + 1)
+    if (close === -1) {
+      throw state.error('Незакрытое выражение в атрибуте', valueStart + index, ErrorCodes.UNCLOSED_DIRECTIVE, createDirectiveError)
+    }
+    if (index > textStart) {
+      parts.push(state.node('Text', valueStart + textStart, valueStart + index, { value: value.slice(textStart, index) }))
+    }
+    const raw = value.slice(index + 1, close)
+    validateExpression(state, raw, valueStart + index + 1)
+    parts.push(state.node('Interpolation', valueStart + index, valueStart + close + 1, { expression: raw.trim() }))
+    index = textStart = close + 1
+  }
+
+  if (textStart < value.length || parts.length === 0) {
+    parts.push(state.node('Text', valueStart + textStart, valueStart + value.length, { value: value.slice(textStart) }))
+  }
+  return parts
+}
+
+/**
+ * Создает узел блока из {#kind ...}
+ */
+function createBlockNode(state, token) {
+  const { name: kind, rest, restStart } = token
+
+  if (!BLOCKS[kind]) {
+    throw state.error(`Неизвестный блок {#${kind}}`, token.start, ErrorCodes.INVALID_SYNTAX)
+  }
+
+  const props = { kind, expression: null, branches: [] }
+  let firstBranch = kind === 'if' ? 'if' : kind === 'await' ? 'pending' : 'body'
+  let firstBinding = null
+
+  if (kind === 'for') {
+    Object.assign(props, parseForHead(state, token))
+  } else if (kind === 'each') {
+    Object.assign(props, parseEachHead(state, token))
+  } else {
+    let expression = rest.trim()
+
+    // {#await promise then value} - сразу ветка then без pending
+    if (kind === 'await') {
+      const shorthand = /\s(then|catch)(?:\s+([\s\S]+))?$/.exec(rest)
+      if (shorthand) {
+        expression = rest.slice(0, shorthand.index).trim()
+        firstBranch = shorthand[1]
+        firstBinding = shorthand[2]?.trim() ?? null
+      }
+    }
+
+    if (!expression) {
+      throw state.error(
+        `Блок {#${kind}} требует выражение`,
+        token.start,
+        kind === 'if' ? ErrorCodes.INVALID_IF_CONDITION : ErrorCodes.INVALID_EXPRESSION,
+        createDirectiveError
+      )
+    }
+    validateExpression(state, expression, restStart + rest.indexOf(expression))
+    props.expression = expression
+  }
+
+  const node = state.node('Block', token.start, token.end, props)
+  node.branches.push(state.node('Branch', token.start, token.end, {
+    kind: firstBranch,
+    expression: firstBranch === 'if' ? props.expression : null,
+    binding: firstBinding,
+    children: []
+  }))
+  return node
+}
+
+/**
+ * Создает ветку блока из {:else}, {:else if cond}, {:then value}, {:catch error}
+ */
+function createBranchNode(state, block, token) {
+  const rest = token.rest.trim()
+  let expression = null
+  let binding = null
+
+  if (token.name === 'else if') {
+    if (!rest) {
+      throw state.error('{:else if} требует условие', token.start, ErrorCodes.INVALID_IF_CONDITION, createDirectiveError)
+    }
+    validateExpression(state, rest, token.restStart + token.rest.indexOf(rest))
+    expression = rest
+  } else if (token.name === 'then' || token.name === 'catch') {
+    binding = rest || null
+  } else if (rest) {
+    throw state.error(`Неожиданное "${rest}" в {:${token.name}}`, token.start, ErrorCodes.INVALID_SYNTAX)
+  }
+
+  return state.node('Branch', token.start, token.end, { kind: token.name, expression, binding, children: [] })
+}
+
+/**
+ * {#for item in items}, {#for (item, index) in items :key="id"}
+ */
+function parseForHead(state, token) {
+  const { rest, restStart } = token
+  const { head, key } = extractKey(rest)
+  const match = /^\s*(\([\s\S]*?\)|[\s\S]+?)\s+in\s+([\s\S]+)$/.exec(head)
+
+  if (!match) {
+    throw state.error(
+      'Неверный синтаксис {#for}, ожидается {#for item in items}',
+      token.start,
+      ErrorCodes.INVALID_FOR_SYNTAX,
+      createDirectiveError
+    )
+  }
+
+  const context = parseLoopContext(state, match[1], token)
+  const expression = match[2].trim()
+  return { ...parseLoopSource(state, expression, restStart + rest.indexOf(expression)), ...context, key }
+}
+
+/**
+ * {#each items as item}, {#each items as (item, i) :key="id"}
+ */
+function parseEachHead(state, token) {
+  const { rest, restStart } = token
+  const { head, key } = extractKey(rest)
+  const match = /^\s*([\s\S]+?)\s+as\s+([\s\S]+)$/.exec(head)
+
+  if (!match) {
+    throw state.error(
+      'Неверный синтаксис {#each}, ожидается {#each items as item}',
+      token.start,
+      ErrorCodes.INVALID_FOR_SYNTAX,
+      createDirectiveError
+    )
+  }
+
+  const expression = match[1].trim()
+  return { ...parseLoopSource(state, expression, restStart + rest.indexOf(expression)), ...parseLoopContext(state, match[2], token), key }
+}
+
+/**
+ * Источник цикла: выражение или диапазон start..end (включительно)
+ */
+function parseLoopSource(state, expression, offset) {
+  const match = /^([\s\S]+?)(?<!\.)\.\.(?!\.)([\s\S]+)$/.exec(expression)
+  if (match && isExpression(match[1]) && isExpression(match[2])) {
+    return { expression, range: { start: match[1].trim(), end: match[2].trim() } }
+  }
+
+  validateExpression(state, expression, offset)
+  return { expression, range: null }
+}
+
+function isExpression(code) {
+  try {
+    const node = acorn.parseExpressionAt(code, 0, { ecmaVersion: 'latest' })
+    return !code.slice(node.end).trim()
+  } catch {
+    return false
+  }
+}
+
+function extractKey(rest) {
+  const match = /\s:key\s*=\s*(["'])([\s\S]*?)\1\s*$/.exec(rest)
+  if (!match) return { head: rest, key: null }
+  return { head: rest.slice(0, match.index), key: match[2].trim() }
+}
+
+/**
+ * Разбирает переменные цикла: item, (item, index), { id, name }, [a, b]
+ */
+function parseLoopContext(state, source, token) {
+  let context = source.trim()
+  let index = null
+
+  if (context.startsWith('(') && context.endsWith(')')) {
+    context = context.slice(1, -1).trim()
+  }
+
+  // Индекс отделяется последней запятой верхнего уровня
+  const comma = findTopLevelComma(context)
+  if (comma !== -1) {
+    index = context.slice(comma + 1).trim()
+    context = context.slice(0, comma).trim()
+  }
+
+  try {
+    acorn.parse(`let ${context} = 0${index ? `, ${index} = 0` : ''}`, { ecmaVersion: 'latest' })
+  } catch {
+    throw state.error(
+      `Неверная переменная цикла "${source.trim()}"`,
+      token.start,
+      ErrorCodes.INVALID_FOR_SYNTAX,
+      createDirectiveError
+    )
+  }
+
+  return { context, index }
+}
+
+function findTopLevelComma(source) {
+  let depth = 0
+  for (let i = source.length - 1; i >= 0; i--) {
+    const char = source[i]
+    if (char === '}' || char === ']' || char === ')') depth++
+    else if (char === '{' || char === '[' || char === '(') depth--
+    else if (char === ',' && depth === 0) return i
+  }
+  return -1
+}
+
+/**
+ * Проверяет, что выражение корректно, и сообщает об ошибке с позицией
+ */
+function validateExpression(state, expression, offset) {
+  try {
+    const node = acorn.parseExpressionAt(expression, 0, { ecmaVersion: 'latest' })
+    if (expression.slice(node.end).trim()) {
+      throw Object.assign(new SyntaxError('лишние символы после выражения'), { pos: node.end })
+    }
+  } catch (error) {
+    throw state.error(
+      `Неверное выражение "${expression.trim()}": ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+      offset + (error.pos ?? 0),
+      ErrorCodes.INVALID_EXPRESSION,
+      createDirectiveError
+    )
+  }
+}
+
+function validateStatements(state, code, offset) {
+  try {
+    acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module' })
+  } catch (error) {
+    throw state.error(
+      `Неверный обработчик события "${code.trim()}": ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`,
+      offset + (error.pos ?? 0),
+      ErrorCodes.INVALID_EXPRESSION,
+      createDirectiveError
+    )
+  }
+}
+
+export default { parseTemplate, findExpressionEnd }
@@ -0,0 +1,554 @@
+/**
+ * Tests for DOM Runtime
+ * Тесты точечных обновлений: текст, атрибуты и блоки
+ */
+
+import { $state, $effect, effectScope, flushSync } from '../reactivity.js'
+import {
+  setText,
+  setAttribute,
+  normalizeClass,
+  normalizeStyle,
+  ifBlock,
+  eachBlock,
+  listEntries,
+  createRange,
+  keyBlock,
+  slotBlock,
+  componentBlock,
+  htmlBlock,
+  escapeHtml,
+  trustHTML,
+  renderHtml,
+  bindProperty,
+  bindThis,
+  useCssVars,
+  useStyles,
+  setStyleManifest,
+  collectStyles
+} from '../dom.js'
+import { renderStyleLinks } from '../index.js'
+
+// Минимальный DOM: узлы, вставка и атрибуты
+class FakeNode {
+  constructor(nodeType, name = '') {
+    this.nodeType = nodeType
+    this.nodeName = name
+    this.parentNode = null
+    this.childNodes = []
+    this.attributes = new Map()
+    this.data = ''
+  }
+
+  insertBefore(node, reference) {
+    const nodes = node.nodeType === 11 ? [...node.childNodes] : [node]
+    nodes.forEach(child => {
+      child.parentNode?.removeChild(child)
+      const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length
+      this.childNodes.splice(index, 0, child)
+      child.parentNode = this
+    })
+    return node
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null)
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1)
+    node.parentNode = null
+    return node
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, value)
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name)
+  }
+
+  // Поддерживается только '*' - все элементы-потомки
+  querySelectorAll() {
+    return this.childNodes.filter(node => node.nodeType === 1).flatMap(node => [node, ...node.querySelectorAll('*')])
+  }
+
+  get nextSibling() {
+    const siblings = this.parentNode?.childNodes ?? []
+    return siblings[siblings.indexOf(this) + 1] ?? null
+  }
+
+  get textContent() {
+    return this.nodeType === 3 ? this.data : this.childNodes.map(node => node.textContent).join('')
+  }
+}
+
+const element = (name, text) => {
+  const node = new FakeNode(1, name)
+  if (text !== undefined) node.appendChild(textNode(text))
+  return node
+}
+const textNode = data => Object.assign(new FakeNode(3), { data })
+
+// Строки цикла отмечаются комментарием
+globalThis.document = { createComment: () => new FakeNode(8), createTextNode: textNode }
+
+// Поле формы: свойства и обработчики событий
+const control = (nodeName, props = {}) => ({
+  nodeName,
+  listeners: {},
+  addEventListener(type, handler) { this.listeners[type] = handler },
+  removeEventListener() {},
+  fire(type) { this.listeners[type]() },
+  ...props
+})
+
+function setup() {
+  const container = element('div')
+  const anchor = new FakeNode(8)
+  container.appendChild(anchor)
+  return { container, anchor }
+}
+
+describe('DOM runtime', () => {
+  test('setText and setAttribute patch only on change', () => {
+    const text = textNode('')
+    const writes = []
+    const node = {
+      ...element('a'),
+      getAttribute: () => 'same',
+      setAttribute: (name, value) => writes.push([name, value]),
+      removeAttribute: name => writes.push([name, null])
+    }
+
+    setText(text, 42)
+    expect(text.data).toBe('42')
+    setText(text, null)
+    expect(text.data).toBe('')
+
+    setAttribute(node, 'title', 'same')
+    setAttribute(node, 'title', 'other')
+    setAttribute(node, 'hidden', false)
+    expect(writes).toEqual([['title', 'other'], ['hidden', null]])
+  })
+
+  test('normalizes :class and :style values', () => {
+    expect(normalizeClass(['btn', { active: true, disabled: false }, null])).toBe('btn active')
+    expect(normalizeStyle(['color: red;', { fontSize: '12px', '--gap': 4, margin: null }]))
+      .toBe('color: red; font-size: 12px; --gap: 4')
+  })
+
+  test('ifBlock switches branches and keeps bindings fine-grained', () => {
+    const { container, anchor } = setup()
+    const visible = $state(true)
+    const label = $state('on')
+    let created = 0
+
+    const scope = effectScope()
+    scope.run(() => ifBlock(anchor, () => visible.value ? 0 : 1, [
+      () => {
+        created++
+        const text = textNode('')
+        $effect(() => setText(text, label.value))
+        const node = element('p')
+        node.appendChild(text)
+        return node
+      },
+      () => element('span', 'off')
+    ]))
+
+    const paragraph = container.childNodes[0]
+    expect(container.textContent).toBe('on')
+
+    label.value = 'changed'
+    flushSync()
+    expect(container.textContent).toBe('changed')
+    expect(container.childNodes[0]).toBe(paragraph)
+    expect(created).toBe(1)
+
+    visible.value = false
+    flushSync()
+    expect(container.childNodes.map(node => node.nodeName)).toEqual(['span', ''])
+
+    scope.stop()
+    expect(container.childNodes).toEqual([anchor])
+  })
+
+  test('eachBlock renders items and the empty branch', () => {
+    const { container, anchor } = setup()
+    const items = $state(['a', 'b'])
+
+    const scope = effectScope()
+    scope.run(() => eachBlock(
+      anchor,
+      () => items.value,
+      (item, index) => element('li', `${index.value}:${item.value}`),
+      () => element('li', 'empty')
+    ))
+    expect(container.textContent).toBe('0:a1:b')
+
+    items.value.push('c')
+    flushSync()
+    expect(container.textContent).toBe('0:a1:b2:c')
+
+    items.value = []
+    flushSync()
+    expect(container.textContent).toBe('empty')
+    scope.stop()
+  })
+
+  test('eachBlock moves keyed rows instead of recreating them', () => {
+    const { container, anchor } = setup()
+    const items = $state([{ id: 1 }, { id: 2 }, { id: 3 }])
+    let created = 0
+
+    const scope = effectScope()
+    scope.run(() => eachBlock(anchor, () => items.value, (item, index) => {
+      created++
+      const text = textNode('')
+      $effect(() => setText(text, `${index.value}:${item.value.id}`))
+      const node = element('li')
+      node.appendChild(text)
+      return node
+    }, null, item => item.id))
+
+    const [first, second, third] = container.childNodes.filter(node => node.nodeName === 'li')
+    const moves = []
+    const insertBefore = container.insertBefore.bind(container)
+    container.insertBefore = (node, reference) => {
+      if (node.parentNode === container) moves.push(node)
+      return insertBefore(node, reference)
+    }
+
+    items.value = [items.value[2], items.value[0], items.value[1], { id: 4 }]
+    flushSync()
+
+    const rows = container.childNodes.filter(node => node.nodeName === 'li')
+    expect(rows.slice(0, 3)).toEqual([third, first, second])
+    expect(container.textContent).toBe('0:31:12:23:4')
+    expect(created).toBe(4)
+    // Перенесена одна строка: комментарий-начало и <li>
+    expect(moves).toHaveLength(2)
+
+    items.value = items.value.filter(item => item.id !== 1)
+    flushSync()
+    expect(container.textContent).toBe('0:31:22:4')
+    expect(container.childNodes.includes(first)).toBe(false)
+    scope.stop()
+    expect(container.childNodes).toEqual([anchor])
+  })
+
+  test('eachBlock keeps keyed rows when an immutable update replaces the item', () => {
+    const { container, anchor } = setup()
+    const items = $state([{ id: 1, name: 'a' }, { id: 2, name: 'b' }])
+    let created = 0
+
+    const scope = effectScope()
+    scope.run(() => eachBlock(anchor, () => items.value, item => {
+      created++
+      const text = textNode('')
+      $effect(() => setText(text, item.value.name))
+      const node = element('li')
+      node.appendChild(text)
+      return node
+    }, null, item => item.id))
+
+    const [first, second] = container.childNodes.filter(node => node.nodeName === 'li')
+    items.value = items.value.map(item => item.id === 1 ? { ...item, name: 'c' } : item)
+    flushSync()
+
+    expect(container.childNodes.filter(node => node.nodeName === 'li')).toEqual([first, second])
+    expect(container.textContent).toBe('cb')
+    expect(created).toBe(2)
+    scope.stop()
+  })
+
+  test('eachBlock warns about duplicate keys', () => {
+    const { container, anchor } = setup()
+    const warnings = []
+    const warn = console.warn
+    console.warn = message => warnings.push(message)
+
+    const scope = effectScope()
+    scope.run(() => eachBlock(anchor, () => ['a', 'a'], item => element('b', item.value), null, item => item))
+    console.warn = warn
+
+    expect(container.textContent).toBe('aa')
+    expect(warnings[0]).toContain('Повторяющийся ключ a')
+    scope.stop()
+  })
+
+  test('escapeHtml and renderHtml treat only trusted markup as HTML', () => {
+    const warnings = []
+    const warn = console.warn
+    console.warn = message => warnings.push(message)
+
+    expect(escapeHtml('<b title="x">Tom & \'Jerry\'</b>')).toBe('&lt;b title=&quot;x&quot;&gt;Tom &amp; &#39;Jerry&#39;&lt;/b&gt;')
+    expect(escapeHtml(null)).toBe('')
+    expect(renderHtml(trustHTML('<b>ok</b>'))).toBe('<b>ok</b>')
+    expect(warnings).toEqual([])
+
+    expect(renderHtml('<img onerror=alert(1)>')).toBe('<img onerror=alert(1)>')
+    console.warn = warn
+    expect(warnings[0]).toContain('[AspScript] {@html} получил значение, не помеченное trustHTML()')
+  })
+
+  test('htmlBlock replaces parsed nodes when the markup changes', () => {
+    const { container, anchor } = setup()
+    const html = $state(trustHTML('<b>one</b>'))
+    // <template> заглушки: разметка становится одним текстовым узлом
+    globalThis.document.createElement = () => ({
+      set innerHTML(value) {
+        this.content = element('#fragment')
+        this.content.nodeType = 11
+        this.content.appendChild(textNode(value))
+      }
+    })
+
+    const scope = effectScope()
+    scope.run(() => htmlBlock(anchor, () => html.value))
+    expect(container.textContent).toBe('<b>one</b>')
+
+    html.value = trustHTML('<i>two</i>')
+    flushSync()
+    expect(container.textContent).toBe('<i>two</i>')
+
+    scope.stop()
+    expect(container.childNodes).toEqual([anchor])
+    delete globalThis.document.createElement
+  })
+
+  test('listEntries iterates objects, Maps, iterables and ranges', () => {
+    expect(listEntries({ a: 1, b: 2 })).toEqual([[1, 'a'], [2, 'b']])
+    expect(listEntries(new Map([['x', 10]]))).toEqual([[10, 'x']])
+    expect(listEntries(new Set(['s']))).toEqual([['s', 0]])
+    expect(listEntries(null)).toEqual([])
+    expect(createRange(1, 3)).toEqual([1, 2, 3])
+    expect(createRange(3, 1)).toEqual([])
+  })
+
+  test('keyBlock recreates content only when the key changes', () => {
+    const { container, anchor } = setup()
+    const id = $state(1)
+    const other = $state(0)
+    let created = 0
+
+    const scope = effectScope()
+    scope.run(() => keyBlock(anchor, () => id.value, () => {
+      created++
+      other.value
+      return element('b', String(id.value))
+    }))
+
+    other.value = 1
+    flushSync()
+    expect(created).toBe(1)
+
+    id.value = 2
+    flushSync()
+    expect(created).toBe(2)
+    expect(container.textContent).toBe('2')
+    scope.stop()
+  })
+
+  test('slotBlock marks slot content for :slotted()', () => {
+    const { container, anchor } = setup()
+    const title = $state('a')
+
+    const scope = effectScope()
+    scope.run(() => slotBlock(anchor, () => {
+      const node = element('p')
+      node.appendChild(element('b', title.value))
+      return node
+    }, 'data-asp-x-s'))
+
+    const [paragraph] = container.childNodes
+    expect(paragraph.getAttribute('data-asp-x-s')).toBe('')
+    expect(paragraph.childNodes[0].getAttribute('data-asp-x-s')).toBe('')
+
+    title.value = 'b'
+    flushSync()
+    expect(container.childNodes[0].childNodes[0].getAttribute('data-asp-x-s')).toBe('')
+    expect(container.textContent).toBe('b')
+    scope.stop()
+  })
+
+  test('componentBlock swaps :is components and cleans up children with the parent', () => {
+    const { container, anchor } = setup()
+    const view = $state(null)
+    const title = $state('a')
+    const log = []
+    let ref
+
+    // Компонент в форме скомпилированного: scope, render() и cleanup()
+    const component = name => props => {
+      const scope = effectScope()
+      return scope.run(() => ({
+        name,
+        render: () => scope.run(() => {
+          const node = element('p', '')
+          $effect(() => { node.childNodes[0].data = `${name}:${props.title}` })
+          return node
+        }),
+        cleanup: () => {
+          log.push(`cleanup ${name}`)
+          scope.stop()
+        }
+      }))
+    }
+    const First = component('first')
+    const Second = component('second')
+
+    const parent = effectScope()
+    parent.run(() => componentBlock(anchor, () => view.value, { get title() { return title.value } }, value => { ref = value }))
+    expect(container.textContent).toBe('')
+
+    view.value = First
+    flushSync()
+    expect(container.textContent).toBe('first:a')
+    expect(ref.name).toBe('first')
+
+    title.value = 'b'
+    flushSync()
+    expect(container.textContent).toBe('first:b')
+
+    view.value = Second
+    flushSync()
+    expect(container.textContent).toBe('second:b')
+    expect(log).toEqual(['cleanup first'])
+
+    parent.stop()
+    expect(log).toEqual(['cleanup first', 'cleanup second'])
+    expect(ref).toBe(null)
+  })
+
+  test('bindProperty syncs checkbox groups and select multiple', () => {
+    const tags = $state(['a'])
+    const sizes = $state([2])
+    const checkbox = control('INPUT', { type: 'checkbox', value: 'b', checked: false })
+    const options = ['1', '2', '3'].map(value => ({ value, selected: false }))
+    const select = control('SELECT', { multiple: true, options })
+
+    const scope = effectScope()
+    scope.run(() => {
+      bindProperty(checkbox, 'value', () => tags.value, value => { tags.value = value })
+      bindProperty(select, 'value', () => sizes.value, value => { sizes.value = value }, { number: true })
+    })
+    expect(checkbox.checked).toBe(false)
+    expect(options.map(option => option.selected)).toEqual([false, true, false])
+
+    checkbox.checked = true
+    checkbox.fire('change')
+    expect(tags.value).toEqual(['a', 'b'])
+
+    options[0].selected = true
+    select.fire('change')
+    expect(sizes.value).toEqual([1, 2])
+
+    tags.value = []
+    flushSync()
+    expect(checkbox.checked).toBe(false)
+    scope.stop()
+  })
+
+  test('bindProperty applies .lazy and .trim to text fields', () => {
+    const note = $state('')
+    const textarea = control('TEXTAREA', { value: '' })
+
+    const scope = effectScope()
+    scope.run(() => bindProperty(textarea, 'value', () => note.value, value => { note.value = value }, { lazy: true, trim: true }))
+    expect(textarea.listeners.input).toBeUndefined()
+
+    textarea.value = '  text  '
+    textarea.fire('change')
+    flushSync()
+    expect(note.value).toBe('text')
+    // Значение совпадает после trim - введенный текст не перезаписывается
+    expect(textarea.value).toBe('  text  ')
+    scope.stop()
+  })
+
+  test('bindThis resets the reference when the scope is disposed', () => {
+    let ref
+    const node = element('input')
+
+    const scope = effectScope()
+    scope.run(() => bindThis(node, value => { ref = value }))
+    expect(ref).toBe(node)
+
+    scope.stop()
+    expect(ref).toBe(null)
+  })
+
+  test('useCssVars keeps bind() variables when :style rewrites the attribute', () => {
+    const color = $state('red')
+    const node = element('div')
+    // Атрибут style и inline-свойства - одно и то же в настоящем DOM
+    node.style = { properties: {}, setProperty(name, value) { this.properties[name] = value } }
+    node.setAttribute = (name, value) => {
+      if (name === 'style') node.style.properties = {}
+      node.attributes.set(name, value)
+    }
+
+    const scope = effectScope()
+    scope.run(() => useCssVars(node, () => ({ '--x-color': color.value })))
+    expect(node.style.properties).toEqual({ '--x-color': 'red' })
+
+    setAttribute(node, 'style', 'opacity: 1')
+    expect(node.style.properties).toEqual({ '--x-color': 'red' })
+
+    color.value = 'blue'
+    flushSync()
+    expect(node.style.properties).toEqual({ '--x-color': 'blue' })
+
+    scope.stop()
+    color.value = 'green'
+    flushSync()
+    expect(node.style.properties).toEqual({ '--x-color': 'blue' })
+  })
+
+  test('collectStyles records components with extracted CSS for SSR links', () => {
+    const manifest = { 'data-asp-a': ['assets/index-1.css'], 'data-asp-b': ['assets/index-1.css', 'assets/Page-2.css'], 'data-asp-c': ['assets/Other-3.css'] }
+    const { result, styles } = collectStyles(() => {
+      useStyles('data-asp-a')
+      useStyles('data-asp-b')
+      useStyles('data-asp-a')
+      return '<div></div>'
+    })
+
+    expect(result).toBe('<div></div>')
+    expect(styles).toEqual(['data-asp-a', 'data-asp-b'])
+    expect(renderStyleLinks(styles, manifest, '/static/')).toBe(
+      '<link rel="stylesheet" href="/static/assets/index-1.css">\n    <link rel="stylesheet" href="/static/assets/Page-2.css">'
+    )
+  })
+
+  test('useStyles links lazy chunk CSS from the manifest once', () => {
+    const head = element('head')
+    const previous = globalThis.document
+    globalThis.document = {
+      head,
+      createElement: name => element(name),
+      querySelector: selector => head.childNodes.find(link => selector.includes(`href="${link.href}"`)) ?? null
+    }
+
+    try {
+      setStyleManifest({ 'data-asp-b': ['assets/index-1.css', 'assets/Page-2.css'] }, '/static/')
+      useStyles('data-asp-b')
+      useStyles('data-asp-b')
+      useStyles('data-asp-unknown')
+      expect(head.childNodes.map(link => [link.rel, link.href])).toEqual([
+        ['stylesheet', '/static/assets/index-1.css'],
+        ['stylesheet', '/static/assets/Page-2.css']
+      ])
+    } finally {
+      setStyleManifest(null)
+      globalThis.document = previous
+    }
+  })
+})
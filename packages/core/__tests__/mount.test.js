@@ -0,0 +1,164 @@
+/**
+ * Tests for Block Mounting
+ * Монтирование кода, который генерирует компилятор, в настоящем DOM (jsdom):
+ * шаблоны, единственный корень которых - якорь блока, компонента или {@html}
+ */
+
+import { JSDOM } from 'jsdom'
+import { $state, $effect, effectScope, flushSync } from '../reactivity.js'
+import { template, setText, ifBlock, eachBlock, htmlBlock, componentBlock, trustHTML } from '../dom.js'
+
+const { document } = new JSDOM('<!doctype html>').window
+globalThis.document = document
+
+// Рендер компонента в контейнер, как при монтировании приложения
+function mount(render) {
+  const scope = effectScope()
+  const container = document.createElement('div')
+  container.appendChild(scope.run(render))
+  return { container, scope }
+}
+
+// Узлы без комментариев-якорей
+const html = container => container.innerHTML.replace(/<!---->/g, '')
+
+const Child = () => ({
+  render: () => template('<b>child</b>')(),
+  cleanup: () => {}
+})
+
+describe('Block Mounting', () => {
+  test('template() keeps a lone block anchor inside a fragment', () => {
+    const root = template('<!>')()
+    expect(root.nodeType).toBe(11)
+    expect(root.firstChild.parentNode).toBe(root)
+
+    expect(template('<p>x</p>')().nodeName).toBe('P')
+  })
+
+  test('mounts nested {#if} at the template root', () => {
+    const a = $state(true)
+    const b = $state(true)
+    const _tmpl0 = template('<!>')
+    const _tmpl1 = template('<!>')
+    const _tmpl2 = template('<p>x</p>')
+
+    const { container, scope } = mount(() => {
+      const _n0 = _tmpl0()
+      ifBlock(_n0.childNodes[0], () => a.value ? 0 : -1, [
+        () => {
+          const _n2 = _tmpl1()
+          ifBlock(_n2.childNodes[0], () => b.value ? 0 : -1, [() => _tmpl2()])
+          return _n2
+        }
+      ])
+      return _n0
+    })
+    expect(html(container)).toBe('<p>x</p>')
+
+    b.value = false
+    flushSync()
+    expect(html(container)).toBe('')
+
+    b.value = true
+    a.value = false
+    flushSync()
+    expect(html(container)).toBe('')
+
+    a.value = true
+    flushSync()
+    expect(html(container)).toBe('<p>x</p>')
+    scope.stop()
+  })
+
+  test('mounts {#each} rows whose only node is {#if}', () => {
+    const items = $state([1, 2, 3])
+    const _tmpl0 = template('<ul><!></ul>')
+    const _tmpl1 = template('<!>')
+    const _tmpl2 = template('<li> </li>')
+
+    const { container, scope } = mount(() => {
+      const _n0 = _tmpl0()
+      eachBlock(_n0.childNodes[0], () => items.value, i => {
+        const _n2 = _tmpl1()
+        ifBlock(_n2.childNodes[0], () => i.value > 1 ? 0 : -1, [
+          () => {
+            const _n4 = _tmpl2()
+            $effect(() => setText(_n4.childNodes[0], i.value))
+            return _n4
+          }
+        ])
+        return _n2
+      })
+      return _n0
+    })
+    expect(html(container)).toBe('<ul><li>2</li><li>3</li></ul>')
+
+    items.value = [3, 4]
+    flushSync()
+    expect(html(container)).toBe('<ul><li>3</li><li>4</li></ul>')
+    scope.stop()
+  })
+
+  test('mounts {@html} inside {#if}', () => {
+    const a = $state(true)
+    const _tmpl0 = template('<!>')
+    const _tmpl1 = template('<!>')
+
+    const { container, scope } = mount(() => {
+      const _n0 = _tmpl0()
+      ifBlock(_n0.childNodes[0], () => a.value ? 0 : -1, [
+        () => {
+          const _n2 = _tmpl1()
+          htmlBlock(_n2.childNodes[0], () => trustHTML('<i>h</i>'))
+          return _n2
+        }
+      ])
+      return _n0
+    })
+    expect(html(container)).toBe('<i>h</i>')
+
+    a.value = false
+    flushSync()
+    expect(html(container)).toBe('')
+    scope.stop()
+  })
+
+  test('mounts a conditional child component and component rows', () => {
+    const visible = $state(true)
+    const items = $state([1, 2])
+    const _tmpl0 = template('<!><!>')
+    const _tmpl1 = template('<!>')
+    const _tmpl2 = template('<!>')
+
+    const { container, scope } = mount(() => {
+      const _n0 = _tmpl0()
+      const _n1 = _n0.childNodes[0]
+      const _n2 = _n0.childNodes[1]
+      ifBlock(_n1, () => visible.value ? 0 : -1, [
+        () => {
+          const _n3 = _tmpl1()
+          componentBlock(_n3.childNodes[0], () => Child, {})
+          return _n3
+        }
+      ])
+      eachBlock(_n2, () => items.value, () => {
+        const _n4 = _tmpl2()
+        componentBlock(_n4.childNodes[0], () => Child, {})
+        return _n4
+      })
+      return _n0
+    })
+    expect(html(container)).toBe('<b>child</b><b>child</b><b>child</b>')
+
+    visible.value = false
+    items.value = [1]
+    flushSync()
+    expect(html(container)).toBe('<b>child</b>')
+
+    visible.value = true
+    flushSync()
+    expect(html(container)).toBe('<b>child</b><b>child</b>')
+    scope.stop()
+  })
+})
@@ -0,0 +1,90 @@
+/**
+ * Tests for AspScript Persisted State
+ */
+
+import { $global, flushSync } from '../reactivity.js'
+import { createMemoryStorage } from '../persist.js'
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Persisted global state', () => {
+  test('restores the stored value', () => {
+    const storage = createMemoryStorage({
+      'aspscript:restore': JSON.stringify({ version: 0, state: { theme: 'dark' } })
+    })
+
+    const settings = $global({ theme: 'light' }, 'restore', { persist: { storage } })
+
+    expect(settings.value.theme).toBe('dark')
+  })
+
+  test('debounces writes', async () => {
+    const storage = createMemoryStorage()
+    const writes = []
+    const setItem = storage.setItem
+    storage.setItem = (key, value) => {
+      writes.push(value)
+      setItem(key, value)
+    }
+
+    const cart = $global({ items: [] }, 'debounce', { persist: { storage, debounce: 10 } })
+
+    cart.value.items.push('a')
+    flushSync()
+    cart.value.items.push('b')
+    flushSync()
+    await wait(30)
+
+    expect(writes.length).toBe(1)
+    expect(JSON.parse(storage.getItem('aspscript:debounce')).state.items).toEqual(['a', 'b'])
+  })
+
+  test('runs migrations when the stored version differs', () => {
+    const storage = createMemoryStorage({
+      'aspscript:migrate': JSON.stringify({ version: 1, state: { name: 'Ada Lovelace' } })
+    })
+
+    const user = $global({ first: '', last: '' }, 'migrate', {
+      persist: {
+        storage,
+        version: 2,
+        migrate: (state, fromVersion) => {
+          const [first, last] = state.name.split(' ')
+          return { first, last, migratedFrom: fromVersion }
+        }
+      }
+    })
+
+    expect(user.value).toEqual({ first: 'Ada', last: 'Lovelace', migratedFrom: 1 })
+    expect(JSON.parse(storage.getItem('aspscript:migrate')).version).toBe(2)
+  })
+
+  test('drops stored data of another version without migrate', () => {
+    const storage = createMemoryStorage({
+      'aspscript:drop': JSON.stringify({ version: 1, state: 'old' })
+    })
+
+    const value = $global('fresh', 'drop', { persist: { storage, version: 2 } })
+
+    expect(value.value).toBe('fresh')
+  })
+
+  test('applies writes from other tabs', () => {
+    const storage = createMemoryStorage()
+    const previousWindow = globalThis.window
+    globalThis.window = new EventTarget()
+
+    try {
+      const counter = $global(0, 'tabs', { persist: { storage } })
+
+      const event = new Event('storage')
+      event.key = 'aspscript:tabs'
+      event.newValue = JSON.stringify({ version: 0, state: 5 })
+      globalThis.window.dispatchEvent(event)
+
+      expect(counter.value).toBe(5)
+    } finally {
+      globalThis.window = previousWindow
+    }
+  })
+})
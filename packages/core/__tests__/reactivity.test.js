@@ -2,7 +2,25 @@
  * Tests for AspScript Reactivity System
  */
 
-const { $state, $computed, $effect } = require('../reactivity.js')
+import {
+  $state,
+  $shallowState,
+  $readonly,
+  toRaw,
+  markRaw,
+  $computed,
+  $effect,
+  onCleanup,
+  watch,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
+  onDestroy,
+  batch,
+  flushSync,
+  inspectGraph,
+  onReactivityEvent
+} from '../reactivity.js'
 
 describe('Reactivity System', () => {
   test('$state creates reactive variable', () => {
@@ -24,6 +42,7 @@ describe('Reactivity System', () => {
     expect(effectValue).toBe(0)
 
     counter.value = 5
+    flushSync()
     expect(effectValue).toBe(10)
   })
 
@@ -55,7 +74,548 @@ describe('Reactivity System', () => {
     expect(triple).toBe(3)
 
     value.value = 5
+    flushSync()
     expect(double).toBe(10)
     expect(triple).toBe(15)
   })
+
+  test('$effect returns a dispose handle', () => {
+    const counter = $state(0)
+    let runs = 0
+
+    const dispose = $effect(() => {
+      counter.value
+      runs++
+    })
+
+    expect(runs).toBe(1)
+
+    dispose()
+    counter.value = 1
+    expect(runs).toBe(1)
+  })
+
+  test('$effect drops dependencies it no longer reads', () => {
+    const useA = $state(true)
+    const a = $state(1)
+    const b = $state(2)
+    let result = 0
+    let runs = 0
+
+    $effect(() => {
+      runs++
+      result = useA.value ? a.value : b.value
+    })
+
+    useA.value = false
+    flushSync()
+    expect(result).toBe(2)
+
+    const runsBefore = runs
+    a.value = 100
+    flushSync()
+    expect(runs).toBe(runsBefore)
+
+    b.value = 3
+    flushSync()
+    expect(result).toBe(3)
+  })
+
+  test('onCleanup runs before each re-run and on dispose', () => {
+    const counter = $state(0)
+    const calls = []
+
+    const dispose = $effect(() => {
+      const current = counter.value
+      calls.push(`run ${current}`)
+      onCleanup(() => calls.push(`cleanup ${current}`))
+    })
+
+    counter.value = 1
+    flushSync()
+    dispose()
+
+    expect(calls).toEqual(['run 0', 'cleanup 0', 'run 1', 'cleanup 1'])
+  })
+
+  test('$effect accepts a returned cleanup function', () => {
+    const counter = $state(0)
+    let cleanups = 0
+
+    const dispose = $effect(() => {
+      counter.value
+      return () => { cleanups++ }
+    })
+
+    counter.value = 1
+    flushSync()
+    expect(cleanups).toBe(1)
+
+    dispose()
+    expect(cleanups).toBe(2)
+  })
+
+  test('writes are flushed once per tick', async () => {
+    const a = $state(0)
+    const b = $state(0)
+    let runs = 0
+
+    $effect(() => {
+      a.value + b.value
+      runs++
+    })
+
+    a.value = 1
+    b.value = 2
+    a.value = 3
+    expect(runs).toBe(1)
+
+    await Promise.resolve()
+    expect(runs).toBe(2)
+  })
+
+  test('batch runs effects once after the callback', () => {
+    const a = $state(0)
+    const b = $state(0)
+    const seen = []
+
+    $effect(() => {
+      seen.push(a.value + b.value)
+    })
+
+    batch(() => {
+      a.value = 1
+      b.value = 2
+    })
+
+    expect(seen).toEqual([0, 3])
+  })
+
+  test('nested objects are deeply reactive', () => {
+    const user = $state({ address: { city: 'Kazan' } })
+    let city = ''
+
+    $effect(() => {
+      city = user.value.address.city
+    })
+
+    user.value.address.city = 'Moscow'
+    flushSync()
+    expect(city).toBe('Moscow')
+  })
+
+  test('array mutators trigger effects', () => {
+    const items = $state([1, 2])
+    let total = 0
+
+    $effect(() => {
+      total = items.value.reduce((sum, item) => sum + item, 0)
+    })
+
+    items.value.push(3)
+    flushSync()
+    expect(total).toBe(6)
+
+    items.value.splice(0, 1)
+    flushSync()
+    expect(total).toBe(5)
+  })
+
+  test('Map and Set methods are tracked', () => {
+    const map = $state(new Map())
+    const set = $state(new Set())
+    let keys = []
+    let hasItem = false
+
+    $effect(() => {
+      keys = [...map.value.keys()]
+    })
+    $effect(() => {
+      hasItem = set.value.has('item')
+    })
+
+    map.value.set('a', 1)
+    set.value.add('item')
+    flushSync()
+
+    expect(keys).toEqual(['a'])
+    expect(hasItem).toBe(true)
+  })
+
+  test('delete and in operator are tracked', () => {
+    const flags = $state({ debug: true })
+    let hasDebug = false
+    let count = 0
+
+    $effect(() => {
+      hasDebug = 'debug' in flags.value
+    })
+    $effect(() => {
+      count = Object.keys(flags.value).length
+    })
+
+    delete flags.value.debug
+    flushSync()
+
+    expect(hasDebug).toBe(false)
+    expect(count).toBe(0)
+  })
+
+  test('nested proxies are cached per raw object', () => {
+    const state = $state({ nested: {} })
+    expect(state.value.nested).toBe(state.value.nested)
+  })
+
+  test('$effect re-runs when a $computed it reads changes', () => {
+    const count = $state(1)
+    const doubled = $computed(() => count.value * 2)
+    const seen = []
+
+    $effect(() => {
+      seen.push(doubled.value)
+    })
+
+    count.value = 2
+    flushSync()
+    expect(seen).toEqual([2, 4])
+  })
+
+  test('$computed skips dependents when its value is unchanged', () => {
+    const count = $state(1)
+    const parity = $computed(() => count.value % 2)
+    let labelRuns = 0
+    const label = $computed(() => {
+      labelRuns++
+      return parity.value ? 'odd' : 'even'
+    })
+    let effectRuns = 0
+
+    $effect(() => {
+      effectRuns++
+      label.value
+    })
+
+    count.value = 3
+    flushSync()
+
+    expect(labelRuns).toBe(1)
+    expect(effectRuns).toBe(1)
+  })
+
+  test('$computed detects cycles', () => {
+    let b
+    const a = $computed(() => b.value + 1)
+    b = $computed(() => a.value + 1)
+
+    expect(() => a.value).toThrow(/циклическая зависимость/)
+  })
+})
+
+describe('watch()', () => {
+  test('passes new and old values', () => {
+    const count = $state(1)
+    const calls = []
+
+    watch(count, (value, oldValue) => calls.push([value, oldValue]))
+
+    count.value = 2
+    flushSync()
+    count.value = 3
+    flushSync()
+
+    expect(calls).toEqual([[2, 1], [3, 2]])
+  })
+
+  test('watches an array of sources', () => {
+    const a = $state(1)
+    const b = $state('x')
+    const calls = []
+
+    watch([a, () => b.value], (values, oldValues) => calls.push([values, oldValues]))
+
+    b.value = 'y'
+    flushSync()
+
+    expect(calls).toEqual([[[1, 'y'], [1, 'x']]])
+  })
+
+  test('deep option tracks nested mutations', () => {
+    const form = $state({ contact: { email: '' } })
+    let calls = 0
+
+    watch(form, () => calls++, { deep: true })
+
+    form.value.contact.email = 'a@b.c'
+    flushSync()
+
+    expect(calls).toBe(1)
+  })
+
+  test('immediate calls back at once', () => {
+    const query = $state('q')
+    const calls = []
+
+    watch(query, (value, oldValue) => calls.push([value, oldValue]), { immediate: true })
+
+    expect(calls).toEqual([['q', undefined]])
+  })
+
+  test('immediate calls back for undefined initial values', () => {
+    const user = $state(undefined)
+    const page = $state(undefined)
+    const calls = []
+
+    watch(user, value => calls.push(['single', value]), { immediate: true })
+    watch([user, page], values => calls.push(['multi', values]), { immediate: true })
+    expect(calls).toEqual([['single', undefined], ['multi', [undefined, undefined]]])
+
+    user.value = 'Ann'
+    flushSync()
+    expect(calls).toHaveLength(4)
+  })
+
+  test('flush: sync runs the callback on write', () => {
+    const count = $state(0)
+    let seen = null
+
+    watch(count, value => { seen = value }, { flush: 'sync' })
+
+    count.value = 5
+    expect(seen).toBe(5)
+  })
+
+  test('flush: post runs after effects', () => {
+    const count = $state(0)
+    const order = []
+
+    watch(count, () => order.push('watch'), { flush: 'post' })
+    $effect(() => {
+      if (count.value) order.push('effect')
+    })
+
+    count.value = 1
+    flushSync()
+
+    expect(order).toEqual(['effect', 'watch'])
+  })
+
+  test('once stops after the first call and stop handle works', () => {
+    const count = $state(0)
+    let onceCalls = 0
+    let calls = 0
+
+    watch(count, () => onceCalls++, { once: true, flush: 'sync' })
+    const stop = watch(count, () => calls++, { flush: 'sync' })
+
+    count.value = 1
+    stop()
+    count.value = 2
+
+    expect(onceCalls).toBe(1)
+    expect(calls).toBe(1)
+  })
+
+  test('does not call back when a computed source is unchanged', () => {
+    const count = $state(1)
+    const isPositive = $computed(() => count.value > 0)
+    let calls = 0
+
+    watch(isPositive, () => calls++)
+
+    count.value = 2
+    flushSync()
+
+    expect(calls).toBe(0)
+  })
+})
+
+describe('effectScope()', () => {
+  test('stop disposes effects, watchers and nested scopes', () => {
+    const count = $state(0)
+    let effectRuns = 0
+    let watchCalls = 0
+    let nestedRuns = 0
+
+    const scope = effectScope()
+    scope.run(() => {
+      $effect(() => {
+        count.value
+        effectRuns++
+      })
+      watch(count, () => watchCalls++, { flush: 'sync' })
+
+      effectScope().run(() => {
+        $effect(() => {
+          count.value
+          nestedRuns++
+        })
+      })
+    })
+
+    scope.stop()
+    count.value = 1
+    flushSync()
+
+    expect(effectRuns).toBe(1)
+    expect(watchCalls).toBe(0)
+    expect(nestedRuns).toBe(1)
+  })
+
+  test('onScopeDispose and onDestroy run on stop', () => {
+    const calls = []
+    const scope = effectScope()
+
+    scope.run(() => {
+      expect(getCurrentScope()).toBe(scope)
+      onScopeDispose(() => calls.push('dispose'))
+      onDestroy(() => calls.push('destroy'))
+    })
+
+    expect(getCurrentScope()).toBe(null)
+    scope.stop()
+
+    expect(calls).toEqual(['dispose', 'destroy'])
+  })
+
+  test('detached scope is not stopped by its parent', () => {
+    const count = $state(0)
+    let runs = 0
+
+    const parent = effectScope()
+    parent.run(() => {
+      effectScope(true).run(() => {
+        $effect(() => {
+          count.value
+          runs++
+        })
+      })
+    })
+
+    parent.stop()
+    count.value = 1
+    flushSync()
+
+    expect(runs).toBe(2)
+  })
+})
+
+describe('State variants', () => {
+  test('$readonly ignores writes but tracks reads', () => {
+    const store = $state({ user: { name: 'Ada' } })
+    const view = $readonly(store)
+    const warn = console.warn
+    console.warn = () => {}
+    let name = ''
+
+    $effect(() => {
+      name = view.value.user.name
+    })
+
+    view.value.user.name = 'Eve'
+    view.value = {}
+    console.warn = warn
+
+    expect(store.value.user.name).toBe('Ada')
+
+    store.value.user.name = 'Grace'
+    flushSync()
+    expect(name).toBe('Grace')
+  })
+
+  test('$shallowState tracks only replacement', () => {
+    const payload = $shallowState({ items: [1] })
+    let runs = 0
+
+    $effect(() => {
+      payload.value.items
+      runs++
+    })
+
+    payload.value.items.push(2)
+    flushSync()
+    expect(runs).toBe(1)
+
+    payload.value = { items: [] }
+    flushSync()
+    expect(runs).toBe(2)
+  })
+
+  test('toRaw and markRaw', () => {
+    const raw = { nested: {} }
+    const state = $state(raw)
+    expect(toRaw(state.value)).toBe(raw)
+
+    const big = markRaw({ rows: [] })
+    const holder = $state({ big })
+    expect(holder.value.big).toBe(big)
+  })
+})
+
+describe('Debugging', () => {
+  test('onTrack and onTrigger report dependencies and their changes', () => {
+    const count = $state(0, { name: 'count' })
+    const tracked = []
+    const triggered = []
+
+    const stop = $effect(() => count.value, {
+      onTrack: event => tracked.push(`${event.source.name}.${event.key}`),
+      onTrigger: event => triggered.push([event.type, event.oldValue, event.newValue])
+    })
+    count.value = 1
+    flushSync()
+    stop()
+
+    expect(tracked).toEqual(['count.value', 'count.value'])
+    expect(triggered).toEqual([['set', 0, 1]])
+  })
+
+  test('onTrigger fires for computed dependencies', () => {
+    const count = $state(0)
+    const triggered = []
+    const doubled = $computed(() => count.value * 2, {
+      onTrigger: event => triggered.push(event.key)
+    })
+    doubled.value
+
+    count.value = 1
+
+    expect(triggered).toEqual(['value'])
+  })
+
+  test('inspectGraph returns live nodes with edges', () => {
+    const scope = effectScope()
+    const todos = $state([{ done: false }], { name: 'todos' })
+    scope.run(() => {
+      const remaining = $computed(() => todos.value.filter(todo => !todo.done).length, { name: 'remaining' })
+      $effect(() => remaining.value, { name: 'title' })
+    })
+
+    const { nodes, edges } = inspectGraph()
+    const byName = name => nodes.find(node => node.name === name)
+
+    expect(byName('todos').value).toEqual([{ done: false }])
+    expect(byName('remaining')).toMatchObject({ type: 'computed', value: 1 })
+    expect(edges).toContainEqual({ from: byName('todos').id, to: byName('remaining').id, key: 'value' })
+    expect(edges).toContainEqual({ from: byName('remaining').id, to: byName('title').id, key: 'value' })
+
+    scope.stop()
+    const after = inspectGraph()
+    expect(after.nodes.find(node => node.name === 'title')).toBeUndefined()
+  })
+
+  test('onReactivityEvent reports every change', () => {
+    const user = $state({ name: 'Ann' }, { name: 'user' })
+    const events = []
+    const off = onReactivityEvent(event => events.push([event.name, event.oldValue, event.newValue]))
+
+    user.value.name = 'Bob'
+    user.value = { name: 'Eve' }
+    off()
+    user.value.name = 'Max'
+
+    expect(events[0][1]).toBe('Ann')
+    expect(events[0][2]).toBe('Bob')
+    expect(events[1][0]).toBe('user')
+    expect(events.length).toBe(2)
+  })
 })
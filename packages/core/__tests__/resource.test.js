@@ -0,0 +1,182 @@
+/**
+ * Tests for AspScript Resources
+ */
+
+import { $state, $computed, flushSync } from '../reactivity.js'
+import { $resource } from '../resource.js'
+import { Suspense } from '../lazy.js'
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+function deferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+  return { promise, resolve, reject }
+}
+
+describe('$resource', () => {
+  test('exposes value, loading and error', async () => {
+    const request = deferred()
+    const user = $resource(() => request.promise, { initial: null })
+
+    expect(user.value).toBe(null)
+    expect(user.loading).toBe(true)
+
+    request.resolve({ name: 'Ann' })
+    await tick()
+
+    expect(user.loading).toBe(false)
+    expect(user.value).toEqual({ name: 'Ann' })
+    expect(user.error).toBe(null)
+    user.stop()
+  })
+
+  test('stores errors', async () => {
+    const user = $resource(() => Promise.reject(new Error('404')))
+    await tick()
+
+    expect(user.loading).toBe(false)
+    expect(user.error.message).toBe('404')
+    user.stop()
+  })
+
+  test('aborts stale requests when the key changes', async () => {
+    const id = $state(1)
+    const requests = []
+    const user = $resource(({ key, signal }) => {
+      const request = deferred()
+      requests.push({ key, signal, request })
+      return request.promise
+    }, { key: () => id.value })
+
+    id.value = 2
+    flushSync()
+
+    expect(requests.map(r => r.key)).toEqual([1, 2])
+    expect(requests[0].signal.aborted).toBe(true)
+
+    requests[1].request.resolve('second')
+    requests[0].request.resolve('first')
+    await tick()
+
+    expect(user.value).toBe('second')
+    user.stop()
+  })
+
+  test('resets loading when stopped during a request', async () => {
+    const request = deferred()
+    let signal
+    const user = $resource(options => {
+      signal = options.signal
+      return request.promise
+    })
+    expect(user.loading).toBe(true)
+
+    user.stop()
+    expect(signal.aborted).toBe(true)
+    expect(user.loading).toBe(false)
+
+    request.resolve('late')
+    await tick()
+    expect(user.loading).toBe(false)
+    expect(user.value).toBe(undefined)
+  })
+
+  test('skips loading while the key is empty', () => {
+    const id = $state(null)
+    const calls = []
+    const user = $resource(({ key }) => calls.push(key), { key: id })
+
+    expect(calls).toEqual([])
+    expect(user.loading).toBe(false)
+
+    id.value = 5
+    flushSync()
+
+    expect(calls).toEqual([5])
+    user.stop()
+  })
+
+  test('tracks dependencies read by the fetcher', async () => {
+    const page = $state(1)
+    const list = $resource(() => Promise.resolve(`page ${page.value}`))
+
+    page.value = 2
+    flushSync()
+    await tick()
+
+    expect(list.value).toBe('page 2')
+    list.stop()
+  })
+
+  test('refetch reloads with the current key', async () => {
+    let count = 0
+    const counter = $resource(() => Promise.resolve(++count))
+    await tick()
+
+    await counter.refetch()
+
+    expect(counter.value).toBe(2)
+    counter.stop()
+  })
+})
+
+describe('async $computed', () => {
+  test('resolves into a resource', async () => {
+    const id = $state(1)
+    const user = $computed(async ({ signal }) => {
+      const userId = id.value
+      await tick()
+      return signal.aborted ? null : `user ${userId}`
+    })
+
+    expect(user.loading).toBe(true)
+    await tick()
+    await tick()
+
+    expect(user.value).toBe('user 1')
+    user.stop()
+  })
+})
+
+describe('Suspense', () => {
+  const text = value => () => ({ render: () => value })
+
+  test('shows the fallback until resources load', async () => {
+    const request = deferred()
+    let resource
+    const Profile = () => {
+      resource = $resource(() => request.promise)
+      return { render: () => `Hello, ${resource.value}` }
+    }
+
+    const instance = Suspense({ fallback: text('Loading') })(Profile)()
+    expect(instance.render()).toBe('Loading')
+
+    request.resolve('Ann')
+    await tick()
+
+    expect(instance.render()).toBe('Hello, Ann')
+
+    // Повторная загрузка не возвращает fallback
+    resource.refetch()
+    expect(instance.render()).toBe('Hello, Ann')
+    resource.stop()
+  })
+
+  test('renders the error component when a resource fails', async () => {
+    const Profile = () => {
+      $resource(() => Promise.reject(new Error('offline')))
+      return { render: () => 'profile' }
+    }
+    const ErrorView = ({ error }) => ({ render: () => `Error: ${error.message}` })
+
+    const instance = Suspense({ fallback: text('Loading'), error: ErrorView })(Profile)()
+    await tick()
+
+    expect(instance.render()).toBe('Error: offline')
+  })
+})
@@ -0,0 +1,232 @@
+/**
+ * Tests for AspScript Stores
+ */
+
+import { $effect, effectScope, flushSync } from '../reactivity.js'
+import { createMemoryStorage } from '../persist.js'
+import {
+  defineStore,
+  useStorePlugin,
+  createPersistPlugin,
+  serializeStores,
+  hydrateStores,
+  collectStores
+} from '../store.js'
+import { renderToString, renderWithData } from '../ssr.js'
+import { renderWithData as renderAppWithData } from '../index.js'
+
+const useCounter = defineStore('counter', {
+  state: () => ({ count: 0, user: { name: 'Ann', role: 'admin' } }),
+  getters: {
+    double: state => state.count * 2
+  },
+  actions: {
+    increment(by = 1) {
+      this.count += by
+      return this.count
+    },
+    fail() {
+      throw new Error('boom')
+    }
+  }
+})
+
+afterEach(() => {
+  useCounter().$dispose()
+})
+
+describe('defineStore', () => {
+  test('returns the same store instance', () => {
+    expect(useCounter()).toBe(useCounter())
+  })
+
+  test('exposes state, getters and actions', () => {
+    const store = useCounter()
+
+    expect(store.count).toBe(0)
+    expect(store.increment(2)).toBe(2)
+    expect(store.double).toBe(4)
+    expect(store.$state.count).toBe(2)
+  })
+
+  test('state is reactive', () => {
+    const store = useCounter()
+    const seen = []
+    const stop = $effect(() => seen.push(store.double))
+
+    store.count = 5
+    flushSync()
+    stop()
+
+    expect(seen).toEqual([0, 10])
+  })
+
+  test('$patch merges objects and accepts functions', () => {
+    const store = useCounter()
+
+    store.$patch({ count: 3, user: { name: 'Bob' } })
+    expect(store.count).toBe(3)
+    expect(store.user).toEqual({ name: 'Bob', role: 'admin' })
+
+    store.$patch(state => { state.count++ })
+    expect(store.count).toBe(4)
+  })
+
+  test('$reset restores the initial state', () => {
+    const store = useCounter()
+    store.$patch({ count: 7, user: { name: 'Bob' } })
+
+    store.$reset()
+
+    expect(store.count).toBe(0)
+    expect(store.user.name).toBe('Ann')
+  })
+
+  test('$subscribe reports one mutation per $patch', () => {
+    const store = useCounter()
+    const mutations = []
+    store.$subscribe(mutation => mutations.push(mutation.type))
+
+    store.$patch({ count: 1, user: { name: 'Bob' } })
+    store.$patch(state => { state.count++ })
+    store.count = 3
+    flushSync()
+
+    expect(mutations).toEqual(['patch object', 'patch function', 'direct'])
+  })
+
+  test('$subscribe stops with the surrounding scope', () => {
+    const store = useCounter()
+    const calls = []
+    const scope = effectScope()
+    scope.run(() => store.$subscribe(() => calls.push(store.count)))
+
+    scope.stop()
+    store.count = 1
+    flushSync()
+
+    expect(calls).toEqual([])
+  })
+
+  test('$onAction exposes after and onError hooks', () => {
+    const store = useCounter()
+    const log = []
+    store.$onAction(({ name, args, after, onError }) => {
+      log.push(`${name}(${args.join(',')})`)
+      after(result => log.push(`after ${result}`))
+      onError(error => log.push(`error ${error.message}`))
+    })
+
+    store.increment(5)
+    expect(() => store.fail()).toThrow('boom')
+
+    expect(log).toEqual(['increment(5)', 'after 5', 'fail()', 'error boom'])
+  })
+
+  test('$onAction waits for async actions', async () => {
+    const useAsync = defineStore('async', {
+      state: () => ({ items: [] }),
+      actions: {
+        async load() {
+          await Promise.resolve()
+          this.items = ['a']
+          return this.items.length
+        }
+      }
+    })
+    const store = useAsync()
+    const results = []
+    store.$onAction(({ after }) => after(result => results.push(result)))
+
+    await store.load()
+    store.$dispose()
+
+    expect(results).toEqual([1])
+  })
+})
+
+describe('Store plugins', () => {
+  test('plugins can extend stores', () => {
+    useStorePlugin(({ id }) => ({ label: `store:${id}` }))
+
+    expect(useCounter().label).toBe('store:counter')
+  })
+
+  test('persist plugin saves stores with the persist option', async () => {
+    const storage = createMemoryStorage({
+      'aspscript:store:prefs': JSON.stringify({ version: 0, state: { theme: 'dark' } })
+    })
+    useStorePlugin(createPersistPlugin())
+    const usePrefs = defineStore('prefs', {
+      state: () => ({ theme: 'light' }),
+      persist: { storage, debounce: 0 }
+    })
+
+    const prefs = usePrefs()
+    expect(prefs.theme).toBe('dark')
+
+    prefs.theme = 'blue'
+    flushSync()
+    await new Promise(resolve => setTimeout(resolve, 10))
+    prefs.$dispose()
+
+    expect(JSON.parse(storage.getItem('aspscript:store:prefs')).state.theme).toBe('blue')
+  })
+})
+
+describe('Store SSR', () => {
+  test('serializes and hydrates state', () => {
+    const store = useCounter()
+    store.increment(4)
+    const data = JSON.parse(JSON.stringify(serializeStores()))
+    store.$dispose()
+
+    hydrateStores(data)
+
+    expect(useCounter().count).toBe(4)
+  })
+
+  test('isolates stores between sequential server renders', () => {
+    const useVisits = defineStore('visits', { state: () => ({ count: 0 }) })
+    const App = () => {
+      const visits = useVisits()
+      visits.count++
+      return { render: () => `<p>${visits.count}</p>` }
+    }
+
+    expect(renderToString(App)).toBe('<p>1</p>')
+    expect(renderToString(App)).toBe('<p>1</p>')
+    expect(serializeStores().visits).toBeUndefined()
+    expect(renderWithData(App)).toContain('"stores":{"visits":{"count":1}}')
+  })
+
+  test('escapes store state embedded into the data script', () => {
+    const usePost = defineStore('post', { state: () => ({ title: '</script><script>alert(1)</script>\u2028&' }) })
+    const App = () => {
+      const post = usePost()
+      return { render: () => `<h1>${post.title.length}</h1>` }
+    }
+
+    for (const render of [renderWithData, renderAppWithData]) {
+      const html = render(App)
+      const data = html.slice(html.indexOf('__ASPSCRIPT_DATA__ = ') + 21, html.lastIndexOf(';'))
+
+      expect(html.match(/<\/script>/g)).toHaveLength(1)
+      expect(data).not.toMatch(/[<>&\u2028]/)
+      expect(JSON.parse(data).stores.post.title).toBe('</script><script>alert(1)</script>\u2028&')
+    }
+  })
+
+  test('collectStores returns the state of the render stores', () => {
+    const useCart = defineStore('cart', { state: () => ({ items: [] }) })
+
+    const { result, stores } = collectStores(() => {
+      useCart().items.push('book')
+      return collectStores(() => useCart().items.length).result
+    })
+
+    expect(result).toBe(1)
+    expect(stores.cart).toEqual({ items: ['book'] })
+    expect(useCart().items).toEqual([])
+  })
+})
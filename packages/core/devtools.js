@@ -4,6 +4,7 @@
  */
 
 import { isBrowser } from './index.js'
+import { inspectGraph, onReactivityEvent } from './reactivity.js'
 
 // Глобальное состояние DevTools
 const devtoolsState = {
@@ -219,6 +220,13 @@ export const devtoolsApi = {
     })
   },
 
+  /**
+   * Возвращает граф зависимостей: состояния, вычисляемые свойства, эффекты и связи
+   */
+  inspectGraph() {
+    return inspectGraph()
+  },
+
   /**
    * Получает историю реактивности
    */
@@ -319,6 +327,12 @@ export function withDevTools(Component) {
   }
 }
 
+// Изменения состояния приходят из системы реактивности,
+// вызывать trackReactivity вручную не нужно
+onReactivityEvent(({ name, oldValue, newValue }) => {
+  devtoolsApi.trackReactivity(name, oldValue, newValue)
+})
+
 // Автоматически включаем DevTools в dev режиме
 if (isBrowser() && (process.env.NODE_ENV === 'development' || window.location.hostname === 'localhost')) {
   devtoolsApi.enable()
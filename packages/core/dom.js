@@ -0,0 +1,926 @@
+/**
+ * AspScript DOM Runtime
+ * Помощники для скомпилированного кода: клонирование статических шаблонов
+ * и точечное обновление текстовых узлов, атрибутов и блоков
+ *
+ * Компилятор выносит статическую разметку в template(), а для каждой
+ * привязки создает отдельный $effect. При изменении состояния обновляется
+ * только зависящий от него узел - остальной DOM, фокус и ввод сохраняются.
+ */
+
+import { $state, $effect, effectScope, getCurrentScope, onScopeDispose, untrack } from './reactivity.js'
+
+const isDev = globalThis.process?.env?.NODE_ENV !== 'production'
+
+/**
+ * Создает фабрику DOM из статического HTML
+ * HTML разбирается один раз при первом вызове, дальше узлы клонируются
+ * @param {string} html - статическая разметка
+ * @returns {Function} () => Node (элемент или DocumentFragment при нескольких корнях и для якоря)
+ */
+export function template(html) {
+  let content = null
+
+  return () => {
+    if (!content) {
+      const element = globalThis.document.createElement('template')
+      element.innerHTML = html
+      // Одиночный якорь блока (<!>) остается во фрагменте: блок вставляет
+      // содержимое перед ним, и у якоря должен быть родитель
+      const { childNodes, firstChild } = element.content
+      content = childNodes.length === 1 && firstChild.nodeType !== 8
+        ? firstChild
+        : element.content
+    }
+    return content.cloneNode(true)
+  }
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+const TRUSTED_HTML = Symbol('trustedHTML')
+
+/**
+ * Экранирует значение для вставки в HTML: {expr} в строковом режиме и SSR
+ * @param {any} value - значение; null и undefined дают пустую строку
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  if (value == null) return ''
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+}
+
+// Символы, которые закрывают <script> или ломают его разбор, как \uXXXX
+const SCRIPT_ESCAPES = { '<': '\\u003c', '>': '\\u003e', '&': '\\u0026', '\u2028': '\\u2028', '\u2029': '\\u2029' }
+
+/**
+ * JSON для встроенного <script>: строка с </script> из данных пользователя
+ * не закрывает тег
+ * @param {any} value - сериализуемое значение
+ * @returns {string}
+ */
+export function serializeScriptData(value) {
+  return JSON.stringify(value).replace(/[<>&\u2028\u2029]/g, char => SCRIPT_ESCAPES[char])
+}
+
+/**
+ * Помечает разметку как проверенную для {@html}
+ * @param {string} html - разметка из доверенного источника
+ * @returns {Object} значение для {@html}
+ */
+export function trustHTML(html) {
+  return Object.freeze({
+    [TRUSTED_HTML]: true,
+    html: html == null ? '' : String(html),
+    toString() { return this.html }
+  })
+}
+
+/**
+ * Проверяет, помечено ли значение trustHTML() (или это TrustedHTML браузера)
+ * @param {any} value - значение
+ * @returns {boolean}
+ */
+export function isTrustedHTML(value) {
+  if (value?.[TRUSTED_HTML] === true) return true
+  return typeof globalThis.TrustedHTML === 'function' && value instanceof globalThis.TrustedHTML
+}
+
+/**
+ * Значение {@html} в строку разметки. Непомеченная строка тоже вставляется,
+ * но в dev-режиме предупреждение показывает, откуда в DOM попадает непроверенный HTML
+ * @param {any} value - trustHTML(...) или строка
+ * @returns {string}
+ */
+export function renderHtml(value) {
+  if (value == null) return ''
+  if (isTrustedHTML(value)) return String(value)
+
+  const html = String(value)
+  if (isDev && html) {
+    const preview = html.length > 40 ? `${html.slice(0, 40)}...` : html
+    console.warn(`[AspScript] {@html} получил значение, не помеченное trustHTML(): "${preview}". Разметка вставляется без экранирования - пометьте проверенный HTML через trustHTML() или используйте {expr}`)
+  }
+  return html
+}
+
+/**
+ * Обновляет текстовый узел, если значение изменилось
+ * @param {Text} node - текстовый узел
+ * @param {any} value - новое значение
+ */
+export function setText(node, value) {
+  const text = value == null ? '' : String(value)
+  if (node.data !== text) {
+    node.data = text
+  }
+}
+
+/**
+ * Устанавливает атрибут; null, undefined и false удаляют его
+ * @param {Element} element - элемент
+ * @param {string} name - имя атрибута
+ * @param {any} value - значение
+ */
+export function setAttribute(element, name, value) {
+  if (value == null || value === false) {
+    element.removeAttribute(name)
+  } else {
+    const text = value === true ? '' : String(value)
+    if (element.getAttribute(name) === text) return
+    element.setAttribute(name, text)
+  }
+
+  // :style заменяет атрибут целиком - переменные bind() возвращаются
+  if (name === 'style') applyCssVars(element)
+}
+
+/**
+ * Устанавливает DOM-свойство (value, checked, selected...)
+ * Одинаковое значение не перезаписывается, чтобы не сбивать курсор в поле ввода
+ * @param {Element} element - элемент
+ * @param {string} name - имя свойства
+ * @param {any} value - значение
+ */
+export function setProperty(element, name, value) {
+  // Исходное значение :value нужно #bind для option, checkbox и radio
+  if (name === 'value') element._value = value
+
+  const next = name === 'value' ? (value == null ? '' : String(value)) : value
+  if (element[name] !== next) {
+    element[name] = next
+  }
+}
+
+/**
+ * Приводит значение :class к строке
+ * @param {string|Array|Object} value - 'a b', ['a', { b: true }] или { a: true, b: false }
+ * @returns {string} список классов
+ */
+export function normalizeClass(value) {
+  if (!value) return ''
+  if (typeof value === 'string') return value.trim()
+  if (Array.isArray(value)) {
+    return value.map(normalizeClass).filter(Boolean).join(' ')
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).filter(name => value[name]).join(' ')
+  }
+  return String(value)
+}
+
+/**
+ * Приводит значение :style к строке
+ * @param {string|Array|Object} value - 'color: red', { fontSize: '12px' } или массив
+ * @returns {string} CSS-декларации
+ */
+export function normalizeStyle(value) {
+  if (!value) return ''
+  if (typeof value === 'string') return value.trim().replace(/;$/, '')
+  if (Array.isArray(value)) {
+    return value.map(normalizeStyle).filter(Boolean).join('; ')
+  }
+  return Object.entries(value)
+    .filter(([, declaration]) => declaration != null && declaration !== false && declaration !== '')
+    .map(([property, declaration]) => {
+      const name = property.startsWith('--') ? property : property.replace(/[A-Z]/g, char => '-' + char.toLowerCase())
+      return `${name}: ${declaration}`
+    })
+    .join('; ')
+}
+
+/**
+ * Подписывает обработчик события
+ * @param {EventTarget} element - элемент
+ * @param {string} event - имя события
+ * @param {Function} handler - обработчик
+ * @param {Object|boolean} [options] - опции addEventListener
+ * @returns {Function} функция отписки
+ */
+export function listen(element, event, handler, options) {
+  element.addEventListener(event, handler, options)
+  return () => element.removeEventListener(event, handler, options)
+}
+
+/**
+ * Двусторонняя привязка элемента формы (#bind)
+ *
+ * По типу элемента выбирается свойство и событие:
+ * - input, textarea - value, событие input (change с .lazy)
+ * - checkbox - checked; если состояние массив или Set - наличие value в нем
+ * - radio - checked, когда value совпадает с состоянием
+ * - select - выбранный option, для multiple - массив значений
+ * - contenteditable - textContent
+ *
+ * Значение option, checkbox и radio из :value сохраняет исходный тип.
+ *
+ * @param {Element} element - элемент
+ * @param {string} property - 'value' или явное свойство (#bind:checked, #bind:innerHTML)
+ * @param {Function} get - () => значение состояния
+ * @param {Function} set - (value) => void
+ * @param {Object} [modifiers] - { lazy, number, trim }
+ */
+export function bindProperty(element, property, get, set, modifiers = {}) {
+  $effect(() => syncBinding(element, property, get(), modifiers))
+  observeBinding(element, property, value => set(value), modifiers, get)
+
+  // Новые option (например, из {#for}) выбираются по текущему значению
+  if (element.nodeName === 'SELECT' && typeof MutationObserver !== 'undefined') {
+    const observer = new MutationObserver(() => syncBinding(element, property, untrack(get), modifiers))
+    observer.observe(element, { childList: true, subtree: true })
+    if (getCurrentScope()) onScopeDispose(() => observer.disconnect())
+  }
+}
+
+/**
+ * Записывает значение состояния в элемент
+ * @param {Element} element - элемент
+ * @param {string} property - привязанное свойство
+ * @param {any} value - значение состояния
+ * @param {Object} [modifiers] - { lazy, number, trim }
+ */
+export function syncBinding(element, property, value, modifiers = {}) {
+  switch (getBindingKind(element, property)) {
+    case 'checkbox':
+      element.checked = isCollection(value) ? hasValue(value, getValue(element)) : Boolean(value)
+      break
+    case 'radio':
+      element.checked = sameValue(value, getValue(element))
+      break
+    case 'select':
+      if (element.multiple) {
+        Array.from(element.options).forEach(option => {
+          option.selected = isCollection(value) && hasValue(value, getValue(option))
+        })
+      } else {
+        const index = Array.from(element.options).findIndex(option => sameValue(getValue(option), value))
+        if (element.selectedIndex !== index) element.selectedIndex = index
+      }
+      break
+    case 'text': {
+      // Введенное "1.0" или " a " не заменяется на 1 и "a", пока совпадает по значению
+      if (element.value !== '' && castValue(element, element.value, modifiers) === value) break
+      setProperty(element, 'value', value)
+      break
+    }
+    case 'editable': {
+      const text = value == null ? '' : String(value)
+      if (element.textContent !== text) element.textContent = text
+      break
+    }
+    default: {
+      const next = value == null ? '' : value
+      if (element[property] !== next) element[property] = next
+    }
+  }
+}
+
+/**
+ * Подписывается на ввод пользователя
+ * @param {Element} element - элемент
+ * @param {string} property - привязанное свойство
+ * @param {Function} set - (value) => void
+ * @param {Object} [modifiers] - { lazy, number, trim }
+ * @param {Function} [get] - текущее значение (для checkbox с массивом)
+ * @returns {Function} функция отписки
+ */
+export function observeBinding(element, property, set, modifiers = {}, get) {
+  const kind = getBindingKind(element, property)
+  const event = kind === 'checkbox' || kind === 'radio' || kind === 'select'
+    ? 'change'
+    : (modifiers.lazy ? 'change' : 'input')
+
+  return listen(element, event, () => {
+    switch (kind) {
+      case 'checkbox': {
+        const current = get ? untrack(get) : null
+        if (!isCollection(current)) {
+          set(element.checked)
+          break
+        }
+        const value = getValue(element)
+        const values = Array.from(current).filter(item => !sameValue(item, value))
+        if (element.checked) values.push(value)
+        set(current instanceof Set ? new Set(values) : values)
+        break
+      }
+      case 'radio':
+        if (element.checked) set(getValue(element))
+        break
+      case 'select': {
+        const selected = Array.from(element.options)
+          .filter(option => option.selected)
+          .map(option => castValue(element, getValue(option), modifiers))
+        set(element.multiple ? selected : selected[0])
+        break
+      }
+      case 'text':
+        set(castValue(element, element.value, modifiers))
+        break
+      case 'editable':
+        set(castValue(element, element.textContent, modifiers))
+        break
+      default:
+        set(castValue(element, element[property], modifiers))
+    }
+  })
+}
+
+function getBindingKind(element, property) {
+  if (property !== 'value' && property !== 'checked') return 'property'
+
+  const tag = element.nodeName
+  const type = element.type
+  if (tag === 'INPUT' && type === 'checkbox') return 'checkbox'
+  if (tag === 'INPUT' && type === 'radio') return 'radio'
+  if (property === 'checked') return 'property'
+  if (tag === 'SELECT') return 'select'
+  if (tag === 'INPUT' || tag === 'TEXTAREA') return 'text'
+  if (element.isContentEditable || (element.hasAttribute?.('contenteditable') && element.getAttribute('contenteditable') !== 'false')) {
+    return 'editable'
+  }
+  return 'text'
+}
+
+// Исходное значение из :value (см. setProperty) или строка из DOM
+function getValue(element) {
+  return '_value' in element ? element._value : element.value
+}
+
+function castValue(element, value, modifiers) {
+  if (typeof value !== 'string') return value
+  if (modifiers.trim) value = value.trim()
+  if (modifiers.number || element.type === 'number' || element.type === 'range') {
+    const number = parseFloat(value)
+    return Number.isNaN(number) ? value : number
+  }
+  return value
+}
+
+function isCollection(value) {
+  return Array.isArray(value) || value instanceof Set
+}
+
+function hasValue(collection, value) {
+  return Array.from(collection).some(item => sameValue(item, value))
+}
+
+// 1 и "1" из атрибута value считаются одним значением
+function sameValue(a, b) {
+  if (a === b) return true
+  if (a == null || b == null || typeof a === 'object' || typeof b === 'object') return false
+  return String(a) === String(b)
+}
+
+/**
+ * Ссылка на элемент или экземпляр компонента (bind:this): устанавливается при создании
+ * и сбрасывается в null при удалении
+ * @param {Element|Object} element - элемент или экземпляр
+ * @param {Function} set - (value | null) => void
+ */
+export function bindThis(element, set) {
+  set(element)
+  if (getCurrentScope()) onScopeDispose(() => set(null))
+}
+
+// ============================================================================
+// БЛОКИ
+// ============================================================================
+
+/**
+ * Вставляет результат render перед якорем в собственном effectScope
+ * Остановка scope удаляет вставленные узлы и эффекты вложенных привязок
+ * @returns {Object} { nodes, stop } - вставленные узлы и остановка блока
+ */
+function mount(anchor, owner, render) {
+  const scope = owner?.active ? owner.run(() => effectScope()) : effectScope()
+  const nodes = toNodes(untrack(() => scope.run(render)))
+
+  const parent = anchor.parentNode
+  nodes.forEach(node => parent.insertBefore(node, anchor))
+
+  scope.run(() => onScopeDispose(() => {
+    nodes.forEach(node => node.parentNode?.removeChild(node))
+  }))
+  return { nodes, stop: () => scope.stop() }
+}
+
+function toNodes(value) {
+  if (value == null || typeof value === 'boolean') return []
+  if (Array.isArray(value)) return value.flatMap(toNodes)
+  // DocumentFragment отдает узлы при вставке, поэтому список берется заранее
+  if (value.nodeType === 11) return Array.from(value.childNodes)
+  if (value.nodeType) return [value]
+  return [globalThis.document.createTextNode(String(value))]
+}
+
+/**
+ * Условный блок {#if}...{:else if}...{:else}...{/if}
+ * Ветка пересоздается только при смене выбранной ветки
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} select - () => индекс ветки или -1
+ * @param {Array<Function>} branches - фабрики веток
+ */
+export function ifBlock(anchor, select, branches) {
+  const owner = getCurrentScope()
+  let index = -1
+  let current = null
+
+  $effect(() => {
+    const next = select()
+    if (next === index) return
+
+    index = next
+    current?.stop()
+    current = next >= 0 ? mount(anchor, owner, branches[next]) : null
+  })
+}
+
+/**
+ * Цикл {#for}/{#each} с веткой {:else} для пустого списка
+ *
+ * Строки сопоставляются по ключу: новые создаются, удаленные уничтожаются,
+ * переставленные переносятся без пересоздания. Переносятся только строки
+ * вне наибольшей возрастающей подпоследовательности старых позиций, поэтому
+ * число перемещений DOM минимально. Без getKey ключ - позиция.
+ *
+ * Аргументы renderItem - состояния с элементом и индексом (или ключом объекта
+ * и Map): новый объект под тем же ключом (неизменяемое обновление) и
+ * перестановка меняют только их, а не всю строку.
+ *
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getList - () => массив, итерируемый объект, Map или объект
+ * @param {Function} renderItem - (item, index) => Node, item и index - { value }
+ * @param {Function|null} [renderEmpty] - фабрика ветки {:else}
+ * @param {Function} [getKey] - (item, index) => ключ строки
+ */
+export function eachBlock(anchor, getList, renderItem, renderEmpty, getKey) {
+  const owner = getCurrentScope()
+  let rows = []
+  let empty = null
+
+  $effect(() => {
+    const entries = listEntries(getList())
+    const keys = getKeys(entries, getKey)
+
+    untrack(() => {
+      const previous = new Map(rows.map((row, position) => [row.key, position]))
+      const next = entries.map(([item, index], i) => {
+        const position = previous.get(keys[i])
+        if (position === undefined) {
+          return { row: null, key: keys[i], item, index, position: -1 }
+        }
+
+        const row = rows[position]
+        previous.delete(keys[i])
+        row.item.value = item
+        row.index.value = index
+        return { row, position }
+      })
+
+      previous.forEach(position => rows[position].stop())
+      empty?.stop()
+      empty = null
+
+      // Строки из подпоследовательности остаются на месте, остальные вставляются перед следующей
+      const stable = longestIncreasingSubsequence(next.map(entry => entry.position))
+      let reference = anchor
+      for (let i = next.length - 1; i >= 0; i--) {
+        const entry = next[i]
+        if (!entry.row) {
+          entry.row = createRow(reference, owner, entry, renderItem)
+        } else if (!stable.has(i)) {
+          moveRow(entry.row, reference)
+        }
+        reference = entry.row.start
+      }
+
+      rows = next.map(entry => entry.row)
+      if (rows.length === 0 && renderEmpty) {
+        empty = mount(anchor, owner, renderEmpty)
+      }
+    })
+  })
+}
+
+/**
+ * Элементы источника цикла в виде пар [значение, индекс или ключ]
+ * @param {any} value - массив, итерируемый объект, Map, объект или null
+ * @returns {Array} [[item, index], ...]
+ */
+export function listEntries(value) {
+  if (value == null) return []
+  // slice() читает все элементы, и эффект подписывается на каждый
+  if (Array.isArray(value)) return value.slice().map((item, index) => [item, index])
+  if (value instanceof Map) return Array.from(value, ([key, item]) => [item, key])
+  if (typeof value[Symbol.iterator] === 'function') return Array.from(value, (item, index) => [item, index])
+  if (typeof value === 'object') return Object.keys(value).map(key => [value[key], key])
+
+  if (isDev) {
+    console.warn('[AspScript] {#for} ожидает массив, итерируемый объект, Map или объект, получено:', value)
+  }
+  return []
+}
+
+/**
+ * Диапазон {#for n in 1..5}: целые числа от start до end включительно
+ * @param {number} start - первое число
+ * @param {number} end - последнее число
+ * @returns {Array<number>}
+ */
+export function createRange(start, end) {
+  const length = Math.max(0, Math.floor(end - start) + 1)
+  return Array.from({ length }, (_, index) => start + index)
+}
+
+/**
+ * Цикл строкового режима: HTML строк или ветки {:else}
+ * @param {any} value - источник цикла (см. listEntries)
+ * @param {Function} render - (item, index) => string
+ * @param {Function} [renderEmpty] - () => string
+ * @returns {string}
+ */
+export function renderEach(value, render, renderEmpty) {
+  const entries = listEntries(value)
+  if (entries.length === 0) return renderEmpty ? renderEmpty() : ''
+  return entries.map(([item, index]) => render(item, index)).join('')
+}
+
+function getKeys(entries, getKey) {
+  if (!getKey) return entries.map((entry, position) => position)
+
+  const seen = new Set()
+  return entries.map(([item, index]) => {
+    const key = getKey(item, index)
+    if (!seen.has(key)) {
+      seen.add(key)
+      return key
+    }
+
+    if (isDev) {
+      console.warn(`[AspScript] Повторяющийся ключ ${String(key)} в {#for}: строки с одинаковым ключом пересоздаются при каждом обновлении`)
+    }
+    return Symbol(String(key))
+  })
+}
+
+// Строка цикла: комментарий-начало и узлы строки, вставленные перед reference
+function createRow(reference, owner, entry, renderItem) {
+  const start = globalThis.document.createComment('')
+  const item = $state(entry.item)
+  const index = $state(entry.index)
+  const { nodes, stop } = mount(reference, owner, () => [start, renderItem(item, index)])
+
+  return { key: entry.key, item, index, start, nodes, stop }
+}
+
+// Переносит узлы строки от start до последнего узла, включая содержимое вложенных блоков
+function moveRow(row, reference) {
+  const parent = reference.parentNode
+  const end = row.nodes[row.nodes.length - 1]
+
+  let node = row.start
+  while (node) {
+    const next = node === end ? null : node.nextSibling
+    parent.insertBefore(node, reference)
+    node = next
+  }
+}
+
+/**
+ * Индексы наибольшей возрастающей подпоследовательности (позиции -1 пропускаются)
+ * @param {Array<number>} positions - старые позиции в новом порядке
+ * @returns {Set<number>}
+ */
+function longestIncreasingSubsequence(positions) {
+  const tails = []
+  const previous = new Array(positions.length)
+
+  positions.forEach((position, i) => {
+    if (position < 0) return
+
+    let low = 0
+    let high = tails.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      if (positions[tails[middle]] < position) low = middle + 1
+      else high = middle
+    }
+
+    previous[i] = low > 0 ? tails[low - 1] : -1
+    tails[low] = i
+  })
+
+  const result = new Set()
+  let i = tails.length > 0 ? tails[tails.length - 1] : -1
+  while (i >= 0) {
+    result.add(i)
+    i = previous[i]
+  }
+  return result
+}
+
+/**
+ * Блок {#await promise}...{:then value}...{:catch error}...{/await}
+ * Результат устаревшего промиса игнорируется
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getPromise - () => Promise или значение
+ * @param {Function|null} pending - фабрика состояния ожидания
+ * @param {Function|null} resolved - (value) => Node
+ * @param {Function|null} rejected - (error) => Node
+ */
+export function awaitBlock(anchor, getPromise, pending, resolved, rejected) {
+  const owner = getCurrentScope()
+  let current = null
+  let token = 0
+
+  const show = (render, value) => {
+    if (owner && !owner.active) return
+    current?.stop()
+    current = render ? mount(anchor, owner, () => render(value)) : null
+  }
+
+  $effect(() => {
+    const promise = getPromise()
+    const id = ++token
+
+    if (typeof promise?.then !== 'function') {
+      show(resolved, promise)
+      return
+    }
+
+    show(pending)
+    promise.then(
+      value => id === token && show(resolved, value),
+      error => {
+        if (id !== token) return
+        if (!rejected) console.error('[AspScript] Необработанная ошибка в {#await}:', error)
+        show(rejected, error)
+      }
+    )
+  })
+}
+
+/**
+ * Блок {#key expr}...{/key}: содержимое пересоздается при смене значения
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getKey - () => ключ
+ * @param {Function} render - фабрика содержимого
+ */
+export function keyBlock(anchor, getKey, render) {
+  const owner = getCurrentScope()
+  let key = {}
+  let current = null
+
+  $effect(() => {
+    const next = getKey()
+    if (current && Object.is(next, key)) return
+
+    key = next
+    current?.stop()
+    current = mount(anchor, owner, render)
+  })
+}
+
+/**
+ * Слот: содержимое из componentProps.slots или запасное содержимое
+ * Строки вставляются как HTML, функции вызываются для получения узлов
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getContent - () => содержимое слота
+ * @param {string} [scopeId] - атрибут для :slotted() в стилях компонента со слотом
+ */
+export function slotBlock(anchor, getContent, scopeId) {
+  const owner = getCurrentScope()
+  let current = null
+
+  $effect(() => {
+    const content = getContent()
+
+    current?.stop()
+    current = mount(anchor, owner, () => {
+      const nodes = resolveSlotContent(content)
+      return scopeId ? setScopeId(nodes, scopeId) : nodes
+    })
+  })
+}
+
+/**
+ * Ставит атрибут scope на элементы содержимого и их потомков
+ * Используется для :slotted(): содержимое слота создано родителем и несет его scope
+ * @param {*} content - узел, DocumentFragment или массив; строки возвращаются как есть
+ * @param {string} scopeId - имя атрибута
+ * @returns {*} то же содержимое
+ */
+export function setScopeId(content, scopeId) {
+  if (Array.isArray(content)) {
+    content.forEach(item => setScopeId(item, scopeId))
+  } else if (content?.nodeType === 1 || content?.nodeType === 11) {
+    if (content.nodeType === 1) content.setAttribute(scopeId, '')
+    content.querySelectorAll('*').forEach(element => element.setAttribute(scopeId, ''))
+  }
+  return content
+}
+
+function resolveSlotContent(content) {
+  if (typeof content === 'function') return resolveSlotContent(content())
+  if (typeof content === 'string') {
+    const element = globalThis.document.createElement('template')
+    element.innerHTML = content
+    return element.content
+  }
+  return content
+}
+
+/**
+ * {@html expr}: узлы из разметки перед якорем, пересоздаются при смене значения
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getHtml - () => trustHTML(...) или строка (см. renderHtml)
+ */
+export function htmlBlock(anchor, getHtml) {
+  const owner = getCurrentScope()
+  let html = null
+  let current = null
+
+  $effect(() => {
+    const next = renderHtml(getHtml())
+    if (current && next === html) return
+
+    html = next
+    current?.stop()
+    current = mount(anchor, owner, () => resolveSlotContent(html))
+  })
+}
+
+/**
+ * Дочерний компонент: <Child :title="t" @save="f"> и <component :is="view">
+ * Экземпляр принадлежит scope блока: остановка родителя или смена :is
+ * вызывает cleanup() ребенка (эффекты и onDestroy)
+ * @param {Comment} anchor - якорь в DOM
+ * @param {Function} getComponent - () => функция компонента или null
+ * @param {Object} props - props ребенка; динамические значения - геттеры
+ * @param {Function} [setRef] - bind:this, получает экземпляр или null
+ */
+export function componentBlock(anchor, getComponent, props, setRef) {
+  const owner = getCurrentScope()
+  let component = null
+  let current = null
+
+  $effect(() => {
+    const next = getComponent() ?? null
+    if (next === component) return
+
+    component = next
+    current?.stop()
+    current = next ? mount(anchor, owner, () => createComponent(next, props, setRef)) : null
+  })
+}
+
+/**
+ * Создает экземпляр дочернего компонента в текущем scope и возвращает его DOM
+ * @param {Function} Component - функция компонента
+ * @param {Object} props - props ребенка
+ * @param {Function} [setRef] - bind:this, получает экземпляр или null
+ * @returns {Node} результат render() экземпляра
+ */
+export function createComponent(Component, props, setRef) {
+  const instance = Component(props)
+  if (getCurrentScope()) onScopeDispose(() => instance.cleanup?.())
+
+  if (setRef) bindThis(instance, setRef)
+  return instance.render()
+}
+
+// ============================================================================
+// СТИЛИ
+// ============================================================================
+
+// Текущие переменные bind() корневых элементов (useCssVars)
+const cssVars = new WeakMap()
+
+/**
+ * CSS-переменные из bind() в <style>: значения ставятся на корневые элементы
+ * экземпляра и обновляются вместе с состоянием
+ * @param {Node} root - результат render(): элемент или DocumentFragment
+ * @param {Function} getVars - () => { '--имя': значение }
+ * @returns {Node} тот же root
+ */
+export function useCssVars(root, getVars) {
+  // DocumentFragment отдает узлы при вставке, поэтому элементы берутся заранее
+  const elements = root?.nodeType === 11
+    ? Array.from(root.childNodes).filter(node => node.nodeType === 1)
+    : root?.nodeType === 1 ? [root] : []
+
+  $effect(() => {
+    const vars = getVars()
+    elements.forEach(element => {
+      cssVars.set(element, vars)
+      applyCssVars(element)
+    })
+  })
+
+  return root
+}
+
+function applyCssVars(element) {
+  const vars = cssVars.get(element)
+  if (!vars) return
+
+  Object.entries(vars).forEach(([name, value]) => {
+    element.style?.setProperty(name, value == null ? '' : String(value))
+  })
+}
+
+// Стили компонентов, созданных внутри collectStyles() (SSR)
+let styleCollector = null
+// Манифест сборки { scopeId: ['assets/index-хеш.css'] } и базовый путь файлов
+let styleManifest = null
+
+/**
+ * Отмечает, что создан компонент с вынесенным CSS (compile с css: 'external').
+ * На сервере id попадает в collectStyles(), в браузере подключаются файлы
+ * из манифеста setStyleManifest(), если их еще нет на странице
+ * @param {string} id - scopeId компонента
+ */
+export function useStyles(id) {
+  if (styleCollector) {
+    styleCollector.add(id)
+    return
+  }
+  if (!styleManifest || typeof document === 'undefined') return
+
+  styleManifest.files[id]?.forEach(file => {
+    const href = styleManifest.base + file
+    if (document.querySelector(`link[rel="stylesheet"][href="${href}"]`)) return
+
+    const link = document.createElement('link')
+    link.rel = 'stylesheet'
+    link.href = href
+    document.head.appendChild(link)
+  })
+}
+
+/**
+ * Манифест стилей сборки (aspscript-styles.json): CSS ленивых чанков
+ * подключается, когда создается первый компонент из них
+ * @param {Object} manifest - { scopeId: [файлы] }
+ * @param {string} [base] - путь к файлам сборки
+ */
+export function setStyleManifest(manifest, base = '/') {
+  styleManifest = manifest ? { files: manifest, base } : null
+}
+
+/**
+ * Выполняет рендер и собирает scopeId компонентов, которые он создал
+ * @param {Function} fn - рендер
+ * @returns {Object} { result, styles }
+ */
+export function collectStyles(fn) {
+  const previous = styleCollector
+  const styles = new Set()
+  styleCollector = styles
+
+  try {
+    return { result: fn(), styles: [...styles] }
+  } finally {
+    styleCollector = previous
+  }
+}
+
+export default {
+  escapeHtml,
+  serializeScriptData,
+  trustHTML,
+  isTrustedHTML,
+  renderHtml,
+  template,
+  setText,
+  setAttribute,
+  setProperty,
+  normalizeClass,
+  normalizeStyle,
+  listen,
+  bindProperty,
+  syncBinding,
+  observeBinding,
+  bindThis,
+  ifBlock,
+  eachBlock,
+  listEntries,
+  createRange,
+  renderEach,
+  awaitBlock,
+  keyBlock,
+  slotBlock,
+  setScopeId,
+  htmlBlock,
+  componentBlock,
+  createComponent,
+  useCssVars,
+  useStyles,
+  setStyleManifest,
+  collectStyles
+}
@@ -7,167 +7,91 @@
 // REACTIVITY SYSTEM
 // ============================================================================
 
-// Глобальный reactive context для отслеживания зависимостей
-let currentEffect = null
-let effectStack = []
+// Реактивность живет в одном модуле, чтобы $state, $computed и $effect
+// разделяли общий контекст отслеживания зависимостей
+import { isBrowser } from './reactivity.js'
+import { escapeHtml, collectStyles, serializeScriptData } from './dom.js'
+import { collectStores } from './store.js'
 
-// WeakMap для хранения зависимостей
-const targetMap = new WeakMap()
-
-/**
- * Создает реактивную переменную
- * @param {any} initialValue - начальное значение
- * @returns {Proxy} реактивный объект
- */
-export function $state(initialValue) {
-  const proxy = new Proxy({ value: initialValue }, {
-    get(target, key) {
-      if (key === 'value') {
-        // Отслеживаем чтение в текущем эффекте
-        if (currentEffect) {
-          const depsMap = targetMap.get(target) ?? (() => {
-            const map = new Map()
-            targetMap.set(target, map)
-            return map
-          })()
-
-          const dep = depsMap.get(key) ?? (() => {
-            const set = new Set()
-            depsMap.set(key, set)
-            return set
-          })()
-
-          dep.add(currentEffect)
-        }
-        return target[key]
-      }
-      return target[key]
-    },
-
-    set(target, key, value) {
-      if (key === 'value') {
-        target[key] = value
-
-        // Запускаем эффекты при изменении
-        const depsMap = targetMap.get(target)
-        depsMap?.get(key)?.forEach(effect => effect())
-      } else {
-        target[key] = value
-      }
-      return true
-    }
-  })
-
-  return proxy
-}
-
-/**
- * Создает вычисляемое свойство
- * @param {Function} getter - функция получения значения
- * @returns {Proxy} реактивное вычисляемое свойство
- */
-export function $computed(getter) {
-  let value
-  let dirty = true
-
-  const proxy = new Proxy({}, {
-    get(target, key) {
-      if (key === 'value') {
-        if (dirty) {
-          effectStack.push(currentEffect)
-          currentEffect = () => { dirty = true }
-          try {
-            value = getter()
-          } finally {
-            currentEffect = effectStack.pop()
-          }
-          dirty = false
-        }
-        return value
-      }
-      return target[key]
-    }
-  })
-
-  return proxy
-}
-
-/**
- * Создает эффект
- * @param {Function} fn - функция эффекта
- * @returns {Function} функция отмены эффекта
- */
-export function $effect(fn) {
-  const effect = () => {
-    const prevEffect = currentEffect
-    currentEffect = effect
-    try {
-      fn()
-    } finally {
-      currentEffect = prevEffect
-    }
-  }
-
-  effect()
-  return effect
-}
-
-/**
- * Глобальное состояние приложения
- * @param {any} initialValue - начальное значение
- * @param {string} key - уникальный ключ для глобального состояния
- * @returns {Proxy} глобальное реактивное состояние
- */
-export function $global(initialValue, key) {
-  // Глобальный реестр состояний
-  if (!globalThis._aspscript_global_state) {
-    globalThis._aspscript_global_state = new Map()
-  }
-
-  const globalState = globalThis._aspscript_global_state
-
-  // Если ключ не указан, генерируем его на основе caller
-  if (!key) {
-    key = '__default_global_state__'
-  }
-
-  // Возвращаем существующее состояние или создаем новое
-  if (!globalState.has(key)) {
-    globalState.set(key, $state(initialValue))
-  }
+export {
+  $state,
+  $shallowState,
+  $readonly,
+  toRaw,
+  markRaw,
+  isRef,
+  isReactive,
+  $computed,
+  $effect,
+  onCleanup,
+  untrack,
+  watch,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
+  batch,
+  flushSync,
+  inspectGraph,
+  onReactivityEvent,
+  $global,
+  onMount,
+  onDestroy,
+  isBrowser
+} from './reactivity.js'
 
-  return globalState.get(key)
-}
+export {
+  persistState,
+  createWebStorage,
+  createMemoryStorage,
+  localStorageAdapter,
+  sessionStorageAdapter
+} from './persist.js'
 
-/**
- * Хук жизненного цикла onMount
- * @param {Function} callback - функция вызываемая при монтировании
- */
-export function onMount(callback) {
-  // В скомпилированном коде это будет встроено в компонент
-  if (typeof globalThis.window !== 'undefined') {
-    // Клиентский рендеринг
-    queueMicrotask(callback)
-  }
-}
+export { $resource } from './resource.js'
 
-/**
- * Хук жизненного цикла onDestroy
- * @param {Function} callback - функция вызываемая при размонтировании
- */
-export function onDestroy(callback) {
-  // В скомпилированном коде это будет встроено в компонент
-  // Возвращаем cleanup функцию
-  return callback
-}
+export {
+  escapeHtml,
+  trustHTML,
+  isTrustedHTML,
+  renderHtml,
+  template,
+  setText,
+  setAttribute,
+  setProperty,
+  normalizeClass,
+  normalizeStyle,
+  listen,
+  bindProperty,
+  syncBinding,
+  observeBinding,
+  bindThis,
+  ifBlock,
+  eachBlock,
+  listEntries,
+  createRange,
+  renderEach,
+  awaitBlock,
+  keyBlock,
+  slotBlock,
+  setScopeId,
+  htmlBlock,
+  componentBlock,
+  createComponent,
+  useCssVars,
+  useStyles,
+  setStyleManifest,
+  collectStyles
+} from './dom.js'
 
-/**
- * Проверяет, выполняется ли код в браузере
- * @returns {boolean} true если код выполняется в браузере
- */
-export function isBrowser() {
-  return typeof globalThis.window !== 'undefined' && typeof globalThis.document !== 'undefined'
-}
+export {
+  defineStore,
+  useStorePlugin,
+  createLoggerPlugin,
+  createPersistPlugin,
+  serializeStores,
+  hydrateStores,
+  collectStores
+} from './store.js'
 
 // ============================================================================
 // ERROR BOUNDARIES SYSTEM
@@ -859,14 +783,17 @@ export function renderToString(component, props = {}) {
     // Создаем изолированный контекст для SSR
     const ssrContext = createSSRContext()
 
-    // Выполняем компонент в SSR контексте
-    const instance = component()
+    // Хранилища рендера не переживают его и не видны следующему запросу
+    const { result: html } = collectStores(() => {
+      // Выполняем компонент в SSR контексте
+      const instance = component()
 
-    // Получаем render функцию
-    const render = instance.render
+      // Получаем render функцию
+      const render = instance.render
 
-    // Выполняем render в SSR контексте
-    const html = executeInSSRContext(render, ssrContext)
+      // Выполняем render в SSR контексте
+      return executeInSSRContext(render, ssrContext)
+    })
 
     return html
   } catch (error) {
@@ -887,12 +814,15 @@ export function renderToHTML(app, options = {}) {
     lang = 'en',
     meta = [],
     links = [],
-    scripts = []
+    scripts = [],
+    // Манифест стилей сборки (aspscript-styles.json) и путь к ее файлам
+    styleManifest = null,
+    base = '/'
   } = options
 
   try {
-    // Рендерим приложение
-    const appHTML = renderToString(app)
+    // Рендерим приложение и запоминаем компоненты со стилями
+    const { result: appHTML, styles } = collectStyles(() => renderToString(app))
 
     // Собираем head
     const headContent = [
@@ -900,8 +830,9 @@ export function renderToHTML(app, options = {}) {
       `<meta charset="UTF-8">`,
       `<meta name="viewport" content="width=device-width, initial-scale=1.0">`,
       ...meta.map(m => `<meta name="${m.name}" content="${m.content}">`),
-      ...links.map(l => `<link rel="${l.rel}" href="${l.href}">`)
-    ].join('\n    ')
+      ...links.map(l => `<link rel="${l.rel}" href="${l.href}">`),
+      renderStyleLinks(styles, styleManifest, base)
+    ].filter(Boolean).join('\n    ')
 
     // Собираем scripts
     const scriptContent = scripts.map(s =>
@@ -934,6 +865,22 @@ export function renderToHTML(app, options = {}) {
   }
 }
 
+/**
+ * <link> на CSS сборки только для стилей, которые использовал рендер
+ * @param {string[]} styles - scopeId из collectStyles()
+ * @param {Object} manifest - { scopeId: [файлы] } из aspscript-styles.json
+ * @param {string} [base] - путь к файлам сборки
+ * @returns {string} HTML тегов <link>
+ */
+export function renderStyleLinks(styles, manifest, base = '/') {
+  if (!manifest) return ''
+
+  const files = new Set(styles.flatMap(id => manifest[id] ?? []))
+  return [...files]
+    .map(file => `<link rel="stylesheet" href="${escapeHtml(base + file)}">`)
+    .join('\n    ')
+}
+
 /**
  * Создает контекст для SSR
  * @returns {Object} SSR контекст
@@ -952,6 +899,12 @@ function createSSRContext() {
         children: [],
         setAttribute: function(name, value) { this.attributes[name] = value },
         appendChild: function(child) { this.children.push(child) },
+        // Строковый render() ищет в разметке привязки - на сервере их нет
+        querySelectorAll: () => [],
+        // и возвращает container.firstElementChild: разметка шаблона без обертки <div>
+        get firstElementChild() {
+          return this.innerHTML ? { outerHTML: this.innerHTML } : null
+        },
         textContent: '',
         innerHTML: ''
       }),
@@ -995,8 +948,8 @@ function executeInSSRContext(fn, context) {
       return result
     }
 
-    // Если результат - DOM элемент, сериализуем его
-    if (result && result.tagName) {
+    // Если результат - DOM элемент или разметка строкового render(), сериализуем его
+    if (result && (result.tagName || typeof result.outerHTML === 'string')) {
       return serializeElement(result)
     }
 
@@ -1017,21 +970,30 @@ function executeInSSRContext(fn, context) {
 function serializeElement(element) {
   if (!element) return ''
 
-  // Текстовый узел
+  // Текстовый узел: данные пользователя не становятся разметкой
   if (element.nodeType === 3) {
-    return element.textContent || ''
+    return escapeHtml(element.textContent)
+  }
+
+  // Настоящий DOM (jsdom, happy-dom): его сериализатор уже экранирует текст и атрибуты
+  if (typeof element.outerHTML === 'string') {
+    return element.outerHTML
+  }
+  if (element.nodeType === 11) {
+    return Array.from(element.childNodes, serializeElement).join('')
   }
 
   // Элемент
   if (element.tagName) {
     const tag = element.tagName
     const attrs = Object.entries(element.attributes || {})
-      .map(([name, value]) => ` ${name}="${value}"`)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
       .join('')
 
-    const children = (element.children || [])
-      .map(serializeElement)
-      .join('')
+    // innerHTML задает строковый render(): интерполяции в нем уже экранированы
+    const children = element.children?.length
+      ? element.children.map(serializeElement).join('')
+      : element.innerHTML || ''
 
     // Самозакрывающиеся теги
     const selfClosing = ['img', 'br', 'hr', 'input', 'meta', 'link'].includes(tag)
@@ -1506,8 +1468,9 @@ export {
 } from './ssr-advanced.js'
 
 export function renderWithData(component, initialData = {}) {
-  const dataScript = `<script>globalThis.__ASPSCRIPT_DATA__ = ${JSON.stringify(initialData)};</script>`
-  const html = renderToString(component)
+  // Состояние хранилищ рендера передается клиенту (hydrateStores)
+  const { result: html, stores } = collectStores(() => renderToString(component))
+  const dataScript = `<script>globalThis.__ASPSCRIPT_DATA__ = ${serializeScriptData({ ...initialData, stores })};</script>`
   return html + dataScript
 }
 
@@ -114,8 +114,25 @@ export function lazy(loader, options = {}) {
   }
 }
 
+// Suspense, внутри которого сейчас создается компонент
+let currentBoundary = null
+
+/**
+ * Возвращает ближайшую Suspense-границу создаваемого компонента
+ * Используется $resource, чтобы приостановить рендеринг до первой загрузки
+ * @returns {Object|null} граница с методом register(promise)
+ */
+export function getSuspenseBoundary() {
+  return currentBoundary
+}
+
 /**
- * Создает Suspense-подобную границу для асинхронных компонентов
+ * Создает Suspense-границу для асинхронных компонентов
+ *
+ * Пока ресурсы ($resource, async $computed), созданные внутри компонента,
+ * выполняют первую загрузку, показывается fallback. Повторные загрузки
+ * границу не приостанавливают - компонент сам показывает их через loading.
+ *
  * @param {Object} options - опции Suspense
  * @returns {Function} Suspense HOC
  */
@@ -127,28 +144,35 @@ export function Suspense(options = {}) {
 
   return function SuspenseWrapper(Component) {
     return function SuspenseComponent(props = {}) {
-      const isPending = $state(false)
+      const pending = $state(0)
       const error = $state(null)
-      const result = $state(null)
-
-      // Имитация асинхронного рендеринга
-      $: effect(async () => {
-        try {
-          isPending.value = true
-          error.value = null
 
-          // Имитируем асинхронную операцию
-          await new Promise(resolve => setTimeout(resolve, 0))
+      const boundary = {
+        resolved: false,
+        register(promise) {
+          pending.value++
+          promise
+            .catch(err => { error.value = err })
+            .finally(() => {
+              pending.value--
+              if (pending.value === 0) boundary.resolved = true
+            })
+        }
+      }
 
-          const component = Component(props)
-          result.value = component
+      let result = null
+      const parentBoundary = currentBoundary
+      currentBoundary = boundary
+      try {
+        result = Component(props)
+      } catch (err) {
+        error.value = err
+      } finally {
+        currentBoundary = parentBoundary
+      }
 
-        } catch (err) {
-          error.value = err
-        } finally {
-          isPending.value = false
-        }
-      })
+      // Ресурсов не оказалось - ждать нечего
+      if (pending.value === 0) boundary.resolved = true
 
       return {
         render: () => {
@@ -156,16 +180,17 @@ export function Suspense(options = {}) {
             return ErrorComponent({ error: error.value }).render()
           }
 
-          if (isPending.value && FallbackComponent) {
+          if (pending.value > 0 && FallbackComponent) {
             return FallbackComponent(props).render()
           }
 
-          if (result.value) {
-            return result.value.render()
+          if (result) {
+            return result.render()
           }
 
           return ''
-        }
+        },
+        cleanup: () => result?.cleanup?.()
       }
     }
   }
@@ -0,0 +1,205 @@
+/**
+ * AspScript Persisted State
+ * Сохранение глобального состояния в localStorage, sessionStorage или памяти
+ */
+
+import { watch, toRaw } from './reactivity.js'
+
+// Префикс ключей в хранилище, чтобы не пересекаться с данными приложения
+const STORAGE_PREFIX = 'aspscript:'
+
+// Маркер "в хранилище ничего нет"
+const NOT_FOUND = Symbol('aspscript.persist.notFound')
+
+/**
+ * Создает адаптер для Web Storage
+ * Хранилище запрашивается лениво, поэтому адаптер безопасен при SSR
+ * @param {string} type - 'local' или 'session'
+ * @returns {Object} адаптер с getItem, setItem, removeItem
+ */
+export function createWebStorage(type = 'local') {
+  const resolve = () => {
+    try {
+      return globalThis.window?.[`${type}Storage`] ?? null
+    } catch {
+      // Доступ к хранилищу может быть запрещен (sandbox iframe, приватный режим)
+      return null
+    }
+  }
+
+  return {
+    get area() {
+      return resolve()
+    },
+    getItem(key) {
+      return resolve()?.getItem(key) ?? null
+    },
+    setItem(key, value) {
+      resolve()?.setItem(key, value)
+    },
+    removeItem(key) {
+      resolve()?.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Адаптер localStorage
+ */
+export const localStorageAdapter = createWebStorage('local')
+
+/**
+ * Адаптер sessionStorage
+ */
+export const sessionStorageAdapter = createWebStorage('session')
+
+/**
+ * Создает хранилище в памяти (SSR, тесты)
+ * @param {Object} initialItems - начальные записи
+ * @returns {Object} адаптер с getItem, setItem, removeItem
+ */
+export function createMemoryStorage(initialItems = {}) {
+  const items = new Map(Object.entries(initialItems))
+
+  return {
+    getItem(key) {
+      return items.has(key) ? items.get(key) : null
+    },
+    setItem(key, value) {
+      items.set(key, String(value))
+    },
+    removeItem(key) {
+      items.delete(key)
+    }
+  }
+}
+
+/**
+ * Связывает состояние с хранилищем
+ *
+ * Сохраненное значение восстанавливается сразу, изменения записываются
+ * с задержкой, а записи из других вкладок применяются через событие storage.
+ * Значение хранится вместе с версией схемы: при ее изменении вызывается migrate.
+ *
+ * @param {Proxy} state - $state для сохранения
+ * @param {string} key - ключ состояния
+ * @param {Object} options - опции сохранения
+ * @param {Object} [options.storage] - адаптер хранилища (по умолчанию localStorage)
+ * @param {Function} [options.serialize] - сериализация (по умолчанию JSON.stringify)
+ * @param {Function} [options.deserialize] - десериализация (по умолчанию JSON.parse)
+ * @param {number} [options.version] - версия схемы состояния
+ * @param {Function} [options.migrate] - (storedState, storedVersion) => новое состояние
+ * @param {number} [options.debounce] - задержка записи в мс
+ * @returns {Function} функция отключения сохранения
+ */
+export function persistState(state, key, options = {}) {
+  const {
+    storage = localStorageAdapter,
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    version = 0,
+    migrate,
+    debounce = 100
+  } = options
+
+  const storageKey = STORAGE_PREFIX + key
+  // Последняя строка, совпадающая с содержимым хранилища - лишние записи пропускаем
+  let lastSerialized = null
+  let writeTimer = null
+
+  const read = raw => {
+    if (raw === null || raw === undefined) return NOT_FOUND
+
+    let envelope
+    try {
+      envelope = deserialize(raw)
+    } catch (error) {
+      console.warn(`[AspScript] Не удалось прочитать сохраненное состояние "${key}":`, error)
+      return NOT_FOUND
+    }
+    lastSerialized = raw
+
+    const isEnvelope = envelope !== null && typeof envelope === 'object' && 'state' in envelope
+    const storedVersion = isEnvelope ? envelope.version ?? 0 : 0
+    const storedState = isEnvelope ? envelope.state : envelope
+
+    if (storedVersion === version) return storedState
+
+    if (typeof migrate === 'function') {
+      // После миграции хранилище нужно перезаписать в новой схеме
+      lastSerialized = null
+      return migrate(storedState, storedVersion)
+    }
+
+    // Схема изменилась, а миграции нет - старые данные не используем
+    return NOT_FOUND
+  }
+
+  const write = () => {
+    writeTimer = null
+
+    let serialized
+    try {
+      serialized = serialize({ version, state: toRaw(state.value) })
+    } catch (error) {
+      console.warn(`[AspScript] Не удалось сериализовать состояние "${key}":`, error)
+      return
+    }
+    if (serialized === lastSerialized) return
+
+    lastSerialized = serialized
+    try {
+      storage.setItem(storageKey, serialized)
+    } catch (error) {
+      console.warn(`[AspScript] Не удалось сохранить состояние "${key}":`, error)
+    }
+  }
+
+  const scheduleWrite = () => {
+    if (writeTimer) clearTimeout(writeTimer)
+    writeTimer = setTimeout(write, debounce)
+  }
+
+  const flush = () => {
+    if (writeTimer) {
+      clearTimeout(writeTimer)
+      write()
+    }
+  }
+
+  // Восстанавливаем сохраненное значение
+  const restored = read(storage.getItem(storageKey))
+  if (restored !== NOT_FOUND) {
+    state.value = restored
+    if (lastSerialized === null) write()
+  }
+
+  const stopWatch = watch(state, scheduleWrite, { deep: true })
+
+  // Синхронизация между вкладками и запись перед закрытием страницы
+  const win = globalThis.window
+  const onStorage = event => {
+    if (event.key !== storageKey) return
+    if (storage.area && event.storageArea !== storage.area) return
+    if (event.newValue === lastSerialized) return
+
+    const value = read(event.newValue)
+    if (value !== NOT_FOUND) {
+      state.value = value
+    }
+  }
+
+  if (win?.addEventListener) {
+    win.addEventListener('storage', onStorage)
+    win.addEventListener('pagehide', flush)
+  }
+
+  return () => {
+    flush()
+    stopWatch()
+    if (win?.removeEventListener) {
+      win.removeEventListener('storage', onStorage)
+      win.removeEventListener('pagehide', flush)
+    }
+  }
+}
@@ -3,87 +3,588 @@
  * Компилируемая реактивность без рантайма
  */
 
+import { persistState } from './persist.js'
+import { $resource } from './resource.js'
+
 // Глобальный reactive context для отслеживания зависимостей
 let currentEffect = null
-let effectStack = []
+
+// Текущий effectScope - владелец создаваемых эффектов
+let activeScope = null
 
 // WeakMap для хранения зависимостей
 const targetMap = new WeakMap()
 
+// Планировщик: эффекты копятся в очереди и выполняются один раз за тик
+const queue = new Set()
+// Задачи с flush: 'post' выполняются после основной очереди
+const postQueue = new Set()
+let flushPending = false
+let batchDepth = 0
+
+// Защита от эффектов, бесконечно перезапускающих друг друга
+const MAX_FLUSH_ITERATIONS = 100
+
+// Кеш глубоких прокси: один прокси на каждый сырой объект
+const reactiveMap = new WeakMap()
+
+// Служебные ключи зависимостей для перебора (for...in, Object.keys, Map.keys)
+const ITERATE_KEY = Symbol('aspscript.iterate')
+const MAP_KEY_ITERATE_KEY = Symbol('aspscript.mapKeyIterate')
+
+// Ключ, по которому прокси отдает исходный объект
+const RAW_KEY = Symbol('aspscript.raw')
+
+// Метка обертки с .value ($state, $computed)
+const REF_KEY = Symbol('aspscript.ref')
+
+// Метки readonly-прокси и объектов, исключенных из реактивности (markRaw)
+const READONLY_KEY = Symbol('aspscript.readonly')
+const SKIP_KEY = Symbol('aspscript.skip')
+
+// Кеш readonly-прокси
+const readonlyMap = new WeakMap()
+
+// Предупреждения о неправильном использовании выводятся только в разработке
+const isDev = globalThis.process?.env?.NODE_ENV !== 'production'
+
+// Встроенные символы (Symbol.iterator и т.п.) не отслеживаем
+const builtInSymbols = new Set(
+  Object.getOwnPropertyNames(Symbol)
+    .map(name => Symbol[name])
+    .filter(value => typeof value === 'symbol')
+)
+
+// Отслеживание приостанавливается внутри мутирующих методов массивов
+let shouldTrack = true
+
 /**
  * Создает реактивную переменную
+ * Объекты, массивы, Map и Set внутри .value становятся глубоко реактивными
+ * @param {any} initialValue - начальное значение
+ * @param {Object} options - опции
+ * @param {string} [options.name] - имя для inspectGraph() и DevTools
+ * @returns {Proxy} реактивный объект
+ */
+export function $state(initialValue, options = {}) {
+  return createStateRef(initialValue, false, options.name)
+}
+
+/**
+ * Создает реактивную переменную, которая отслеживает только замену .value
+ * Вложенные объекты не проксируются - подходит для больших неизменяемых данных
  * @param {any} initialValue - начальное значение
+ * @param {Object} options - опции
+ * @param {string} [options.name] - имя для inspectGraph() и DevTools
  * @returns {Proxy} реактивный объект
  */
-export function $state(initialValue) {
-  // Для примитивов и объектов - разные подходы
-  const isPrimitive = initialValue !== Object(initialValue)
+export function $shallowState(initialValue, options = {}) {
+  return createStateRef(initialValue, true, options.name)
+}
+
+/**
+ * Создает обертку с .value для $state и $shallowState
+ */
+function createStateRef(initialValue, shallow, name) {
+  // Состояние всегда хранится в обертке с .value - так к нему обращается
+  // скомпилированный код (_state_name.value)
+  const state = { 
+    _value: toRaw(initialValue)
+  }
+  registerDebugNode(state, 'state', name)
   
-  if (isPrimitive) {
-    // Для примитивов создаем объект-обертку с кастомным valueOf/toString
-    const state = { 
-      _value: initialValue,
-      _deps: new Set()
-    }
-    
-    const proxy = new Proxy(state, {
-      get(target, key) {
-        // Поддержка чтения как объекта
-        if (key === 'value' || key === Symbol.toPrimitive || key === 'valueOf' || key === 'toString') {
-          // Отслеживаем зависимость
-          track(target, 'value')
-          if (key === 'valueOf' || key === Symbol.toPrimitive) {
-            return () => target._value
-          }
-          if (key === 'toString') {
-            return () => String(target._value)
-          }
-          return target._value
+  const proxy = new Proxy(state, {
+    get(target, key) {
+      if (key === REF_KEY) return true
+
+      // Поддержка чтения как объекта
+      if (key === 'value' || key === Symbol.toPrimitive || key === 'valueOf' || key === 'toString') {
+        // Отслеживаем зависимость
+        track(target, 'value')
+        if (key === 'valueOf' || key === Symbol.toPrimitive) {
+          return () => target._value
         }
-        return target[key]
-      },
-      
-      set(target, key, value) {
-        if (key === 'value' || key === '_value') {
-          const oldValue = target._value
-          if (oldValue !== value) {
-            target._value = value
-            // Триггерим эффекты
-            trigger(target, 'value')
-          }
-          return true
+        if (key === 'toString') {
+          return () => String(target._value)
         }
-        target[key] = value
-        return true
+        return shallow ? target._value : toReactive(target._value)
       }
-    })
+      return target[key]
+    },
     
-    return proxy
-  } else {
-    // Для объектов и массивов - полноценный Proxy
-    return new Proxy(initialValue, {
+    set(target, key, value) {
+      if (key === 'value' || key === '_value') {
+        const oldValue = target._value
+        const rawValue = toRaw(value)
+        if (hasChanged(oldValue, rawValue)) {
+          target._value = rawValue
+          // Триггерим эффекты
+          trigger(target, 'value', 'set', rawValue, oldValue)
+        }
+        return true
+      }
+      target[key] = value
+      return true
+    }
+  })
+  
+  return proxy
+}
+
+/**
+ * Создает доступное только для чтения представление состояния
+ * Чтения отслеживаются как обычно, записи игнорируются (с предупреждением в разработке)
+ * @param {any} source - $state, $computed или реактивный объект
+ * @returns {Proxy} readonly представление
+ */
+export function $readonly(source) {
+  if (isRef(source)) {
+    return new Proxy({}, {
       get(target, key) {
-        track(target, key)
-        return target[key]
-      },
-      
-      set(target, key, value) {
-        const oldValue = target[key]
-        if (oldValue !== value) {
-          target[key] = value
-          trigger(target, key)
+        if (key === REF_KEY || key === READONLY_KEY) return true
+        if (key === 'value') return readonly(source.value)
+        if (key === 'valueOf' || key === Symbol.toPrimitive || key === 'toString') {
+          return source[key]
         }
+        return undefined
+      },
+      set(target, key) {
+        warnReadonly(key)
         return true
       }
     })
   }
+
+  return readonly(source)
+}
+
+/**
+ * Возвращает исходный объект реактивного или readonly прокси
+ * @param {any} observed - прокси
+ * @returns {any} исходный объект
+ */
+export function toRaw(observed) {
+  const raw = observed && observed[RAW_KEY]
+  return raw ? toRaw(raw) : observed
+}
+
+/**
+ * Помечает объект как нереактивный: он никогда не будет обернут в прокси
+ * @param {Object} value - объект
+ * @returns {Object} тот же объект
+ */
+export function markRaw(value) {
+  if (isObject(value) && Object.isExtensible(value)) {
+    Object.defineProperty(value, SKIP_KEY, { value: true, configurable: true })
+  }
+  return value
+}
+
+function warnReadonly(key) {
+  if (isDev) {
+    console.warn(`[AspScript] Запись "${String(key)}" проигнорирована: состояние доступно только для чтения`)
+  }
+}
+
+/**
+ * Возвращает глубокий реактивный прокси для объекта
+ * Прокси создаются лениво - при первом чтении вложенного объекта
+ */
+function reactive(target) {
+  if (!isObject(target) || target[RAW_KEY]) return target
+
+  const existing = reactiveMap.get(target)
+  if (existing) return existing
+
+  const type = getTargetType(target)
+  if (type === TargetType.INVALID) return target
+
+  const proxy = new Proxy(
+    target,
+    type === TargetType.COLLECTION ? collectionHandlers : baseHandlers
+  )
+  reactiveMap.set(target, proxy)
+  return proxy
+}
+
+function toReactive(value) {
+  return isObject(value) ? reactive(value) : value
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object'
+}
+
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue)
+}
+
+function hasOwn(target, key) {
+  return Object.prototype.hasOwnProperty.call(target, key)
+}
+
+function isIntegerKey(key) {
+  return typeof key === 'string' && key !== 'NaN' && key[0] !== '-' && String(parseInt(key, 10)) === key
+}
+
+const TargetType = {
+  INVALID: 0,
+  COMMON: 1,
+  COLLECTION: 2
+}
+
+/**
+ * Определяет, как проксировать объект
+ * Date, RegExp, Promise, DOM-узлы и замороженные объекты остаются как есть
+ */
+function getTargetType(target) {
+  if (target[SKIP_KEY] || !Object.isExtensible(target)) return TargetType.INVALID
+
+  switch (Object.prototype.toString.call(target).slice(8, -1)) {
+    case 'Object':
+    case 'Array':
+      return TargetType.COMMON
+    case 'Map':
+    case 'Set':
+    case 'WeakMap':
+    case 'WeakSet':
+      return TargetType.COLLECTION
+    default:
+      return TargetType.INVALID
+  }
+}
+
+/**
+ * Возвращает глубокий readonly прокси
+ * Чтения проходят через реактивный прокси, поэтому отслеживаются
+ */
+function readonly(target) {
+  if (!isObject(target) || target[READONLY_KEY]) return target
+
+  const raw = toRaw(target)
+  const existing = readonlyMap.get(raw)
+  if (existing) return existing
+
+  const type = getTargetType(raw)
+  if (type === TargetType.INVALID) return target
+
+  const source = reactive(raw)
+  const proxy = new Proxy(
+    raw,
+    type === TargetType.COLLECTION
+      ? createReadonlyCollectionHandlers(source)
+      : createReadonlyHandlers(source)
+  )
+  readonlyMap.set(raw, proxy)
+  return proxy
+}
+
+function createReadonlyHandlers(source) {
+  return {
+    get(target, key) {
+      if (key === RAW_KEY) return target
+      if (key === READONLY_KEY) return true
+      return readonly(Reflect.get(source, key))
+    },
+    has(target, key) {
+      return Reflect.has(source, key)
+    },
+    ownKeys() {
+      return Reflect.ownKeys(source)
+    },
+    set(target, key) {
+      warnReadonly(key)
+      return true
+    },
+    deleteProperty(target, key) {
+      warnReadonly(key)
+      return true
+    }
+  }
+}
+
+function createReadonlyCollectionHandlers(source) {
+  const wrapIterator = (inner, isPair) => ({
+    next() {
+      const { value, done } = inner.next()
+      if (done) return { value, done }
+      return {
+        value: isPair ? [readonly(value[0]), readonly(value[1])] : readonly(value),
+        done
+      }
+    },
+    [Symbol.iterator]() {
+      return this
+    }
+  })
+
+  return {
+    get(target, key, receiver) {
+      if (key === RAW_KEY) return target
+      if (key === READONLY_KEY) return true
+      if (key === 'size') return source.size
+
+      switch (key) {
+        case 'get':
+          return k => readonly(source.get(k))
+        case 'has':
+          return k => source.has(k)
+        case 'forEach':
+          return (callback, thisArg) => source.forEach((value, k) => {
+            callback.call(thisArg, readonly(value), readonly(k), receiver)
+          })
+        case 'keys':
+        case 'values':
+          return () => wrapIterator(source[key](), false)
+        case 'entries':
+          return () => wrapIterator(source.entries(), true)
+        case Symbol.iterator:
+          return () => wrapIterator(source[Symbol.iterator](), target instanceof Map)
+        case 'add':
+        case 'set':
+        case 'delete':
+        case 'clear':
+          return () => {
+            warnReadonly(key)
+            return key === 'delete' ? false : receiver
+          }
+        default:
+          return Reflect.get(target, key, target)
+      }
+    }
+  }
+}
+
+// ============================================================================
+// Обработчики для объектов и массивов
+// ============================================================================
+
+/**
+ * Методы массивов, требующие особой обработки
+ */
+const arrayInstrumentations = {}
+
+// Поиск должен находить как сырые объекты, так и их прокси
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  arrayInstrumentations[method] = function (...args) {
+    const arr = toRaw(this)
+    for (let i = 0; i < arr.length; i++) {
+      track(arr, String(i))
+    }
+    track(arr, 'length')
+
+    const result = arr[method](...args)
+    if (result === -1 || result === false) {
+      return arr[method](...args.map(toRaw))
+    }
+    return result
+  }
+})
+
+// Мутаторы читают length - без паузы эффект с items.push() зависел бы
+// от собственной записи и перезапускался бы бесконечно
+;['push', 'pop', 'shift', 'unshift', 'splice'].forEach(method => {
+  arrayInstrumentations[method] = function (...args) {
+    const prevShouldTrack = shouldTrack
+    shouldTrack = false
+    try {
+      return toRaw(this)[method].apply(this, args)
+    } finally {
+      shouldTrack = prevShouldTrack
+    }
+  }
+})
+
+const baseHandlers = {
+  get(target, key, receiver) {
+    if (key === RAW_KEY) return target
+
+    if (Array.isArray(target) && hasOwn(arrayInstrumentations, key)) {
+      return arrayInstrumentations[key]
+    }
+
+    const result = Reflect.get(target, key, receiver)
+
+    if (typeof key === 'symbol' && builtInSymbols.has(key)) {
+      return result
+    }
+
+    track(target, key)
+    return toReactive(result)
+  },
+
+  set(target, key, value, receiver) {
+    const oldValue = target[key]
+    const rawValue = toRaw(value)
+    const hadKey = Array.isArray(target) && isIntegerKey(key)
+      ? Number(key) < target.length
+      : hasOwn(target, key)
+
+    const result = Reflect.set(target, key, rawValue, receiver)
+
+    // Запись через прототип не должна триггерить эффекты родителя
+    if (target === toRaw(receiver)) {
+      if (!hadKey) {
+        trigger(target, key, 'add', rawValue)
+      } else if (hasChanged(rawValue, oldValue)) {
+        trigger(target, key, 'set', rawValue, oldValue)
+      }
+    }
+    return result
+  },
+
+  deleteProperty(target, key) {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey) {
+      trigger(target, key, 'delete')
+    }
+    return result
+  },
+
+  has(target, key) {
+    const result = Reflect.has(target, key)
+    if (typeof key !== 'symbol' || !builtInSymbols.has(key)) {
+      track(target, key)
+    }
+    return result
+  },
+
+  ownKeys(target) {
+    track(target, Array.isArray(target) ? 'length' : ITERATE_KEY)
+    return Reflect.ownKeys(target)
+  }
+}
+
+// ============================================================================
+// Обработчики для Map, Set, WeakMap, WeakSet
+// ============================================================================
+
+/**
+ * Методы коллекций работают с сырым объектом и сами отслеживают зависимости
+ */
+const collectionInstrumentations = {
+  get(key) {
+    const target = toRaw(this)
+    const rawKey = toRaw(key)
+    track(target, rawKey)
+    return toReactive(target.has(key) ? target.get(key) : target.get(rawKey))
+  },
+
+  has(key) {
+    const target = toRaw(this)
+    const rawKey = toRaw(key)
+    track(target, rawKey)
+    return target.has(key) || target.has(rawKey)
+  },
+
+  get size() {
+    const target = toRaw(this)
+    track(target, ITERATE_KEY)
+    return target.size
+  },
+
+  add(value) {
+    const target = toRaw(this)
+    const rawValue = toRaw(value)
+    if (!target.has(rawValue)) {
+      target.add(rawValue)
+      trigger(target, rawValue, 'add', rawValue)
+    }
+    return this
+  },
+
+  set(key, value) {
+    const target = toRaw(this)
+    const rawKey = toRaw(key)
+    const rawValue = toRaw(value)
+    const hadKey = target.has(rawKey)
+    const oldValue = target.get(rawKey)
+
+    target.set(rawKey, rawValue)
+    if (!hadKey) {
+      trigger(target, rawKey, 'add', rawValue)
+    } else if (hasChanged(rawValue, oldValue)) {
+      trigger(target, rawKey, 'set', rawValue, oldValue)
+    }
+    return this
+  },
+
+  delete(key) {
+    const target = toRaw(this)
+    const rawKey = toRaw(key)
+    const hadKey = target.has(rawKey)
+    const result = target.delete(rawKey)
+    if (hadKey) {
+      trigger(target, rawKey, 'delete')
+    }
+    return result
+  },
+
+  clear() {
+    const target = toRaw(this)
+    const hadItems = target.size !== 0
+    target.clear()
+    if (hadItems) {
+      trigger(target, undefined, 'clear')
+    }
+  },
+
+  forEach(callback, thisArg) {
+    const observed = this
+    const target = toRaw(observed)
+    track(target, ITERATE_KEY)
+    target.forEach((value, key) => {
+      callback.call(thisArg, toReactive(value), toReactive(key), observed)
+    })
+  }
+}
+
+;['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+  collectionInstrumentations[method] = function () {
+    const target = toRaw(this)
+    const isMap = target instanceof Map
+    const isPair = method === 'entries' || (method === Symbol.iterator && isMap)
+    const isKeyOnly = method === 'keys' && isMap
+    const inner = target[method]()
+
+    track(target, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY)
+
+    return {
+      next() {
+        const { value, done } = inner.next()
+        if (done) return { value, done }
+        return {
+          value: isPair ? [toReactive(value[0]), toReactive(value[1])] : toReactive(value),
+          done
+        }
+      },
+      [Symbol.iterator]() {
+        return this
+      }
+    }
+  }
+})
+
+const collectionHandlers = {
+  get(target, key, receiver) {
+    if (key === RAW_KEY) return target
+
+    if (hasOwn(collectionInstrumentations, key) && key in target) {
+      return key === 'size'
+        ? Reflect.get(collectionInstrumentations, key, receiver)
+        : collectionInstrumentations[key]
+    }
+
+    return Reflect.get(target, key, target)
+  }
 }
 
 /**
  * Отслеживает зависимость
  */
 function track(target, key) {
-  if (!currentEffect) return
+  if (!currentEffect || !shouldTrack) return
   
   let depsMap = targetMap.get(target)
   if (!depsMap) {
@@ -95,49 +596,382 @@ function track(target, key) {
   if (!dep) {
     dep = new Set()
     depsMap.set(key, dep)
+    if (isDev) depOwners.set(dep, { target, key })
   }
   
-  dep.add(currentEffect)
+  if (!dep.has(currentEffect)) {
+    dep.add(currentEffect)
+    // Обратная ссылка нужна, чтобы при перезапуске отписаться от старых зависимостей
+    currentEffect.deps.push(dep)
+
+    if (isDev && currentEffect.onTrack) {
+      currentEffect.onTrack({ effect: currentEffect, target, key, type: 'get', source: getDebugNode(target) })
+    }
+  }
 }
 
 /**
  * Триггерит эффекты
+ * @param {Object} target - сырой объект
+ * @param {any} key - измененный ключ
+ * @param {string} type - тип изменения: set, add, delete, clear
+ * @param {any} newValue - новое значение (нужно для длины массива)
+ * @param {any} oldValue - прежнее значение (для отладки)
  */
-function trigger(target, key) {
+function trigger(target, key, type = 'set', newValue, oldValue) {
+  if (isDev && reactivityListeners.size > 0) {
+    emitReactivityEvent({ type, target, key, newValue, oldValue })
+  }
+
   const depsMap = targetMap.get(target)
   if (!depsMap) return
   
-  const dep = depsMap.get(key)
-  if (dep) {
-    // Копируем Set чтобы избежать бесконечного цикла
-    const effects = [...dep]
-    effects.forEach(effect => effect())
+  const effects = new Set()
+  const add = dep => {
+    if (dep) dep.forEach(effect => effects.add(effect))
+  }
+  const isArray = Array.isArray(target)
+  const isMap = target instanceof Map
+
+  if (type === 'clear') {
+    depsMap.forEach(add)
+  } else if (isArray && key === 'length') {
+    // Уменьшение длины затрагивает все удаленные индексы
+    depsMap.forEach((dep, depKey) => {
+      if (depKey === 'length' || (typeof depKey !== 'symbol' && Number(depKey) >= newValue)) {
+        add(dep)
+      }
+    })
+  } else {
+    add(depsMap.get(key))
+
+    if (type === 'add') {
+      if (isArray) {
+        if (isIntegerKey(key)) add(depsMap.get('length'))
+      } else {
+        add(depsMap.get(ITERATE_KEY))
+        if (isMap) add(depsMap.get(MAP_KEY_ITERATE_KEY))
+      }
+    } else if (type === 'delete') {
+      if (!isArray) {
+        add(depsMap.get(ITERATE_KEY))
+        if (isMap) add(depsMap.get(MAP_KEY_ITERATE_KEY))
+      }
+    } else if (type === 'set' && isMap) {
+      add(depsMap.get(ITERATE_KEY))
+    }
+  }
+
+  effects.forEach(effect => {
+    if (isDev && effect.onTrigger) {
+      effect.onTrigger({ effect, target, key, type, newValue, oldValue, source: getDebugNode(target) })
+    }
+    // Прямое изменение зависимости - эффект точно нужно перезапустить
+    effect.forced = true
+    scheduleEffect(effect)
+  })
+}
+
+/**
+ * Уведомляет читателей вычисляемого свойства о том, что оно могло измениться
+ * Читатели запоминают версию значения и при запуске проверяют, изменилось ли оно
+ * @param {Object} node - узел вычисляемого свойства
+ */
+function triggerComputed(node) {
+  const dep = targetMap.get(node)?.get('value')
+  if (!dep) return
+
+  ;[...dep].forEach(effect => {
+    if (isDev && effect.onTrigger) {
+      effect.onTrigger({ effect, target: node, key: 'value', type: 'computed', source: getDebugNode(node) })
+    }
+    if (!effect.pendingSources.has(node)) {
+      effect.pendingSources.set(node, node.version)
+    }
+    scheduleEffect(effect)
+  })
+}
+
+function scheduleEffect(effect) {
+  // Эффект, изменяющий собственную зависимость, не перезапускаем рекурсивно
+  if (effect === currentEffect) return
+  if (effect.scheduler) {
+    effect.scheduler(effect)
+  } else {
+    effect()
+  }
+}
+
+/**
+ * Проверяет, нужно ли перезапускать эффект
+ * Если эффект уведомили только вычисляемые свойства, их значения
+ * досчитываются, и эффект пропускается, если ни одно не изменилось
+ */
+function isStale(effect) {
+  if (effect.forced) return true
+
+  for (const [node, version] of effect.pendingSources) {
+    node.refresh()
+    if (node.version !== version) return true
+  }
+  return false
+}
+
+function resetStale(effect) {
+  effect.forced = false
+  effect.pendingSources.clear()
+}
+
+/**
+ * Создает внутренний эффект, который пересобирает зависимости при каждом запуске
+ * @param {Function} fn - отслеживаемая функция
+ * @param {Object} options - опции эффекта
+ * @param {Function} [options.scheduler] - вызывается вместо перезапуска при изменении зависимостей
+ * @param {Function} [options.onTrack] - отладка: вызывается при добавлении зависимости
+ * @param {Function} [options.onTrigger] - отладка: вызывается, когда зависимость меняется
+ * @returns {Function} функция запуска эффекта
+ */
+function createReactiveEffect(fn, options = {}) {
+  const effect = () => {
+    if (!effect.active) return fn()
+
+    resetStale(effect)
+    runCleanups(effect)
+    cleanupDeps(effect)
+
+    const prevEffect = currentEffect
+    currentEffect = effect
+    try {
+      return fn()
+    } finally {
+      currentEffect = prevEffect
+    }
+  }
+
+  effect.active = true
+  effect.deps = []
+  effect.cleanups = []
+  effect.scheduler = options.scheduler
+  // Причины, по которым эффект был запланирован (см. isStale)
+  effect.forced = false
+  effect.pendingSources = new Map()
+
+  if (isDev) {
+    effect.onTrack = options.onTrack
+    effect.onTrigger = options.onTrigger
+  }
+
+  if (activeScope) {
+    activeScope.effects.push(effect)
+  }
+
+  return effect
+}
+
+/**
+ * Удаляет эффект из всех множеств зависимостей, к которым он присоединился
+ */
+function cleanupDeps(effect) {
+  effect.deps.forEach(dep => dep.delete(effect))
+  effect.deps.length = 0
+}
+
+/**
+ * Вызывает cleanup-колбэки, зарегистрированные при предыдущем запуске
+ */
+function runCleanups(effect) {
+  if (effect.cleanups.length === 0) return
+
+  const cleanups = effect.cleanups.splice(0)
+  const prevEffect = currentEffect
+  // Чтения внутри cleanup не должны становиться зависимостями
+  currentEffect = null
+  try {
+    cleanups.forEach(cleanup => cleanup())
+  } finally {
+    currentEffect = prevEffect
+  }
+}
+
+/**
+ * Останавливает эффект: отписывает от зависимостей и вызывает cleanup
+ */
+function stopEffect(effect) {
+  if (!effect.active) return
+  effect.active = false
+  cleanupDeps(effect)
+  runCleanups(effect)
+}
+
+/**
+ * Ставит задачу в очередь на выполнение
+ * Повторные постановки одной задачи до сброса очереди схлопываются
+ */
+function queueJob(job) {
+  queue.add(job)
+  scheduleFlush()
+}
+
+/**
+ * Ставит задачу в очередь, выполняемую после основной
+ */
+function queuePostJob(job) {
+  postQueue.add(job)
+  scheduleFlush()
+}
+
+function scheduleFlush() {
+  // Внутри batch() очередь сбрасывается при выходе из самого внешнего batch
+  if (batchDepth > 0 || flushPending) return
+
+  flushPending = true
+  queueMicrotask(flushQueue)
+}
+
+/**
+ * Выполняет все запланированные задачи
+ */
+function flushQueue() {
+  flushPending = false
+
+  let iterations = 0
+  while (queue.size > 0 || postQueue.size > 0) {
+    if (++iterations > MAX_FLUSH_ITERATIONS) {
+      queue.clear()
+      postQueue.clear()
+      console.error('[AspScript] Превышено число перезапусков эффектов: возможно, эффекты изменяют зависимости друг друга по кругу')
+      return
+    }
+
+    // Задачи, запланированные во время сброса, попадут в следующую итерацию
+    const jobs = queue.size > 0 ? queue : postQueue
+    const pending = [...jobs]
+    jobs.clear()
+    pending.forEach(job => job())
+  }
+}
+
+/**
+ * Перезапускает эффект, если его зависимости действительно изменились
+ */
+function runIfStale(effect) {
+  if (!effect.active) return
+  if (isStale(effect)) {
+    effect()
+  } else {
+    resetStale(effect)
+  }
+}
+
+/**
+ * Группирует изменения состояния: эффекты выполнятся один раз после fn
+ * @param {Function} fn - функция, изменяющая состояние
+ * @returns {any} результат fn
+ */
+export function batch(fn) {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) {
+      flushQueue()
+    }
   }
 }
 
+/**
+ * Синхронно выполняет все запланированные эффекты
+ * Нужен в тестах и там, где DOM должен обновиться немедленно
+ */
+export function flushSync() {
+  flushQueue()
+}
+
 /**
  * Создает вычисляемое свойство
+ *
+ * Вычисляемое свойство - полноценный узел графа: оно отслеживает своих
+ * читателей и уведомляет их, когда его зависимости меняются (push), а
+ * пересчитывается лениво при следующем чтении (pull). Если новое значение
+ * совпадает со старым, зависящие эффекты и вычисления не перезапускаются.
+ *
+ * Async-функция превращается в $resource: значение доступно после загрузки,
+ * а loading, error и refetch показывают ее состояние.
+ *
  * @param {Function} getter - функция получения значения
+ * @param {Object} options - опции (для async-функции - опции $resource)
+ * @param {string} [options.name] - имя для inspectGraph() и DevTools
+ * @param {Function} [options.onTrack] - отладка: вызывается при добавлении зависимости
+ * @param {Function} [options.onTrigger] - отладка: вызывается, когда зависимость меняется
  * @returns {Proxy} реактивное вычисляемое свойство
  */
-export function $computed(getter) {
-  let value
-  let dirty = true
+export function $computed(getter, options = {}) {
+  if (getter?.constructor?.name === 'AsyncFunction') {
+    return $resource(getter, options)
+  }
+
+  const node = {
+    value: undefined,
+    version: 0,
+    dirty: true,
+    computing: false,
+    refresh
+  }
+
+  const runner = createReactiveEffect(getter, {
+    scheduler: () => {
+      if (node.dirty) return
+      node.dirty = true
+      triggerComputed(node)
+    },
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  })
+  runner.forced = true
+  registerDebugNode(node, 'computed', options.name, runner)
+
+  function refresh() {
+    if (!node.dirty) return
+
+    if (node.computing) {
+      throw new Error('[AspScript] Обнаружена циклическая зависимость в $computed: значение зависит само от себя')
+    }
+
+    node.computing = true
+    try {
+      if (isStale(runner)) {
+        let newValue
+        try {
+          newValue = runner()
+        } catch (error) {
+          // После ошибки значение нужно пересчитать при следующем чтении
+          runner.forced = true
+          throw error
+        }
+        if (node.version === 0 || hasChanged(newValue, node.value)) {
+          if (isDev && node.version > 0 && reactivityListeners.size > 0) {
+            emitReactivityEvent({ type: 'computed', target: node, key: 'value', newValue, oldValue: node.value })
+          }
+          node.value = newValue
+          node.version++
+        }
+      } else {
+        resetStale(runner)
+      }
+      node.dirty = false
+    } finally {
+      node.computing = false
+    }
+  }
 
   const proxy = new Proxy({}, {
     get(target, key) {
+      if (key === REF_KEY) return true
       if (key === 'value') {
-        if (dirty) {
-          effectStack.push(currentEffect)
-          currentEffect = () => { dirty = true }
-          try {
-            value = getter()
-          } finally {
-            currentEffect = effectStack.pop()
-          }
-          dirty = false
-        }
-        return value
+        track(node, 'value')
+        refresh()
+        return node.value
       }
       return target[key]
     }
@@ -148,31 +982,316 @@ export function $computed(getter) {
 
 /**
  * Создает эффект
+ *
+ * Зависимости собираются заново при каждом запуске, поэтому ветки,
+ * которые эффект больше не читает, перестают его перезапускать.
+ * Если fn возвращает функцию, она регистрируется как cleanup.
+ * Первый запуск синхронный, перезапуски планируются на микрозадачу.
+ *
  * @param {Function} fn - функция эффекта
+ * @param {Object} options - опции эффекта
+ * @param {string} [options.name] - имя для inspectGraph() и DevTools
+ * @param {Function} [options.onTrack] - отладка: вызывается при добавлении зависимости
+ * @param {Function} [options.onTrigger] - отладка: вызывается, когда зависимость меняется
  * @returns {Function} функция отмены эффекта
  */
-export function $effect(fn) {
-  const effect = () => {
-    const prevEffect = currentEffect
-    currentEffect = effect
-    try {
-      fn()
-    } finally {
-      currentEffect = prevEffect
+export function $effect(fn, options = {}) {
+  const effect = createReactiveEffect(() => {
+    const cleanup = fn()
+    if (typeof cleanup === 'function') {
+      effect.cleanups.push(cleanup)
     }
-  }
+  }, {
+    scheduler: () => queueJob(job),
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  })
+  const job = () => runIfStale(effect)
+  registerDebugNode(effect, 'effect', options.name, effect)
 
   effect()
-  return effect
+
+  const dispose = () => stopEffect(effect)
+  dispose.effect = effect
+  return dispose
+}
+
+/**
+ * Регистрирует cleanup для текущего эффекта
+ * Вызывается перед каждым перезапуском эффекта и при его отмене
+ * @param {Function} fn - функция очистки
+ */
+export function onCleanup(fn) {
+  if (!currentEffect) {
+    console.warn('[AspScript] onCleanup() вызван вне $effect и будет проигнорирован')
+    return
+  }
+  currentEffect.cleanups.push(fn)
+}
+
+/**
+ * Выполняет fn без отслеживания зависимостей текущим эффектом
+ * Эффекты, созданные внутри fn, отслеживают свои зависимости как обычно
+ * @param {Function} fn - функция
+ * @returns {any} результат fn
+ */
+export function untrack(fn) {
+  const prevEffect = currentEffect
+  currentEffect = null
+  try {
+    return fn()
+  } finally {
+    currentEffect = prevEffect
+  }
+}
+
+/**
+ * Следит за источником и вызывает callback с новым и старым значением
+ *
+ * Источник - $state, $computed, реактивный объект, функция-геттер
+ * или массив таких источников.
+ *
+ * @param {any} source - источник или массив источников
+ * @param {Function} callback - (newValue, oldValue, onCleanup) => void
+ * @param {Object} options - опции наблюдения
+ * @param {boolean} [options.deep] - отслеживать вложенные изменения
+ * @param {boolean} [options.immediate] - вызвать callback сразу
+ * @param {string} [options.flush] - 'pre' (по умолчанию), 'post' или 'sync'
+ * @param {boolean} [options.once] - остановиться после первого вызова
+ * @returns {Function} функция остановки наблюдения
+ */
+export function watch(source, callback, options = {}) {
+  const { deep = false, immediate = false, flush = 'pre', once = false } = options
+
+  const isMultiSource = Array.isArray(source)
+  // Реактивный объект отслеживается глубоко, иначе мутации не видны
+  const isDeep = deep || (!isMultiSource && isReactive(source))
+
+  let getter = isMultiSource
+    ? () => source.map(readWatchSource)
+    : () => readWatchSource(source)
+
+  if (isDeep) {
+    const baseGetter = getter
+    getter = () => traverse(baseGetter())
+  }
+
+  let oldValue = isMultiSource ? source.map(() => undefined) : undefined
+  let cleanup = null
+  // immediate: первый вызов callback безусловный, даже если значение undefined
+  let initial = immediate
+  const registerCleanup = fn => { cleanup = fn }
+
+  const job = () => {
+    if (!runner.active || !isStale(runner)) {
+      resetStale(runner)
+      return
+    }
+
+    const newValue = runner()
+    const changed = initial || isDeep || (isMultiSource
+      ? newValue.some((value, i) => hasChanged(value, oldValue[i]))
+      : hasChanged(newValue, oldValue))
+
+    initial = false
+    if (!changed) return
+
+    if (cleanup) {
+      cleanup()
+      cleanup = null
+    }
+    callback(newValue, oldValue, registerCleanup)
+    oldValue = newValue
+
+    if (once) stop()
+  }
+
+  const schedulers = {
+    sync: job,
+    pre: () => queueJob(job),
+    post: () => queuePostJob(job)
+  }
+  if (!schedulers[flush]) {
+    throw new Error(`[AspScript] Неизвестный режим flush для watch(): ${flush}`)
+  }
+
+  const runner = createReactiveEffect(getter, { scheduler: schedulers[flush] })
+  registerDebugNode(runner, 'watcher', undefined, runner)
+
+  const stop = () => {
+    stopEffect(runner)
+    if (cleanup) {
+      cleanup()
+      cleanup = null
+    }
+  }
+
+  // Cleanup из callback должен вызваться и при остановке владеющего scope
+  if (activeScope) {
+    activeScope.cleanups.push(stop)
+  }
+
+  if (immediate) {
+    runner.forced = true
+    job()
+  } else {
+    oldValue = runner()
+  }
+
+  return stop
+}
+
+/**
+ * Читает значение одного источника watch()
+ */
+function readWatchSource(source) {
+  if (isRef(source)) return source.value
+  if (isReactive(source)) return traverse(source)
+  if (typeof source === 'function') return source()
+
+  console.warn('[AspScript] watch() принимает $state, $computed, реактивный объект или функцию, получено:', source)
+  return undefined
+}
+
+/**
+ * Рекурсивно читает все поля, чтобы эффект зависел от вложенных значений
+ */
+function traverse(value, seen = new Set()) {
+  if (!isObject(value) || seen.has(value)) return value
+  seen.add(value)
+
+  if (Array.isArray(value)) {
+    value.forEach(item => traverse(item, seen))
+  } else if (value instanceof Map || value instanceof Set) {
+    value.forEach(item => traverse(item, seen))
+  } else {
+    for (const key in value) {
+      traverse(value[key], seen)
+    }
+  }
+  return value
+}
+
+/**
+ * Проверяет, является ли значение $state или $computed
+ * @param {any} value - значение
+ * @returns {boolean}
+ */
+export function isRef(value) {
+  return isObject(value) && value[REF_KEY] === true
+}
+
+/**
+ * Проверяет, является ли значение реактивным объектом
+ * @param {any} value - значение
+ * @returns {boolean}
+ */
+export function isReactive(value) {
+  return isObject(value) && !!value[RAW_KEY] && !isRef(value)
+}
+
+/**
+ * Создает scope, который владеет созданными внутри него эффектами,
+ * вычисляемыми свойствами, watch() и onDestroy-колбэками
+ *
+ * Вложенные scope останавливаются вместе с родительским.
+ *
+ * @param {boolean} detached - не привязывать к текущему scope
+ * @returns {Object} scope с методами run и stop
+ */
+export function effectScope(detached = false) {
+  const scope = {
+    active: true,
+    effects: [],
+    cleanups: [],
+    scopes: [],
+    parent: detached ? null : activeScope,
+
+    /**
+     * Выполняет fn, собирая все созданные эффекты в этот scope
+     * @param {Function} fn - функция
+     * @returns {any} результат fn
+     */
+    run(fn) {
+      if (!scope.active) {
+        console.warn('[AspScript] Нельзя выполнить код в остановленном effectScope')
+        return undefined
+      }
+
+      const prevScope = activeScope
+      activeScope = scope
+      try {
+        return fn()
+      } finally {
+        activeScope = prevScope
+      }
+    },
+
+    /**
+     * Останавливает все эффекты, вложенные scope и вызывает onScopeDispose
+     */
+    stop() {
+      if (!scope.active) return
+      scope.active = false
+
+      scope.effects.forEach(stopEffect)
+      scope.scopes.slice().forEach(child => child.stop())
+      scope.cleanups.forEach(cleanup => cleanup())
+
+      scope.effects.length = 0
+      scope.scopes.length = 0
+      scope.cleanups.length = 0
+
+      if (scope.parent) {
+        const index = scope.parent.scopes.indexOf(scope)
+        if (index > -1) scope.parent.scopes.splice(index, 1)
+        scope.parent = null
+      }
+    }
+  }
+
+  if (scope.parent) {
+    scope.parent.scopes.push(scope)
+  }
+
+  return scope
+}
+
+/**
+ * Возвращает текущий effectScope
+ * @returns {Object|null} scope или null вне scope
+ */
+export function getCurrentScope() {
+  return activeScope
+}
+
+/**
+ * Регистрирует колбэк, вызываемый при остановке текущего scope
+ * @param {Function} fn - функция очистки
+ */
+export function onScopeDispose(fn) {
+  if (!activeScope) {
+    console.warn('[AspScript] onScopeDispose() вызван вне effectScope и будет проигнорирован')
+    return
+  }
+  activeScope.cleanups.push(fn)
 }
 
 /**
  * Глобальное состояние приложения
  * @param {any} initialValue - начальное значение
  * @param {string} key - уникальный ключ для глобального состояния
+ * @param {Object} options - опции глобального состояния
+ * @param {boolean|Object} [options.persist] - сохранять состояние между перезагрузками (см. persistState)
  * @returns {Proxy} глобальное реактивное состояние
  */
-export function $global(initialValue, key) {
+export function $global(initialValue, key, options = {}) {
+  // Опции можно передать вторым аргументом: $global(value, { key, persist })
+  if (isObject(key)) {
+    options = key
+    key = options.key
+  }
+
   // Глобальный реестр состояний
   if (!globalThis._aspscript_global_state) {
     globalThis._aspscript_global_state = new Map()
@@ -187,12 +1306,132 @@ export function $global(initialValue, key) {
 
   // Возвращаем существующее состояние или создаем новое
   if (!globalState.has(key)) {
-    globalState.set(key, $state(initialValue))
+    const state = $state(initialValue, { name: `global:${key}` })
+    if (options.persist) {
+      persistState(state, key, options.persist === true ? {} : options.persist)
+    }
+    globalState.set(key, state)
   }
 
   return globalState.get(key)
 }
 
+// ============================================================================
+// ОТЛАДКА ГРАФА ЗАВИСИМОСТЕЙ
+// ============================================================================
+
+// Реестр узлов ведется только в разработке. Узлы хранятся через WeakRef,
+// чтобы отладка не удерживала в памяти ненужные состояния
+const debugNodes = new Set()
+const debugInfo = new WeakMap()
+// Множество зависимостей => какой ключ какого объекта оно представляет
+const depOwners = new WeakMap()
+const reactivityListeners = new Set()
+let nextDebugId = 0
+
+// Собранные сборщиком мусора узлы удаляются из реестра
+const debugNodesCleanup = isDev
+  ? new FinalizationRegistry(ref => debugNodes.delete(ref))
+  : null
+
+/**
+ * Регистрирует узел графа для inspectGraph()
+ * @param {Object} target - сырой объект состояния, узел computed или эффект
+ * @param {string} type - state, reactive, computed, effect, watcher
+ * @param {string} name - отображаемое имя
+ * @param {Function} effect - эффект, зависимости которого являются входящими ребрами
+ */
+function registerDebugNode(target, type, name, effect) {
+  if (!isDev) return null
+
+  const id = ++nextDebugId
+  const info = { id, type, name: name ?? `${type}#${id}`, effect }
+  const ref = new WeakRef(target)
+  debugInfo.set(target, info)
+  debugNodes.add(ref)
+  debugNodesCleanup.register(target, ref)
+  return info
+}
+
+/**
+ * Возвращает отладочную информацию узла
+ * Вложенные объекты глубокой реактивности регистрируются при первом обращении
+ */
+function getDebugNode(target) {
+  if (!isDev) return null
+  return debugInfo.get(target) ?? registerDebugNode(target, 'reactive')
+}
+
+function emitReactivityEvent(event) {
+  const source = getDebugNode(event.target)
+  const name = source.type === 'reactive'
+    ? `${source.name}.${String(event.key)}`
+    : source.name
+
+  reactivityListeners.forEach(listener => listener({ ...event, name, source }))
+}
+
+/**
+ * Подписывается на все изменения реактивного состояния (только в разработке)
+ * Используется DevTools для истории изменений
+ * @param {Function} listener - ({ type, name, key, newValue, oldValue, source }) => void
+ * @returns {Function} функция отписки
+ */
+export function onReactivityEvent(listener) {
+  if (!isDev) return () => {}
+  reactivityListeners.add(listener)
+  return () => reactivityListeners.delete(listener)
+}
+
+/**
+ * Возвращает граф зависимостей: все живые состояния, вычисляемые свойства,
+ * эффекты и связи между ними (только в разработке)
+ *
+ * Ребро { from, to, key } означает, что узел to читает ключ key узла from.
+ *
+ * @returns {Object} { nodes: [{ id, type, name, value }], edges: [{ from, to, key }] }
+ */
+export function inspectGraph() {
+  const nodes = []
+  const edges = []
+  if (!isDev) return { nodes, edges }
+
+  const entries = []
+  debugNodes.forEach(ref => {
+    const target = ref.deref()
+    const info = target && debugInfo.get(target)
+    if (!info || (info.effect && !info.effect.active)) {
+      debugNodes.delete(ref)
+      return
+    }
+    entries.push([target, info])
+  })
+
+  // Ребра могут ссылаться на вложенные объекты, еще не попавшие в реестр
+  entries.forEach(([, info]) => {
+    if (!info.effect) return
+    info.effect.deps.forEach(dep => {
+      const owner = depOwners.get(dep)
+      if (!owner) return
+      const isNew = !debugInfo.has(owner.target)
+      const source = getDebugNode(owner.target)
+      if (isNew) entries.push([owner.target, source])
+      edges.push({ from: source.id, to: info.id, key: String(owner.key) })
+    })
+  })
+
+  entries.forEach(([target, info]) => {
+    const node = { id: info.id, type: info.type, name: info.name }
+    if (info.type === 'state') node.value = target._value
+    else if (info.type === 'computed') node.value = target.value
+    else if (info.type === 'reactive') node.value = target
+    nodes.push(node)
+  })
+
+  nodes.sort((a, b) => a.id - b.id)
+  return { nodes, edges }
+}
+
 /**
  * Хук жизненного цикла onMount
  * @param {Function} callback - функция вызываемая при монтировании
@@ -210,7 +1449,11 @@ export function onMount(callback) {
  * @param {Function} callback - функция вызываемая при размонтировании
  */
 export function onDestroy(callback) {
-  // В скомпилированном коде это будет встроено в компонент
+  // Скомпилированный компонент выполняется внутри своего effectScope,
+  // поэтому callback вызовется при его уничтожении вместе с эффектами
+  if (activeScope) {
+    activeScope.cleanups.push(callback)
+  }
   // Возвращаем cleanup функцию
   return callback
 }
@@ -0,0 +1,131 @@
+/**
+ * AspScript Resources
+ * Асинхронные данные с состоянием загрузки, ошибкой и отменой устаревших запросов
+ */
+
+import { $state, $shallowState, $effect, isRef } from './reactivity.js'
+import { getSuspenseBoundary } from './lazy.js'
+
+/**
+ * Создает ресурс - асинхронное значение, которое перезагружается
+ * при изменении зависимостей
+ *
+ * Зависимостями считаются key и реактивные значения, прочитанные fetcher
+ * синхронно (до первого await). При их изменении предыдущий запрос
+ * отменяется через AbortSignal, а его результат отбрасывается.
+ *
+ * @param {Function} fetcher - ({ signal, key }) => Promise
+ * @param {Object} options - опции ресурса
+ * @param {any} [options.initial] - значение до первой загрузки
+ * @param {Function|Proxy} [options.key] - реактивный ключ; при null, undefined
+ *   или false загрузка не выполняется
+ * @param {string} [options.name] - имя для inspectGraph() и DevTools
+ * @returns {Object} ресурс { value, loading, error, refetch, mutate }
+ */
+export function $resource(fetcher, options = {}) {
+  const { initial, key } = options
+
+  const value = $state(initial)
+  const loading = $shallowState(false)
+  const error = $shallowState(null)
+
+  // Первая загрузка приостанавливает ближайший Suspense
+  const boundary = getSuspenseBoundary()
+  let controller = null
+  let lastKey
+  let promise = Promise.resolve(initial)
+
+  const readKey = () => {
+    if (typeof key === 'function') return key()
+    if (isRef(key)) return key.value
+    return key
+  }
+
+  // Ответ отмененного запроса отбрасывается, поэтому loading сбрасывается здесь
+  const abort = () => {
+    controller?.abort()
+    loading.value = false
+  }
+
+  const load = keyValue => {
+    controller?.abort()
+    const current = controller = new AbortController()
+
+    loading.value = true
+    error.value = null
+
+    let request
+    try {
+      request = Promise.resolve(fetcher({ signal: current.signal, key: keyValue }))
+    } catch (err) {
+      request = Promise.reject(err)
+    }
+
+    promise = request.then(result => {
+      // Ответ на отмененный запрос устарел
+      if (current.signal.aborted) return value.value
+      value.value = result
+      loading.value = false
+      return result
+    }, err => {
+      if (current.signal.aborted) return value.value
+      error.value = err
+      loading.value = false
+      throw err
+    })
+
+    if (boundary && !boundary.resolved) {
+      boundary.register(promise)
+    }
+
+    // Ошибка доступна через error, необработанным отказом она не считается
+    promise.catch(() => {})
+    return promise
+  }
+
+  const stop = $effect(() => {
+    lastKey = readKey()
+
+    if (key !== undefined && (lastKey === null || lastKey === undefined || lastKey === false)) {
+      abort()
+      return
+    }
+
+    load(lastKey)
+    // Перед перезапуском, при stop() и уничтожении компонента запрос отменяется
+    return abort
+  }, { name: options.name, onTrack: options.onTrack, onTrigger: options.onTrigger })
+
+  return {
+    get value() {
+      return value.value
+    },
+    get loading() {
+      return loading.value
+    },
+    get error() {
+      return error.value
+    },
+    /**
+     * Промис текущей загрузки
+     */
+    get promise() {
+      return promise
+    },
+    /**
+     * Загружает данные заново с текущим ключом
+     * @returns {Promise} результат загрузки
+     */
+    refetch() {
+      return load(lastKey)
+    },
+    /**
+     * Локально заменяет значение (оптимистичное обновление)
+     * @param {any} newValue - значение или функция (old) => new
+     */
+    mutate(newValue) {
+      value.value = typeof newValue === 'function' ? newValue(value.value) : newValue
+    },
+    stop
+  }
+}
@@ -3,6 +3,9 @@
  * Enterprise-grade серверный рендеринг с продвинутыми возможностями
  */
 
+import { escapeHtml, collectStyles, serializeScriptData } from './dom.js'
+import { collectStores } from './store.js'
+
 /**
  * Рендерит компонент на сервере
  * @param {Function} component - AspScript компонент
@@ -14,14 +17,17 @@ export function renderToString(component, props = {}) {
     // Создаем изолированный контекст для SSR
     const ssrContext = createSSRContext()
 
-    // Выполняем компонент в SSR контексте
-    const instance = component()
+    // Хранилища рендера не переживают его и не видны следующему запросу
+    const { result: html } = collectStores(() => {
+      // Выполняем компонент в SSR контексте
+      const instance = component()
 
-    // Получаем render функцию
-    const render = instance.render
+      // Получаем render функцию
+      const render = instance.render
 
-    // Выполняем render в SSR контексте
-    const html = executeInSSRContext(render, ssrContext)
+      // Выполняем render в SSR контексте
+      return executeInSSRContext(render, ssrContext)
+    })
 
     return html
   } catch (error) {
@@ -42,12 +48,15 @@ export function renderToHTML(app, options = {}) {
     lang = 'en',
     meta = [],
     links = [],
-    scripts = []
+    scripts = [],
+    // Манифест стилей сборки (aspscript-styles.json) и путь к ее файлам
+    styleManifest = null,
+    base = '/'
   } = options
 
   try {
-    // Рендерим приложение
-    const appHTML = renderToString(app)
+    // Рендерим приложение и запоминаем компоненты со стилями
+    const { result: appHTML, styles } = collectStyles(() => renderToString(app))
 
     // Собираем head
     const headContent = [
@@ -55,8 +64,9 @@ export function renderToHTML(app, options = {}) {
       `<meta charset="UTF-8">`,
       `<meta name="viewport" content="width=device-width, initial-scale=1.0">`,
       ...meta.map(m => `<meta name="${m.name}" content="${m.content}">`),
-      ...links.map(l => `<link rel="${l.rel}" href="${l.href}">`)
-    ].join('\n    ')
+      ...links.map(l => `<link rel="${l.rel}" href="${l.href}">`),
+      renderStyleLinks(styles, styleManifest, base)
+    ].filter(Boolean).join('\n    ')
 
     // Собираем scripts
     const scriptContent = scripts.map(s =>
@@ -89,6 +99,22 @@ export function renderToHTML(app, options = {}) {
   }
 }
 
+/**
+ * <link> на CSS сборки только для стилей, которые использовал рендер
+ * @param {string[]} styles - scopeId из collectStyles()
+ * @param {Object} manifest - { scopeId: [файлы] } из aspscript-styles.json
+ * @param {string} [base] - путь к файлам сборки
+ * @returns {string} HTML тегов <link>
+ */
+export function renderStyleLinks(styles, manifest, base = '/') {
+  if (!manifest) return ''
+
+  const files = new Set(styles.flatMap(id => manifest[id] ?? []))
+  return [...files]
+    .map(file => `<link rel="stylesheet" href="${escapeHtml(base + file)}">`)
+    .join('\n    ')
+}
+
 /**
  * Создает контекст для SSR
  * @returns {Object} SSR контекст
@@ -172,16 +198,16 @@ function executeInSSRContext(fn, context) {
 function serializeElement(element) {
   if (!element) return ''
 
-  // Текстовый узел
+  // Текстовый узел: данные пользователя не становятся разметкой
   if (element.nodeType === 3) {
-    return element.textContent || ''
+    return escapeHtml(element.textContent)
   }
 
   // Элемент
   if (element.tagName) {
     const tag = element.tagName
     const attrs = Object.entries(element.attributes || {})
-      .map(([name, value]) => ` ${name}="${value}"`)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
       .join('')
 
     const children = (element.children || [])
@@ -320,15 +346,16 @@ export function renderToStream(component, options = {}) {
  * @returns {string} HTML с встроенными данными
  */
 export function renderWithData(component, initialData = {}) {
+  // Состояние хранилищ рендера передается клиенту (hydrateStores)
+  const { result: html, stores } = collectStores(() => renderToString(component))
+
   // Встраиваем данные в глобальный контекст
   const dataScript = `
     <script>
-      window.__ASPSCRIPT_DATA__ = ${JSON.stringify(initialData)};
+      window.__ASPSCRIPT_DATA__ = ${serializeScriptData({ ...initialData, stores })};
     </script>
   `
 
-  const html = renderToString(component)
-
   return html + dataScript
 }
 
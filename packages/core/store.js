@@ -0,0 +1,355 @@
+/**
+ * AspScript Stores
+ * Структурированные хранилища с состоянием, геттерами, действиями и плагинами
+ */
+
+import {
+  $state,
+  $computed,
+  watch,
+  batch,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
+  toRaw
+} from './reactivity.js'
+import { persistState } from './persist.js'
+
+// Созданные хранилища по id. Внутри collectStores() - реестр рендера
+let stores = new Map()
+
+// collectStores() уже выполняется: вложенные вызовы используют его реестр
+let collecting = false
+
+// Состояние с сервера, ожидающее создания хранилища (см. hydrateStores)
+const pendingHydration = new Map()
+
+// Плагины применяются ко всем хранилищам, включая уже созданные
+const plugins = []
+
+// Внутренний контекст хранилища для плагинов: store => { options, stateRef, scope }
+const storeContexts = new WeakMap()
+
+/**
+ * Определяет хранилище
+ *
+ * Хранилище создается при первом вызове use-функции и дальше
+ * переиспользуется. Поля состояния и геттеры доступны как свойства
+ * хранилища, действия - как методы (this указывает на хранилище).
+ *
+ * @param {string} id - уникальный id хранилища
+ * @param {Object} options - определение хранилища
+ * @param {Function} options.state - функция, возвращающая начальное состояние
+ * @param {Object} [options.getters] - геттеры (state) => value
+ * @param {Object} [options.actions] - действия
+ * @returns {Function} функция получения хранилища
+ */
+export function defineStore(id, options = {}) {
+  if (typeof options.state !== 'function') {
+    throw new Error(`[AspScript] defineStore("${id}"): state должен быть функцией, возвращающей объект`)
+  }
+
+  function useStore() {
+    if (!stores.has(id)) {
+      stores.set(id, createStore(id, options, stores))
+    }
+    return stores.get(id)
+  }
+
+  useStore.$id = id
+  return useStore
+}
+
+/**
+ * Создает экземпляр хранилища
+ */
+function createStore(id, options, registry) {
+  const { state: stateFactory, getters = {}, actions = {} } = options
+
+  // Хранилище живет дольше компонента, который первым его использовал
+  const scope = effectScope(true)
+  const actionSubscribers = new Set()
+  const store = {}
+
+  const initialState = pendingHydration.has(id) ? pendingHydration.get(id) : stateFactory()
+  pendingHydration.delete(id)
+  const stateRef = $state(initialState)
+
+  // Тип последнего изменения для $subscribe
+  let mutationType = 'direct'
+
+  Object.defineProperties(store, {
+    $id: { value: id },
+    $state: {
+      get: () => stateRef.value,
+      set: value => {
+        mutationType = 'patch object'
+        stateRef.value = value
+      }
+    }
+  })
+
+  // Поля состояния проксируются на $state
+  Object.keys(initialState).forEach(key => {
+    Object.defineProperty(store, key, {
+      enumerable: true,
+      get: () => stateRef.value[key],
+      set: value => { stateRef.value[key] = value }
+    })
+  })
+
+  scope.run(() => {
+    Object.entries(getters).forEach(([name, getter]) => {
+      const computed = $computed(() => getter.call(store, stateRef.value))
+      Object.defineProperty(store, name, {
+        enumerable: true,
+        get: () => computed.value
+      })
+    })
+  })
+
+  Object.entries(actions).forEach(([name, action]) => {
+    store[name] = wrapAction(store, name, action, actionSubscribers)
+  })
+
+  /**
+   * Применяет несколько изменений разом
+   * @param {Object|Function} partial - объект для слияния или функция (state) => void
+   */
+  store.$patch = partial => {
+    batch(() => {
+      if (typeof partial === 'function') {
+        mutationType = 'patch function'
+        partial(stateRef.value)
+      } else {
+        mutationType = 'patch object'
+        mergeState(stateRef.value, partial)
+      }
+    })
+  }
+
+  /**
+   * Возвращает состояние к начальному
+   */
+  store.$reset = () => {
+    mutationType = 'patch object'
+    stateRef.value = stateFactory()
+  }
+
+  /**
+   * Подписывается на изменения состояния
+   * @param {Function} callback - ({ storeId, type }, state) => void
+   * @param {Object} options - { detached, flush }
+   * @returns {Function} функция отписки
+   */
+  store.$subscribe = (callback, { detached = false, flush = 'pre' } = {}) => {
+    const subscribe = () => watch(stateRef, state => {
+      const type = mutationType
+      mutationType = 'direct'
+      callback({ storeId: id, type }, state)
+    }, { deep: true, flush })
+
+    // Без detached подписка снимается вместе с текущим компонентом
+    return detached ? effectScope(true).run(subscribe) : subscribe()
+  }
+
+  /**
+   * Подписывается на вызовы действий
+   * @param {Function} callback - ({ name, store, args, after, onError }) => void
+   * @param {boolean} detached - не снимать подписку вместе с текущим компонентом
+   * @returns {Function} функция отписки
+   */
+  store.$onAction = (callback, detached = false) => {
+    actionSubscribers.add(callback)
+    const unsubscribe = () => actionSubscribers.delete(callback)
+    if (!detached && getCurrentScope()) {
+      onScopeDispose(unsubscribe)
+    }
+    return unsubscribe
+  }
+
+  /**
+   * Останавливает эффекты хранилища и удаляет его из реестра
+   */
+  store.$dispose = () => {
+    scope.stop()
+    actionSubscribers.clear()
+    registry.delete(id)
+  }
+
+  storeContexts.set(store, { options, stateRef, scope })
+  plugins.forEach(plugin => applyPlugin(plugin, store))
+
+  return store
+}
+
+/**
+ * Оборачивает действие, уведомляя подписчиков $onAction
+ */
+function wrapAction(store, name, action, subscribers) {
+  return function (...args) {
+    const afterCallbacks = []
+    const errorCallbacks = []
+
+    subscribers.forEach(subscriber => subscriber({
+      name,
+      store,
+      args,
+      after: fn => afterCallbacks.push(fn),
+      onError: fn => errorCallbacks.push(fn)
+    }))
+
+    const handleError = error => {
+      errorCallbacks.forEach(fn => fn(error))
+      throw error
+    }
+
+    let result
+    try {
+      result = action.apply(store, args)
+    } catch (error) {
+      handleError(error)
+    }
+
+    if (result instanceof Promise) {
+      return result.then(value => {
+        afterCallbacks.forEach(fn => fn(value))
+        return value
+      }, handleError)
+    }
+
+    afterCallbacks.forEach(fn => fn(result))
+    return result
+  }
+}
+
+/**
+ * Рекурсивно сливает частичное состояние в реактивное
+ */
+function mergeState(target, partial) {
+  Object.entries(partial).forEach(([key, value]) => {
+    const current = target[key]
+    if (isPlainObject(value) && isPlainObject(toRaw(current))) {
+      mergeState(current, value)
+    } else {
+      target[key] = value
+    }
+  })
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
+
+function applyPlugin(plugin, store) {
+  const { options, stateRef, scope } = storeContexts.get(store)
+  const extensions = scope.run(() => plugin({ id: store.$id, store, options, stateRef }))
+  if (extensions && typeof extensions === 'object') {
+    Object.assign(store, extensions)
+  }
+}
+
+/**
+ * Регистрирует плагин хранилищ
+ *
+ * Плагин вызывается для каждого хранилища с контекстом
+ * { id, store, options, stateRef } и может вернуть объект
+ * со свойствами, которые будут добавлены в хранилище.
+ *
+ * @param {Function} plugin - плагин
+ */
+export function useStorePlugin(plugin) {
+  plugins.push(plugin)
+  stores.forEach(store => applyPlugin(plugin, store))
+}
+
+/**
+ * Плагин логирования действий и изменений
+ * @param {Object} options - опции
+ * @param {Function} [options.logger] - функция вывода (по умолчанию console.log)
+ * @returns {Function} плагин
+ */
+export function createLoggerPlugin({ logger = console.log } = {}) {
+  return ({ id, store }) => {
+    store.$onAction(({ name, args, after, onError }) => {
+      const startTime = Date.now()
+      after(() => logger(`[AspScript store] ${id}.${name}`, args, `${Date.now() - startTime}ms`))
+      onError(error => logger(`[AspScript store] ${id}.${name} failed`, error))
+    }, true)
+  }
+}
+
+/**
+ * Плагин сохранения состояния хранилищ с опцией persist
+ *
+ * defineStore('cart', { state, persist: true })
+ * defineStore('cart', { state, persist: { storage, version, migrate } })
+ *
+ * @returns {Function} плагин
+ */
+export function createPersistPlugin() {
+  return ({ id, options, stateRef }) => {
+    if (!options.persist) return
+    const stop = persistState(stateRef, `store:${id}`, options.persist === true ? {} : options.persist)
+    // Плагин выполняется в области хранилища - сохранение отключится в $dispose
+    onScopeDispose(stop)
+  }
+}
+
+/**
+ * Сериализует состояние всех созданных хранилищ для передачи с сервера
+ * @returns {Object} { [id]: state }
+ */
+export function serializeStores() {
+  const data = {}
+  stores.forEach((store, id) => {
+    data[id] = toRaw(store.$state)
+  })
+  return data
+}
+
+/**
+ * Выполняет рендер с отдельным реестром хранилищ
+ *
+ * На сервере хранилища одного запроса не видны следующему: каждый
+ * рендер создает их заново, а после рендера они уничтожаются.
+ * Вложенный вызов использует реестр внешнего.
+ *
+ * @param {Function} fn - рендер
+ * @returns {Object} { result, stores } - результат fn и состояние
+ *   хранилищ рендера (как serializeStores())
+ */
+export function collectStores(fn) {
+  if (collecting) {
+    return { result: fn(), stores: serializeStores() }
+  }
+
+  const previous = stores
+  stores = new Map()
+  collecting = true
+
+  try {
+    const result = fn()
+    return { result, stores: serializeStores() }
+  } finally {
+    stores.forEach(store => store.$dispose())
+    stores = previous
+    collecting = false
+  }
+}
+
+/**
+ * Восстанавливает состояние хранилищ, сериализованное на сервере
+ * Хранилища, которые еще не созданы, получат состояние при создании
+ * @param {Object} data - результат serializeStores()
+ */
+export function hydrateStores(data = {}) {
+  Object.entries(data).forEach(([id, state]) => {
+    const store = stores.get(id)
+    if (store) {
+      store.$state = state
+    } else {
+      pendingHydration.set(id, state)
+    }
+  })
+}
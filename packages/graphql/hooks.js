@@ -3,7 +3,7 @@
  * Реактивные хуки для работы с GraphQL
  */
 
-const { $state, $computed, $effect, onMount, onDestroy } = require('@aspscript/core')
+const { $state, $shallowState, $computed, $effect, onMount, onDestroy } = require('@aspscript/core')
 const { getGlobalClient } = require('./client')
 
 /**
@@ -23,7 +23,8 @@ function useQuery(query, options = {}) {
   } = options
 
   // Реактивное состояние
-  const data = $state(null)
+  // Результат запроса неизменяем - отслеживаем только его замену
+  const data = $shallowState(null)
   const loading = $state(false)
   const error = $state(null)
   const networkStatus = $state('idle')
@@ -76,6 +77,8 @@ function useQuery(query, options = {}) {
     return execute(newVariables)
   }
 
+  let pollTimer = null
+
   // Автоматический запрос при монтировании
   onMount(() => {
     if (!skip) {
@@ -84,17 +87,20 @@ function useQuery(query, options = {}) {
 
     // Настройка polling если указан интервал
     if (pollInterval && pollInterval > 0) {
-      const interval = setInterval(() => {
+      pollTimer = setInterval(() => {
         if (!skip) {
           execute()
         }
       }, pollInterval)
-
-      // Очистка при размонтировании
-      onDestroy(() => clearInterval(interval))
     }
   })
 
+  // Очистка при размонтировании. Регистрируется синхронно, пока активен
+  // scope компонента - внутри onMount он уже недоступен
+  onDestroy(() => {
+    if (pollTimer) clearInterval(pollTimer)
+  })
+
   // Реактивный эффект для изменения переменных
   $effect(() => {
     // Перезапускаем запрос при изменении переменных
@@ -127,7 +133,8 @@ function useMutation(mutation, options = {}) {
   } = options
 
   // Состояние мутации
-  const data = $state(null)
+  // Результат запроса неизменяем - отслеживаем только его замену
+  const data = $shallowState(null)
   const loading = $state(false)
   const error = $state(null)
   const called = $state(false)
@@ -205,7 +212,8 @@ function useSubscription(subscription, options = {}) {
   } = options
 
   // Состояние подписки
-  const data = $state(null)
+  // Результат запроса неизменяем - отслеживаем только его замену
+  const data = $shallowState(null)
   const loading = $state(false)
   const error = $state(null)
 
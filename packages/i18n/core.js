@@ -3,7 +3,7 @@
  * Основная система интернационализации
  */
 
-const { $state, $computed, $effect } = require('@aspscript/core')
+const { $state, $shallowState, $computed, $effect, effectScope } = require('@aspscript/core')
 
 /**
  * I18n менеджер
@@ -24,23 +24,35 @@ class I18nManager {
 
     // Реактивное состояние
     this.currentLocale = $state(this.config.locale)
-    this.messages = $state({ ...this.config.messages })
+    // Деревья сообщений заменяются целиком, проксировать их незачем
+    this.messages = $shallowState({ ...this.config.messages })
     this.loading = $state(false)
     this.loadedLocales = $state(new Set([this.config.locale]))
 
-    // Вычисляемые свойства
-    this.isRTL = $computed(() => this._isRTLLocale(this.currentLocale.value))
-    this.availableLocales = $computed(() => Object.keys(this.messages.value))
-
-    // Эффект для установки RTL атрибута
-    $effect(() => {
-      if (typeof document !== 'undefined') {
-        document.documentElement.dir = this.isRTL.value ? 'rtl' : 'ltr'
-        document.documentElement.lang = this.currentLocale.value
-      }
+    // Эффекты менеджера принадлежат его scope и останавливаются в destroy()
+    this._scope = effectScope()
+    this._scope.run(() => {
+      // Вычисляемые свойства
+      this.isRTL = $computed(() => this._isRTLLocale(this.currentLocale.value))
+      this.availableLocales = $computed(() => Object.keys(this.messages.value))
+
+      // Эффект для установки RTL атрибута
+      $effect(() => {
+        if (typeof document !== 'undefined') {
+          document.documentElement.dir = this.isRTL.value ? 'rtl' : 'ltr'
+          document.documentElement.lang = this.currentLocale.value
+        }
+      })
     })
   }
 
+  /**
+   * Останавливает реактивные эффекты менеджера
+   */
+  destroy() {
+    this._scope.stop()
+  }
+
   /**
    * Устанавливает текущую локаль
    * @param {string} locale - код локали
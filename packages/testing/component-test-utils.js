@@ -113,6 +113,10 @@ function renderComponent(component, props = {}, options = {}) {
       fireEvent: (element, eventName, eventData = {}) => fireEvent(element, eventName, eventData),
       // Очистка
       unmount: () => {
+        // Останавливаем эффекты и вызываем onDestroy компонента
+        if (typeof instance.cleanup === 'function') {
+          instance.cleanup()
+        }
         if (container.parentNode) {
           container.parentNode.removeChild(container)
         }
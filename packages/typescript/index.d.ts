@@ -13,13 +13,232 @@ export interface Reactive<T = any> {
 export type ReactiveValue<T> = T extends Reactive<infer U> ? U : T
 
 // Основные API функции
-export declare function $state<T>(initialValue: T): Reactive<T>
+export interface StateOptions {
+  name?: string
+}
+
+export declare function $state<T>(initialValue: T, options?: StateOptions): Reactive<T>
+
+export declare function $shallowState<T>(initialValue: T, options?: StateOptions): Reactive<T>
+
+// Отладка реактивности (только в разработке)
+export interface DebugNode {
+  id: number
+  type: 'state' | 'reactive' | 'computed' | 'effect' | 'watcher'
+  name: string
+}
+
+export interface DebuggerEvent {
+  effect: Function
+  target: object
+  key: any
+  type: 'get' | 'set' | 'add' | 'delete' | 'clear' | 'computed'
+  newValue?: any
+  oldValue?: any
+  source: DebugNode
+}
+
+export interface DebuggerOptions {
+  name?: string
+  onTrack?: (event: DebuggerEvent) => void
+  onTrigger?: (event: DebuggerEvent) => void
+}
+
+export interface ReactivityEvent {
+  type: 'set' | 'add' | 'delete' | 'clear' | 'computed'
+  name: string
+  key: any
+  newValue?: any
+  oldValue?: any
+  source: DebugNode
+}
+
+export interface ReactivityGraph {
+  nodes: Array<DebugNode & { value?: any }>
+  edges: Array<{ from: number; to: number; key: string }>
+}
+
+export declare function inspectGraph(): ReactivityGraph
+
+export declare function onReactivityEvent(listener: (event: ReactivityEvent) => void): () => void
+
+export type DeepReadonly<T> = T extends (...args: any[]) => any
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T
+
+export declare function $readonly<T>(source: Reactive<T>): { readonly value: DeepReadonly<T> }
+export declare function $readonly<T extends object>(source: T): DeepReadonly<T>
+
+export declare function toRaw<T>(observed: T): T
+
+export declare function markRaw<T extends object>(value: T): T
+
+export declare function $computed<T>(getter: (context: ResourceContext<undefined>) => Promise<T>, options?: ResourceOptions<T>): Resource<T>
+export declare function $computed<T>(getter: () => T, options?: DebuggerOptions): Reactive<T>
+
+export interface ResourceContext<K> {
+  signal: AbortSignal
+  key: K
+}
+
+export interface ResourceOptions<T, K = any> extends DebuggerOptions {
+  initial?: T
+  key?: (() => K) | Reactive<K> | K
+}
+
+export interface Resource<T> {
+  readonly value: T | undefined
+  readonly loading: boolean
+  readonly error: any
+  readonly promise: Promise<T>
+  refetch(): Promise<T>
+  mutate(value: T | ((oldValue: T | undefined) => T)): void
+  stop(): void
+}
+
+export declare function $resource<T, K = any>(
+  fetcher: (context: ResourceContext<K>) => Promise<T> | T,
+  options?: ResourceOptions<T, K>
+): Resource<T>
+
+export declare function isRef(value: any): value is Reactive<any>
+
+export declare function isReactive(value: any): boolean
+
+export declare function $effect(callback: () => void | (() => void), options?: DebuggerOptions): () => void
+
+export declare function onCleanup(callback: () => void): void
+
+export declare function untrack<T>(fn: () => T): T
+
+export interface WatchOptions {
+  deep?: boolean
+  immediate?: boolean
+  flush?: 'pre' | 'post' | 'sync'
+  once?: boolean
+}
+
+export type WatchSource<T = any> = Reactive<T> | (() => T) | object
+
+export declare function watch<T = any>(
+  source: WatchSource<T> | WatchSource[],
+  callback: (newValue: T, oldValue: T | undefined, onCleanup: (fn: () => void) => void) => void,
+  options?: WatchOptions
+): () => void
+
+export interface EffectScope {
+  readonly active: boolean
+  run<T>(fn: () => T): T | undefined
+  stop(): void
+}
+
+export declare function effectScope(detached?: boolean): EffectScope
 
-export declare function $computed<T>(getter: () => T): Reactive<T>
+export declare function getCurrentScope(): EffectScope | null
 
-export declare function $effect(callback: () => void): () => void
+export declare function onScopeDispose(fn: () => void): void
 
-export declare function $global<T>(initialValue: T, key?: string): Reactive<T>
+export declare function batch<T>(fn: () => T): T
+
+export declare function flushSync(): void
+
+export interface StorageAdapter {
+  getItem(key: string): string | null
+  setItem(key: string, value: string): void
+  removeItem(key: string): void
+}
+
+export interface PersistOptions<T = any> {
+  storage?: StorageAdapter
+  serialize?: (value: { version: number; state: T }) => string
+  deserialize?: (raw: string) => any
+  version?: number
+  migrate?: (storedState: any, storedVersion: number) => T
+  debounce?: number
+}
+
+export interface GlobalOptions<T = any> {
+  key?: string
+  persist?: boolean | PersistOptions<T>
+}
+
+export declare function $global<T>(initialValue: T, key?: string, options?: GlobalOptions<T>): Reactive<T>
+export declare function $global<T>(initialValue: T, options: GlobalOptions<T>): Reactive<T>
+
+export declare function persistState<T>(state: Reactive<T>, key: string, options?: PersistOptions<T>): () => void
+
+export declare function createWebStorage(type?: 'local' | 'session'): StorageAdapter
+
+export declare function createMemoryStorage(initialItems?: Record<string, string>): StorageAdapter
+
+export declare const localStorageAdapter: StorageAdapter
+
+export declare const sessionStorageAdapter: StorageAdapter
+
+// Хранилища
+export type StoreGetters<S> = Record<string, (state: S) => any>
+
+export type StoreActions = Record<string, (...args: any[]) => any>
+
+export interface StoreDefinition<S extends object, G extends StoreGetters<S>, A extends StoreActions> {
+  state: () => S
+  getters?: G & ThisType<Store<S, G, A>>
+  actions?: A & ThisType<Store<S, G, A>>
+  persist?: boolean | PersistOptions<S>
+}
+
+export interface StoreMutation {
+  storeId: string
+  type: 'direct' | 'patch object' | 'patch function'
+}
+
+export interface StoreActionContext<S extends object = any> {
+  name: string
+  store: Store<S, any, any>
+  args: any[]
+  after(callback: (result: any) => void): void
+  onError(callback: (error: any) => void): void
+}
+
+export type Store<S extends object, G extends StoreGetters<S>, A extends StoreActions> = S &
+  { readonly [K in keyof G]: ReturnType<G[K]> } &
+  A & {
+    readonly $id: string
+    $state: S
+    $patch(partial: DeepPartial<S> | ((state: S) => void)): void
+    $reset(): void
+    $subscribe(callback: (mutation: StoreMutation, state: S) => void, options?: { detached?: boolean; flush?: 'pre' | 'post' | 'sync' }): () => void
+    $onAction(callback: (context: StoreActionContext<S>) => void, detached?: boolean): () => void
+    $dispose(): void
+  }
+
+export type DeepPartial<T> = { [K in keyof T]?: T[K] extends object ? DeepPartial<T[K]> : T[K] }
+
+export interface StorePluginContext {
+  id: string
+  store: Store<any, any, any>
+  options: StoreDefinition<any, any, any>
+  stateRef: Reactive<any>
+}
+
+export type StorePlugin = (context: StorePluginContext) => Record<string, any> | void
+
+export declare function defineStore<S extends object, G extends StoreGetters<S> = {}, A extends StoreActions = {}>(
+  id: string,
+  options: StoreDefinition<S, G, A>
+): (() => Store<S, G, A>) & { $id: string }
+
+export declare function useStorePlugin(plugin: StorePlugin): void
+
+export declare function createLoggerPlugin(options?: { logger?: (...args: any[]) => void }): StorePlugin
+
+export declare function createPersistPlugin(): StorePlugin
+
+export declare function serializeStores(): Record<string, any>
+
+export declare function hydrateStores(data?: Record<string, any>): void
 
 // Жизненный цикл компонентов
 export declare function onMount(callback: () => void): void
@@ -35,10 +254,25 @@ export interface RenderOptions {
   meta?: Array<{ name: string; content: string }>
   links?: Array<{ rel: string; href: string }>
   scripts?: Array<{ src: string; defer?: boolean; async?: boolean }>
+  /** Манифест стилей сборки (aspscript-styles.json): <link> только для отрендеренных компонентов */
+  styleManifest?: StyleManifest | null
+  /** Путь к файлам сборки */
+  base?: string
 }
 
+/** scopeId компонента -> CSS-файлы сборки */
+export type StyleManifest = Record<string, string[]>
+
 export declare function renderToHTML(component: Component, options?: RenderOptions): string
 
+export declare function renderStyleLinks(styles: string[], manifest: StyleManifest | null, base?: string): string
+
+export declare function collectStyles<T>(fn: () => T): { result: T; styles: string[] }
+
+export declare function useStyles(id: string): void
+
+export declare function setStyleManifest(manifest: StyleManifest | null, base?: string): void
+
 export declare function hydrate(component: Component, container: HTMLElement): void
 
 export interface StreamOptions {
@@ -162,6 +396,7 @@ declare global {
   // Глобальные функции в .aspc контексте
   function $state<T>(initialValue: T): Reactive<T>
   function $computed<T>(getter: () => T): Reactive<T>
+  function $resource<T, K = any>(fetcher: (context: ResourceContext<K>) => Promise<T> | T, options?: ResourceOptions<T, K>): Resource<T>
   function $effect(callback: () => void): () => void
   function $global<T>(initialValue: T, key?: string): Reactive<T>
   function onMount(callback: () => void): void
@@ -4,6 +4,7 @@
  */
 
 import { compile } from '@aspscript/compiler'
+import { bundleCss } from '@aspscript/compiler/css-extract'
 import { readFileSync } from 'fs'
 import path from 'path'
 
@@ -17,19 +18,20 @@ function aspscriptPlugin(options = {}) {
     include = /\.aspc$/,
     exclude,
     root = process.cwd(),
-    ssr = false
+    ssr = false,
+    // Опции стилей компилятора: loadPaths для общих partials, postcss
+    style
   } = options
 
   let server
   let config
+  // CSS компонентов при сборке: id .aspc -> { css, scopeId }
+  const styles = new Map()
 
   return {
     name: 'aspscript',
 
     config(config, env) {
-      // Сохраняем конфиг для использования в других хуках
-      this.config = config
-
       return {
         // Добавляем .aspc в расширения
         resolve: {
@@ -37,8 +39,10 @@ function aspscriptPlugin(options = {}) {
         },
 
         // Оптимизации для AspScript
+        // .aspc к этому моменту уже скомпилирован в JavaScript
         esbuild: {
-          include: /\.aspc$/
+          include: /\.aspc$/,
+          loader: 'js'
         },
 
         // CSS конфигурация
@@ -61,6 +65,16 @@ function aspscriptPlugin(options = {}) {
       }
     },
 
+    configResolved(resolvedConfig) {
+      // Итоговый конфиг: command отличает сборку от dev-сервера
+      config = resolvedConfig
+    },
+
+    // CSS компонента - виртуальный модуль App.aspc.css: Vite хеширует его и делит по чанкам
+    resolveId(id) {
+      return styles.has(componentOf(id)) ? id : null
+    },
+
     configureServer(serverInstance) {
       server = serverInstance
 
@@ -71,7 +85,11 @@ function aspscriptPlugin(options = {}) {
       })
     },
 
-    load(id) {
+    load(id, loadOptions) {
+      if (styles.has(componentOf(id))) {
+        return styles.get(componentOf(id)).css
+      }
+
       // Проверяем, что файл имеет расширение .aspc
       if (!include.test(id) || (exclude && exclude.test(id))) {
         return null
@@ -83,28 +101,86 @@ function aspscriptPlugin(options = {}) {
       // Получаем имя компонента из пути
       const componentName = path.basename(id, '.aspc')
 
-      // Компилируем AspScript в JavaScript
-      const compiled = compile(code, {
+      // Серверный рендер - сборка с ssr: true или SSR-загрузка модуля в dev
+      const ssrLoad = ssr || Boolean(loadOptions?.ssr)
+
+      // При сборке CSS выносится в файлы, в dev компонент вставляет <style> сам
+      const build = config?.command === 'build'
+
+      // Компилируем AspScript в JavaScript; source map указывает на сам .aspc
+      const { code: compiled, map, css, scopeId } = compile(code, {
         componentName,
-        ssr,
-        hmr: !ssr && server
+        file: id,
+        ssr: ssrLoad,
+        hmr: !ssrLoad && server,
+        sourcemap: true,
+        style,
+        css: build ? 'external' : 'inject'
       })
 
+      if (!build) {
+        return { code: compiled, map }
+      }
+
+      // Импорт дописывается в конец: строки не сдвигаются, карта остается верной.
+      // SSR-сборке файлы CSS не нужны - она берет их из манифеста клиентской
+      styles.set(id, { css, scopeId })
       return {
-        code: compiled,
-        map: null // В будущем можно добавить source maps
+        code: css && !ssrLoad ? `${compiled}\nimport ${JSON.stringify(`${id}${STYLE_SUFFIX}`)}\n` : compiled,
+        map
       }
     },
 
     transform(code, id) {
       // Дополнительная обработка для HMR
       if (id.endsWith('.aspc') && server && !ssr) {
-        return addHmrSupport(code, id)
+        // Код только дописывается в конец - строки не сдвигаются, карта из load остается верной
+        return { code: addHmrSupport(code, id), map: null }
       }
 
       return code
     },
 
+    // После CSS-плагинов Vite: в готовых файлах убираем повторы правил
+    // и записываем манифест стилей для SSR
+    generateBundle: {
+      order: 'post',
+      handler(outputOptions, bundle) {
+        if (ssr) return
+
+        const chunks = Object.values(bundle).filter(chunk => chunk.type === 'chunk')
+        const entryCss = [...new Set(chunks
+          .filter(chunk => chunk.isEntry)
+          .flatMap(chunk => [...(chunk.viteMetadata?.importedCss ?? [])]))]
+
+        // CSS точки входа загружен всегда: ленивые чанки не повторяют его правила
+        const entryRules = new Set()
+        entryCss.forEach(fileName => {
+          bundle[fileName].source = bundleCss([String(bundle[fileName].source)], entryRules)
+        })
+        Object.values(bundle).forEach(asset => {
+          if (asset.type === 'asset' && asset.fileName.endsWith('.css') && !entryCss.includes(asset.fileName)) {
+            asset.source = bundleCss([String(asset.source)], new Set(entryRules))
+          }
+        })
+
+        const manifest = {}
+        chunks.forEach(chunk => {
+          const files = [...new Set([...entryCss, ...(chunk.viteMetadata?.importedCss ?? [])])]
+          Object.keys(chunk.modules).forEach(id => {
+            const scopeId = styles.get(id)?.scopeId
+            if (scopeId && files.length > 0) manifest[scopeId] = files
+          })
+        })
+
+        this.emitFile({
+          type: 'asset',
+          fileName: 'aspscript-styles.json',
+          source: JSON.stringify(manifest, null, 2)
+        })
+      }
+    },
+
     handleHotUpdate({ file, server }) {
       // Обработка hot reload для .aspc файлов
       if (file.endsWith('.aspc')) {
@@ -117,8 +193,15 @@ function aspscriptPlugin(options = {}) {
   }
 }
 
+const STYLE_SUFFIX = '.css'
+
+// Путь .aspc для id виртуального модуля стилей
+function componentOf(id) {
+  return id.endsWith(STYLE_SUFFIX) ? id.slice(0, -STYLE_SUFFIX.length) : null
+}
+
 /**
- * Добавляет HMR поддержку к скомпилированному коду
+ * Добавляет HMR поддержку в конец скомпилированного кода
  * @param {string} code - скомпилированный код
  * @param {string} filePath - путь к файлу
  * @returns {string} код с HMR поддержкой
@@ -126,11 +209,9 @@ function aspscriptPlugin(options = {}) {
 function addHmrSupport(code, filePath) {
   const componentName = path.basename(filePath, '.aspc')
 
-  return `
-// HMR support for ${componentName}
-${code}
+  return `${code}
 
-// Hot Module Replacement
+// HMR support for ${componentName}
 if (import.meta.hot) {
   import.meta.hot.accept((newModule) => {
     if (newModule && newModule.default) {